@@ -1,14 +1,23 @@
 import express from 'express';
 import cors from 'cors';
-import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
 import multer from 'multer';
+import sharp from 'sharp';
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
 
 dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
+// CORS_ORIGINS: comma-separated allow-list; unset means no cross-origin access.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
 app.use(express.json({ limit: '50mb' }));
 
 // Multer for multipart image uploads (memory storage)
@@ -17,15 +26,204 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }
 });
 
+// ════════════════════════════════════════════
+// PERSISTENT STORAGE
+// Pluggable adapter behind every long-lived Map (caches, audit history,
+// job results). STORAGE_DRIVER: 'file' (default, a snapshot and a journal
+// per namespace in DATA_DIR), 'sqlite' (node:sqlite, Node 22.13+) or 'memory'.
+// Reads are always served from memory; writes go through to the adapter.
+// ════════════════════════════════════════════
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+const STORAGE_FLUSH_DELAY = 2000;
+const STORAGE_COMPACT_MIN = 500;
+
+function createMemoryStorage() {
+  return {
+    driver: 'memory',
+    load: () => [],
+    attach: () => {},
+    put: () => {},
+    remove: () => {},
+    flush: () => {}
+  };
+}
+
+// Each namespace is a snapshot (<ns>.json) plus an append-only journal
+// (<ns>.log) of the keys changed since. Flushes are debounced and async and
+// only append the changed entries; the snapshot is rewritten (temp file +
+// rename) once the journal outgrows the namespace.
+function createFileStorage(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const attached = new Map();
+  const pending = new Map();
+  const journalSize = new Map();
+  let timer = null;
+  let writing = Promise.resolve();
+  const fileFor = (ns) => path.join(dir, `${ns}.json`);
+  const journalFor = (ns) => path.join(dir, `${ns}.log`);
+
+  const compact = async (ns, map) => {
+    const tmp = fileFor(ns) + '.tmp';
+    await fs.promises.writeFile(tmp, JSON.stringify(Array.from(map.entries())));
+    await fs.promises.rename(tmp, fileFor(ns));
+    await fs.promises.rm(journalFor(ns), { force: true });
+    journalSize.set(ns, 0);
+  };
+
+  const writeChanges = async (changes) => {
+    for (const [ns, keys] of changes) {
+      const map = attached.get(ns);
+      if (!map) continue;
+      try {
+        const lines = Array.from(keys, key => JSON.stringify(map.has(key) ? [key, map.get(key)] : [key])).join('\n') + '\n';
+        await fs.promises.appendFile(journalFor(ns), lines);
+        const size = (journalSize.get(ns) || 0) + keys.size;
+        journalSize.set(ns, size);
+        if (size > Math.max(STORAGE_COMPACT_MIN, map.size)) await compact(ns, map);
+      } catch (err) {
+        console.error(`Storage flush failed for "${ns}":`, err.message);
+      }
+    }
+  };
+
+  // Resolves once everything changed so far is on disk.
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const changes = new Map(pending);
+    pending.clear();
+    writing = writing.then(() => writeChanges(changes));
+    return writing;
+  };
+  const schedule = (ns, key) => {
+    if (!pending.has(ns)) pending.set(ns, new Set());
+    pending.get(ns).add(key);
+    if (!timer) timer = setTimeout(flush, STORAGE_FLUSH_DELAY);
+  };
+
+  const readIfExists = (file) => {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return '';
+    }
+  };
+
+  return {
+    driver: 'file',
+    load(ns) {
+      const entries = new Map();
+      try {
+        for (const [key, value] of JSON.parse(readIfExists(fileFor(ns)) || '[]')) entries.set(key, value);
+      } catch (err) {
+        console.warn(`Storage: could not read "${ns}" (${err.message}), starting empty`);
+      }
+      let replayed = 0;
+      try {
+        for (const line of readIfExists(journalFor(ns)).split('\n').filter(Boolean)) {
+          let entry;
+          // a crash mid-append can leave a torn last line
+          try { entry = JSON.parse(line); } catch { continue; }
+          if (entry.length === 2) entries.set(entry[0], entry[1]);
+          else entries.delete(entry[0]);
+          replayed++;
+        }
+      } catch (err) {
+        console.warn(`Storage: could not read the "${ns}" journal (${err.message})`);
+      }
+      journalSize.set(ns, replayed);
+      return Array.from(entries);
+    },
+    attach: (ns, map) => attached.set(ns, map),
+    put: (ns, key) => schedule(ns, key),
+    remove: (ns, key) => schedule(ns, key),
+    flush
+  };
+}
+
+async function createSqliteStorage(dir) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error(`STORAGE_DRIVER=sqlite needs node:sqlite (Node 22.13+, or 22.5+ with --experimental-sqlite); this is Node ${process.versions.node}. Use STORAGE_DRIVER=file instead.`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  const db = new DatabaseSync(path.join(dir, 'contentops.db'));
+  db.exec('CREATE TABLE IF NOT EXISTS kv (ns TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (ns, key))');
+  const selectAll = db.prepare('SELECT key, value FROM kv WHERE ns = ?');
+  const upsert = db.prepare('INSERT INTO kv (ns, key, value) VALUES (?, ?, ?) ON CONFLICT(ns, key) DO UPDATE SET value = excluded.value');
+  const del = db.prepare('DELETE FROM kv WHERE ns = ? AND key = ?');
+  return {
+    driver: 'sqlite',
+    load: (ns) => selectAll.all(ns).map(r => [r.key, JSON.parse(r.value)]),
+    attach: () => {},
+    put: (ns, key, value) => upsert.run(ns, String(key), JSON.stringify(value)),
+    remove: (ns, key) => del.run(ns, String(key)),
+    flush: () => {}
+  };
+}
+
+async function createStorage() {
+  if (STORAGE_DRIVER === 'memory') return createMemoryStorage();
+  if (STORAGE_DRIVER === 'sqlite') return createSqliteStorage(DATA_DIR);
+  if (STORAGE_DRIVER === 'file') return createFileStorage(DATA_DIR);
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected file, sqlite or memory)`);
+}
+
+const storage = await createStorage();
+console.log(`Storage: ${storage.driver}${storage.driver === 'memory' ? '' : ` (${DATA_DIR})`}`);
+
+// A Map that hydrates from the storage adapter and writes through on change.
+// Values must be JSON-serializable; mutate stored objects only via set().
+class PersistentMap extends Map {
+  constructor(namespace) {
+    super();
+    this.namespace = namespace;
+    // super.set: hydrating must not write straight back to the adapter
+    for (const [key, value] of storage.load(namespace)) super.set(key, value);
+    storage.attach(namespace, this);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    storage.put(this.namespace, key, value);
+    return this;
+  }
+
+  delete(key) {
+    const had = super.delete(key);
+    if (had) storage.remove(this.namespace, key);
+    return had;
+  }
+
+  clear() {
+    for (const key of Array.from(this.keys())) this.delete(key);
+  }
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await storage.flush();
+    process.exit(0);
+  });
+}
+
 // ════════════════════════════════════════════
 // MULTI-LAYER CACHE SYSTEM
 // ════════════════════════════════════════════
-const blogCache = new Map();
+const blogCache = new PersistentMap('blogs');
 const BLOG_CACHE_TTL = 10 * 60 * 1000;
-const searchResultsCache = new Map();
+const searchResultsCache = new PersistentMap('search-results');
 const SEARCH_CACHE_TTL = 60 * 60 * 1000;
-const analysisCache = new Map();
+const analysisCache = new PersistentMap('analyses');
 const ANALYSIS_CACHE_TTL = 24 * 60 * 60 * 1000;
+const gscCache = new PersistentMap('gsc');
+const GSC_CACHE_TTL = 24 * 60 * 60 * 1000;
+const linkCheckCache = new PersistentMap('link-checks');
+const LINK_CHECK_TTL = 6 * 60 * 60 * 1000;
 
 function hashString(str) {
   let hash = 0;
@@ -37,6 +235,8 @@ function hashString(str) {
   return hash.toString(36);
 }
 
+const isIsoDate = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d) && !Number.isNaN(Date.parse(d));
+
 function getFromCache(cache, key, ttl) {
   const entry = cache.get(key);
   if (!entry) return null;
@@ -53,6 +253,8 @@ setInterval(() => {
   for (const [key, value] of blogCache.entries()) { if (now - value.timestamp > BLOG_CACHE_TTL) blogCache.delete(key); }
   for (const [key, value] of searchResultsCache.entries()) { if (now - value.timestamp > SEARCH_CACHE_TTL) searchResultsCache.delete(key); }
   for (const [key, value] of analysisCache.entries()) { if (now - value.timestamp > ANALYSIS_CACHE_TTL) analysisCache.delete(key); }
+  for (const [key, value] of gscCache.entries()) { if (now - value.timestamp > GSC_CACHE_TTL) gscCache.delete(key); }
+  for (const [key, value] of linkCheckCache.entries()) { if (now - value.timestamp > LINK_CHECK_TTL) linkCheckCache.delete(key); }
 }, 5 * 60 * 1000);
 
 // ════════════════════════════════════════════
@@ -62,14 +264,17 @@ const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW = 60 * 1000;
 const MAX_REQUESTS_PER_WINDOW = 30;
 
-function checkRateLimit(ip) {
+// Buckets are per workspace + IP, so one brand's batch work can't starve another's.
+function checkRateLimit(ip, workspace) {
   const now = Date.now();
-  const record = rateLimitMap.get(ip);
+  const key = workspace ? wsKey(workspace, ip) : ip;
+  const limit = workspace?.rateLimitPerMinute || MAX_REQUESTS_PER_WINDOW;
+  const record = rateLimitMap.get(key);
   if (!record || now > record.resetTime) {
-    rateLimitMap.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
+    rateLimitMap.set(key, { count: 1, resetTime: now + RATE_LIMIT_WINDOW });
     return true;
   }
-  if (record.count >= MAX_REQUESTS_PER_WINDOW) return false;
+  if (record.count >= limit) return false;
   record.count++;
   return true;
 }
@@ -81,31 +286,726 @@ setInterval(() => {
   }
 }, 2 * 60 * 1000);
 
+// ════════════════════════════════════════════
+// AUTH & ROLES
+// Every /api route needs a session or API token in the X-Auth-Token header
+// (Authorization stays reserved for the Webflow bearer token). Roles are
+// ordered: viewer browses, editor runs audits and edits facts, publisher
+// pushes to Webflow, admin manages workspaces, users and credentials.
+// A user only sees the workspaces listed on their record ('*' = all).
+// ════════════════════════════════════════════
+const users = new PersistentMap('users');
+const authTokens = new PersistentMap('auth-tokens');
+const publishLog = new PersistentMap('publish-log');
+const ROLES = ['viewer', 'editor', 'publisher', 'admin'];
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const PUBLISH_LOG_LIMIT = 5000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function publicUser(u) {
+  const { passwordHash, ...rest } = u;
+  return rest;
+}
+
+const findUserByEmail = (email) => Array.from(users.values()).find(u => u.email === String(email || '').trim().toLowerCase()) || null;
+
+function validateUser(input, { partial = false } = {}) {
+  if (!partial || 'email' in input) {
+    if (typeof input.email !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(input.email)) return 'email is required';
+  }
+  if (!partial || 'role' in input) {
+    if (!ROLES.includes(input.role)) return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  if (!partial || 'password' in input) {
+    if (typeof input.password !== 'string' || input.password.length < 10) return 'password must be at least 10 characters';
+  }
+  if ('workspaces' in input && !(Array.isArray(input.workspaces) && input.workspaces.every(w => typeof w === 'string'))) return 'workspaces must be an array of workspace IDs';
+  return null;
+}
+
+function createUser({ email, name, password, role, workspaces: allowed = ['*'] }) {
+  const user = {
+    id: `usr_${crypto.randomUUID()}`,
+    email: email.trim().toLowerCase(),
+    name: name || null,
+    role,
+    workspaces: allowed,
+    passwordHash: hashPassword(password),
+    createdAt: Date.now(),
+    disabledAt: null
+  };
+  users.set(user.id, user);
+  return user;
+}
+
+// Tokens are only shown once; we keep their SHA-256.
+function issueToken(user, { kind = 'session', label = null, ttl = SESSION_TTL } = {}) {
+  const token = `${kind === 'api' ? 'cok' : 'cos'}_${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: `tok_${crypto.randomUUID()}`,
+    userId: user.id,
+    kind,
+    label,
+    createdAt: Date.now(),
+    expiresAt: ttl ? Date.now() + ttl : null,
+    lastUsedAt: null
+  };
+  authTokens.set(hashToken(token), record);
+  return { token, ...record };
+}
+
+const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+const canAccessWorkspace = (user, workspaceId) => user.workspaces?.includes('*') || user.workspaces?.includes(workspaceId);
+
+// Without ADMIN_EMAIL/ADMIN_PASSWORD the first admin is created through
+// /api/auth/bootstrap, which needs BOOTSTRAP_TOKEN or, when that is unset, a
+// one-time token printed to the log — whoever reaches the server first can't
+// claim it.
+let bootstrapToken = null;
+if (users.size === 0 && process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+  createUser({ email: process.env.ADMIN_EMAIL, name: 'Admin', password: process.env.ADMIN_PASSWORD, role: 'admin' });
+  console.log(`Auth: created admin ${process.env.ADMIN_EMAIL} from ADMIN_EMAIL/ADMIN_PASSWORD`);
+} else if (users.size === 0) {
+  bootstrapToken = process.env.BOOTSTRAP_TOKEN || crypto.randomBytes(24).toString('base64url');
+  const shown = process.env.BOOTSTRAP_TOKEN ? 'the BOOTSTRAP_TOKEN value' : bootstrapToken;
+  console.warn(`Auth: no users yet — create the first admin with POST /api/auth/bootstrap and header X-Bootstrap-Token: ${shown}`);
+}
+
+function authenticate(req, res, next) {
+  if (req.path === '/auth/login' || req.path === '/auth/bootstrap') return next();
+  // EventSource can't send headers, so the SSE stream also accepts ?access_token=
+  const token = req.headers['x-auth-token'] || (req.path.endsWith('/events') ? req.query.access_token : null);
+  if (!token) return res.status(401).json({ error: 'Authentication required (X-Auth-Token header)' });
+
+  const key = hashToken(String(token));
+  const record = authTokens.get(key);
+  if (!record || (record.expiresAt && record.expiresAt < Date.now())) return res.status(401).json({ error: 'Invalid or expired token' });
+  const user = users.get(record.userId);
+  if (!user || user.disabledAt) return res.status(401).json({ error: 'Account disabled' });
+
+  // touch at most once a minute so busy clients don't rewrite the store every request
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt > 60000) authTokens.set(key, { ...record, lastUsedAt: Date.now() });
+  req.user = user;
+  req.authToken = { key, ...record };
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `Requires ${role} role` });
+    next();
+  };
+}
+
+// Who published what: one entry per publish attempt that reached Webflow.
+// target: 'staged' (item write), 'live' (item publish) or 'site' (site publish)
+function recordPublish({ workspace, actor, collectionId, itemId, source, ok, status, revisionId, target = 'staged', details = null }) {
+  const entry = {
+    id: `pub_${crypto.randomUUID()}`,
+    at: Date.now(),
+    workspaceId: workspace.id,
+    userId: actor?.id || null,
+    userEmail: actor?.email || null,
+    source, target, collectionId, itemId, ok, status,
+    revisionId: revisionId || null,
+    details
+  };
+  publishLog.set(entry.id, entry);
+  if (publishLog.size > PUBLISH_LOG_LIMIT) publishLog.delete(publishLog.keys().next().value);
+  return entry;
+}
+
+app.use('/api', authenticate);
+
+// POST /api/auth/bootstrap — create the first admin; disabled once any user exists
+app.post('/api/auth/bootstrap', (req, res) => {
+  if (users.size > 0) return res.status(409).json({ error: 'Already bootstrapped' });
+  const given = req.headers['x-bootstrap-token'];
+  if (!bootstrapToken || !given || !crypto.timingSafeEqual(Buffer.from(hashToken(String(given)), 'hex'), Buffer.from(hashToken(bootstrapToken), 'hex'))) {
+    return res.status(403).json({ error: 'Missing or wrong X-Bootstrap-Token (see BOOTSTRAP_TOKEN or the server log)' });
+  }
+  const input = { ...req.body, role: 'admin' };
+  const invalid = validateUser(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const user = createUser(input);
+  const session = issueToken(user);
+  bootstrapToken = null;
+  console.log(`Auth: bootstrapped admin ${user.email}`);
+  res.status(201).json({ user: publicUser(user), token: session.token, expiresAt: session.expiresAt });
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const clientIp = req.ip || req.connection.remoteAddress;
+  if (!checkRateLimit(`login:${clientIp}`)) return res.status(429).json({ error: 'Too many login attempts.' });
+
+  const { email, password } = req.body;
+  const user = findUserByEmail(email);
+  if (!user || user.disabledAt || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: 'Invalid email or password' });
+  }
+  const session = issueToken(user);
+  console.log(`Auth: ${user.email} logged in`);
+  res.json({ user: publicUser(user), token: session.token, expiresAt: session.expiresAt });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  authTokens.delete(req.authToken.key);
+  res.json({ loggedOut: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: publicUser(req.user), token: { id: req.authToken.id, kind: req.authToken.kind, expiresAt: req.authToken.expiresAt } });
+});
+
+// API tokens for scripts and integrations; same role as the user who made them.
+app.get('/api/auth/tokens', (req, res) => {
+  const tokens = Array.from(authTokens.values()).filter(t => t.userId === req.user.id && t.kind === 'api');
+  res.json({ tokens });
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+  const days = req.body.expiresInDays == null ? null : parseInt(req.body.expiresInDays, 10);
+  if (days !== null && !(days > 0)) return res.status(400).json({ error: 'expiresInDays must be a positive number' });
+  const issued = issueToken(req.user, { kind: 'api', label: req.body.label || null, ttl: days ? days * 24 * 60 * 60 * 1000 : null });
+  res.status(201).json(issued);
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  const entry = Array.from(authTokens.entries()).find(([, t]) => t.id === req.params.id && t.userId === req.user.id);
+  if (!entry) return res.status(404).json({ error: 'Token not found' });
+  authTokens.delete(entry[0]);
+  res.json({ id: req.params.id, revoked: true });
+});
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json({ users: Array.from(users.values()).map(publicUser) });
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  const { email, name, password, role, workspaces: allowed } = req.body;
+  const input = { email, name, password, role, ...(allowed ? { workspaces: allowed } : {}) };
+  const invalid = validateUser(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (findUserByEmail(email)) return res.status(409).json({ error: 'A user with that email already exists' });
+  const user = createUser(input);
+  console.log(`Auth: ${req.user.email} created ${user.role} ${user.email}`);
+  res.status(201).json(publicUser(user));
+});
+
+app.patch('/api/users/:id', requireRole('admin'), (req, res) => {
+  const before = users.get(req.params.id);
+  if (!before) return res.status(404).json({ error: 'User not found' });
+  const changes = {};
+  for (const k of ['name', 'role', 'workspaces', 'password']) if (k in req.body) changes[k] = req.body[k];
+  const invalid = validateUser(changes, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const { password, ...rest } = changes;
+  const user = { ...before, ...rest, updatedAt: Date.now() };
+  if (password) user.passwordHash = hashPassword(password);
+  users.set(user.id, user);
+  res.json(publicUser(user));
+});
+
+// Disabling keeps the user for the publish log; their tokens are dropped.
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  const user = users.get(req.params.id);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  if (user.id === req.user.id) return res.status(400).json({ error: 'Cannot disable yourself' });
+  users.set(user.id, { ...user, disabledAt: Date.now() });
+  for (const [key, t] of Array.from(authTokens.entries())) if (t.userId === user.id) authTokens.delete(key);
+  res.json({ id: user.id, disabled: true });
+});
+
+// ════════════════════════════════════════════
+// WORKSPACES (multi-brand)
+// Each workspace carries its own brand, fact sheet, Webflow collection,
+// competitor list, finding-type vocabulary and default brandHints. Requests
+// pick one with the X-Workspace header (or ?workspace=); caches, rate limits
+// and stored records are all keyed by it.
+// ════════════════════════════════════════════
+const workspaces = new PersistentMap('workspaces');
+const DEFAULT_WORKSPACE_ID = process.env.DEFAULT_WORKSPACE || 'salesrobot';
+const WORKSPACE_FIELDS = ['name', 'brand', 'website', 'webflow', 'competitors', 'findingTypes', 'brandHints', 'rateLimitPerMinute', 'strictCredentials', 'requireApproval', 'seoFields', 'structuredData', 'unsourcedFixes', 'budgets'];
+
+// Built-in finding types every workspace understands; `brandFindingType`
+// names the brand-specific one ("salesrobot" for the default workspace).
+const BASE_FINDING_TYPES = [
+  { type: 'fix', rule: 'outdated stat/price/feature found via web research' },
+  { type: 'add', rule: 'missing key info (new PAA-worthy points, GSC keyword gaps) — max 3' }
+];
+
+if (!workspaces.has('salesrobot')) {
+  workspaces.set('salesrobot', {
+    id: 'salesrobot',
+    name: 'SalesRobot',
+    brand: 'SalesRobot',
+    website: 'salesrobot.co',
+    webflow: { collectionId: process.env.WEBFLOW_COLLECTION_ID || null, token: process.env.WEBFLOW_TOKEN || null },
+    competitors: ['Expandi', 'Waalaxy', 'Dripify', 'HeyReach', 'Dux-Soup', 'LinkedHelper'],
+    findingTypes: [
+      ...BASE_FINDING_TYPES,
+      { type: 'salesrobot', rule: 'SalesRobot section missing must-have features per the source of truth (voice notes, video messages, AI Appointment Setter, cloud/mobile-API safety)' }
+    ],
+    brandHints: [],
+    rateLimitPerMinute: null,
+    createdAt: Date.now()
+  });
+}
+
+if (!workspaces.has(DEFAULT_WORKSPACE_ID)) {
+  console.warn(`Workspaces: default workspace "${DEFAULT_WORKSPACE_ID}" does not exist — create it with POST /api/workspaces or send X-Workspace`);
+}
+
+const wsKey = (workspace, key) => `${workspace.id}:${key}`;
+
+function validateWorkspace(input, { partial = false } = {}) {
+  if (!partial || 'name' in input) {
+    if (typeof input.name !== 'string' || !input.name.trim()) return 'name is required';
+  }
+  if (!partial || 'brand' in input) {
+    if (typeof input.brand !== 'string' || !input.brand.trim()) return 'brand is required';
+  }
+  if ('competitors' in input && !(Array.isArray(input.competitors) && input.competitors.every(c => typeof c === 'string'))) return 'competitors must be an array of strings';
+  if ('brandHints' in input && !(Array.isArray(input.brandHints) && input.brandHints.every(c => typeof c === 'string'))) return 'brandHints must be an array of strings';
+  if ('findingTypes' in input) {
+    const ok = Array.isArray(input.findingTypes) && input.findingTypes.every(t => /^[a-z][a-z0-9_-]*$/.test(t?.type || '') && typeof t.rule === 'string');
+    if (!ok) return 'findingTypes must be an array of { type, rule } with lowercase type names';
+    if (!input.findingTypes.some(t => t.type === 'fix') || !input.findingTypes.some(t => t.type === 'add')) return 'findingTypes must include "fix" and "add"';
+  }
+  if ('webflow' in input && (typeof input.webflow !== 'object' || input.webflow === null)) return 'webflow must be an object';
+  if ('strictCredentials' in input && typeof input.strictCredentials !== 'boolean') return 'strictCredentials must be a boolean';
+  if ('requireApproval' in input && typeof input.requireApproval !== 'boolean') return 'requireApproval must be a boolean';
+  if ('seoFields' in input && input.seoFields !== null) {
+    const ok = typeof input.seoFields === 'object' && Object.entries(input.seoFields).every(([k, v]) => k in DEFAULT_SEO_FIELDS && typeof v === 'string' && v);
+    if (!ok) return `seoFields must map ${Object.keys(DEFAULT_SEO_FIELDS).join(', ')} to Webflow field slugs`;
+  }
+  if ('unsourcedFixes' in input && input.unsourcedFixes !== null && !UNSOURCED_FIX_POLICIES.includes(input.unsourcedFixes)) return `unsourcedFixes must be one of: ${UNSOURCED_FIX_POLICIES.join(', ')}`;
+  if ('structuredData' in input && input.structuredData !== null) {
+    const sd = input.structuredData;
+    if (typeof sd !== 'object' || Object.keys(sd).some(k => !(k in DEFAULT_STRUCTURED_DATA))) return `structuredData accepts: ${Object.keys(DEFAULT_STRUCTURED_DATA).join(', ')}`;
+    if ('mode' in sd && !['embed', 'field'].includes(sd.mode)) return 'structuredData.mode must be embed or field';
+    if ('field' in sd && !(typeof sd.field === 'string' && sd.field)) return 'structuredData.field must be a Webflow field slug';
+  }
+  if ('budgets' in input && input.budgets !== null) {
+    const b = input.budgets;
+    const keys = [...BUDGET_PERIODS, 'onExceeded', 'downgradeTo'];
+    if (typeof b !== 'object' || Object.keys(b).some(k => !keys.includes(k))) return `budgets accepts: ${keys.join(', ')}`;
+    for (const period of BUDGET_PERIODS) {
+      if (b[period] == null) continue;
+      const cap = b[period];
+      const ok = typeof cap === 'object' && Object.keys(cap).length > 0
+        && Object.entries(cap).every(([k, v]) => ['maxCost', 'maxTokens'].includes(k) && typeof v === 'number' && v > 0);
+      if (!ok) return `budgets.${period} must be { maxCost?, maxTokens? } with positive numbers`;
+    }
+    if ('onExceeded' in b && !BUDGET_POLICIES.includes(b.onExceeded)) return `budgets.onExceeded must be one of: ${BUDGET_POLICIES.join(', ')}`;
+    if ('downgradeTo' in b && !MODEL_MODES.includes(b.downgradeTo)) return `budgets.downgradeTo must be one of: ${MODEL_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+// Never echo stored secrets back to clients.
+function publicWorkspace(ws) {
+  const { token, ...webflow } = ws.webflow || {};
+  return { ...ws, webflow: { ...webflow, collectionId: ws.webflow?.collectionId || null, hasToken: !!defaultCredential(ws, 'webflow') } };
+}
+
+// Sign-in, user and workspace management work without an active workspace,
+// so a DEFAULT_WORKSPACE that does not exist yet can still be created.
+const WORKSPACE_FREE_PATHS = /^\/(auth|users|workspaces)(\/|$)/;
+
+function resolveWorkspace(req, res, next) {
+  if (WORKSPACE_FREE_PATHS.test(req.path)) return next();
+  const id = req.headers['x-workspace'] || req.query.workspace || DEFAULT_WORKSPACE_ID;
+  const workspace = workspaces.get(id);
+  if (!workspace) return res.status(404).json({ error: `Unknown workspace "${id}"` });
+  if (req.user && !canAccessWorkspace(req.user, id)) return res.status(403).json({ error: `No access to workspace "${id}"` });
+  req.workspace = workspace;
+  next();
+}
+
+app.use('/api', resolveWorkspace);
+
+// Stores with per-workspace records register here, so deleting a workspace leaves nothing behind.
+const workspaceCleanups = [];
+function dropWorkspaceRecords(map, workspaceId) {
+  for (const [id, record] of Array.from(map.entries())) if (record.workspaceId === workspaceId) map.delete(id);
+}
+
+// Webflow credentials for the request: token via the vault (reference, inline
+// bearer unless strict, or the workspace's registered token), collection from
+// the request or the workspace default. `error` is set when the vault refuses.
+function webflowAuth(req) {
+  const { value, error } = resolveCredential(req, 'webflow');
+  return {
+    token: value || null,
+    collectionId: req.query.collectionId || req.body?.collectionId || req.workspace.webflow?.collectionId || null,
+    error
+  };
+}
+
+// A `webflow.token` sent with a workspace goes to the vault, never onto the record.
+function takeWebflowToken(input) {
+  if (!input.webflow) return null;
+  const { token, ...webflow } = input.webflow;
+  input.webflow = webflow;
+  return typeof token === 'string' && token ? token : null;
+}
+
+app.get('/api/workspaces', requireRole('viewer'), (req, res) => {
+  const list = Array.from(workspaces.values()).filter(ws => canAccessWorkspace(req.user, ws.id));
+  res.json({ default: DEFAULT_WORKSPACE_ID, workspaces: list.map(publicWorkspace) });
+});
+
+app.get('/api/workspaces/:id', requireRole('viewer'), (req, res) => {
+  const ws = workspaces.get(req.params.id);
+  if (!ws || !canAccessWorkspace(req.user, ws.id)) return res.status(404).json({ error: 'Workspace not found' });
+  res.json(publicWorkspace(ws));
+});
+
+// POST /api/workspaces — optional `factSheet` text seeds the new workspace's facts
+app.post('/api/workspaces', requireRole('admin'), (req, res) => {
+  const { id, factSheet } = req.body;
+  if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]{1,40}$/.test(id)) return res.status(400).json({ error: 'id must be a lowercase slug' });
+  if (workspaces.has(id)) return res.status(409).json({ error: 'Workspace already exists' });
+  const input = {};
+  for (const k of WORKSPACE_FIELDS) if (k in req.body) input[k] = req.body[k];
+  const invalid = validateWorkspace(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const webflowToken = takeWebflowToken(input);
+
+  const brandType = input.brand.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'brand';
+  const ws = {
+    id,
+    website: null,
+    webflow: { collectionId: null },
+    competitors: [],
+    findingTypes: [
+      ...BASE_FINDING_TYPES,
+      { type: brandType, rule: `${input.brand} section missing must-have features per the source of truth` }
+    ],
+    brandHints: [],
+    rateLimitPerMinute: null,
+    ...input,
+    createdAt: Date.now()
+  };
+  workspaces.set(id, ws);
+  if (webflowToken) storeCredential({ workspace: ws, kind: 'webflow', label: 'Webflow', secret: webflowToken });
+  if (typeof factSheet === 'string' && factSheet.trim()) seedFactsFromText(factSheet, id);
+  res.status(201).json(publicWorkspace(ws));
+});
+
+app.patch('/api/workspaces/:id', requireRole('admin'), (req, res) => {
+  const before = workspaces.get(req.params.id);
+  if (!before || !canAccessWorkspace(req.user, before.id)) return res.status(404).json({ error: 'Workspace not found' });
+  const changes = {};
+  for (const k of WORKSPACE_FIELDS) if (k in req.body) changes[k] = req.body[k];
+  const invalid = validateWorkspace(changes, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+  const webflowToken = takeWebflowToken(changes);
+  if (webflowToken) storeCredential({ workspace: before, kind: 'webflow', label: 'Webflow', secret: webflowToken });
+  if (changes.webflow) changes.webflow = { ...before.webflow, ...changes.webflow };
+
+  const ws = { ...before, ...changes, updatedAt: Date.now() };
+  workspaces.set(ws.id, ws);
+  res.json(publicWorkspace(ws));
+});
+
+// Deleting also drops the workspace's credentials, facts, drafts and schedules.
+app.delete('/api/workspaces/:id', requireRole('admin'), (req, res) => {
+  const { id } = req.params;
+  if (!workspaces.has(id) || !canAccessWorkspace(req.user, id)) return res.status(404).json({ error: 'Workspace not found' });
+  if (id === DEFAULT_WORKSPACE_ID) return res.status(400).json({ error: 'Cannot delete the default workspace' });
+  workspaces.delete(id);
+  for (const cleanup of workspaceCleanups) cleanup(id);
+  console.log(`Workspaces: ${req.user.email} deleted "${id}"`);
+  res.json({ id, deleted: true });
+});
+
+// ════════════════════════════════════════════
+// CREDENTIAL VAULT
+// API keys are registered once per workspace (or per user) and encrypted
+// at rest with AES-256-GCM. Routes accept a reference (anthropicKeyRef,
+// braveKeyRef, googleKeyRef, googleCxRef, serviceAccountRef, or the
+// X-Webflow-Token-Ref header) and fall back to the caller's own key, then
+// the workspace key. With VAULT_STRICT=true (or a workspace's
+// strictCredentials flag) inline secrets are rejected outright.
+// ════════════════════════════════════════════
+const credentials = new PersistentMap('credentials');
+workspaceCleanups.push((id) => dropWorkspaceRecords(credentials, id));
+const VAULT_STRICT = process.env.VAULT_STRICT === 'true';
+const CREDENTIAL_KINDS = {
+  anthropic: { field: 'anthropicKey' },
+  openai: { field: 'openaiKey' },
+  brave: { field: 'braveKey' },
+  google: { field: 'googleKey' },
+  googleCx: { field: 'googleCx' },
+  gsc: { field: 'serviceAccount' },
+  webflow: { field: 'webflowToken' }
+};
+
+// A generated key sits next to the ciphertexts it protects, so production must bring its own.
+function loadVaultKey() {
+  if (process.env.VAULT_KEY) return crypto.createHash('sha256').update(process.env.VAULT_KEY).digest();
+  if (process.env.NODE_ENV === 'production') throw new Error('VAULT_KEY is required when NODE_ENV=production');
+  if (storage.driver === 'memory') return crypto.randomBytes(32);
+  const keyFile = path.join(DATA_DIR, 'vault.key');
+  try {
+    return Buffer.from(fs.readFileSync(keyFile, 'utf8').trim(), 'base64');
+  } catch {
+    const key = crypto.randomBytes(32);
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(keyFile, key.toString('base64'), { mode: 0o600 });
+    console.warn(`VAULT_KEY not set — generated ${keyFile} next to the data it protects; production refuses to start without VAULT_KEY.`);
+    return key;
+  }
+}
+
+const vaultKey = loadVaultKey();
+
+// The credential ID is bound in as AAD so ciphertexts can't be swapped between records.
+function encryptSecret(id, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', vaultKey, iv);
+  cipher.setAAD(Buffer.from(id));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decryptSecret(id, secret) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', vaultKey, Buffer.from(secret.iv, 'base64'));
+  decipher.setAAD(Buffer.from(id));
+  decipher.setAuthTag(Buffer.from(secret.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(secret.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function requestUserId(req) {
+  return req.user?.id || null;
+}
+
+function isStrictCredentials(workspace) {
+  return VAULT_STRICT || !!workspace.strictCredentials;
+}
+
+function publicCredential(c) {
+  const { secret, ...meta } = c;
+  return meta;
+}
+
+// Service-account JSON always ends in `"}`, so it is labelled by its client_email instead.
+function credentialHint(kind, plaintext) {
+  if (kind === 'gsc') {
+    try { return JSON.parse(plaintext).client_email || null; } catch { return null; }
+  }
+  return plaintext.length > 8 ? `…${plaintext.slice(-4)}` : null;
+}
+
+function storeCredential({ workspace, owner, kind, label, secret }) {
+  const id = `cred_${crypto.randomUUID()}`;
+  const plaintext = typeof secret === 'string' ? secret : JSON.stringify(secret);
+  const cred = {
+    id,
+    workspaceId: workspace.id,
+    owner: owner || null,
+    kind,
+    label: label || kind,
+    hint: credentialHint(kind, plaintext),
+    version: 1,
+    secret: encryptSecret(id, plaintext),
+    createdAt: Date.now(),
+    rotatedAt: null,
+    revokedAt: null,
+    lastUsedAt: null
+  };
+  credentials.set(id, cred);
+  return cred;
+}
+
+// Usable = same workspace, not revoked, and either shared or owned by the caller.
+function findUsableCredential(req, id) {
+  const cred = credentials.get(id);
+  if (!cred || cred.workspaceId !== req.workspace.id || cred.revokedAt) return null;
+  if (cred.owner && cred.owner !== requestUserId(req)) return null;
+  return cred;
+}
+
+// The caller's own key of this kind wins over the workspace-shared one; newest first.
+function defaultCredential(workspace, kind, userId = null) {
+  const candidates = Array.from(credentials.values())
+    .filter(c => c.workspaceId === workspace.id && c.kind === kind && !c.revokedAt)
+    .sort((a, b) => (b.rotatedAt || b.createdAt) - (a.rotatedAt || a.createdAt));
+  return (userId && candidates.find(c => c.owner === userId)) || candidates.find(c => !c.owner) || null;
+}
+
+function useCredential(cred) {
+  credentials.set(cred.id, { ...cred, lastUsedAt: Date.now() });
+  return decryptSecret(cred.id, cred.secret);
+}
+
+// Resolve one secret for the request: explicit reference, then inline value
+// (unless strict), then the caller's/workspace's registered default.
+// Returns { value } or { error }.
+function resolveCredential(req, kind) {
+  const { field } = CREDENTIAL_KINDS[kind];
+  const inline = kind === 'webflow' ? req.headers.authorization?.replace('Bearer ', '') : req.body?.[field];
+  const ref = kind === 'webflow'
+    ? req.headers['x-webflow-token-ref'] || req.query.webflowTokenRef
+    : req.body?.[`${field}Ref`];
+
+  if (ref) {
+    const cred = findUsableCredential(req, ref);
+    if (!cred || cred.kind !== kind) return { error: `Credential ${ref} not found, revoked, or not of kind "${kind}"` };
+    return { value: useCredential(cred) };
+  }
+  if (inline) {
+    if (isStrictCredentials(req.workspace)) {
+      return { error: `Inline ${field} rejected (strict credential mode). Register it via /api/credentials and send a reference instead.` };
+    }
+    return { value: inline };
+  }
+  const fallback = defaultCredential(req.workspace, kind, requestUserId(req));
+  return { value: fallback ? useCredential(fallback) : null };
+}
+
+// Background work (schedules) has no request: use the owner's or the workspace's registered key.
+function storedCredential(workspace, kind, userId = null) {
+  const cred = defaultCredential(workspace, kind, userId);
+  return cred ? useCredential(cred) : null;
+}
+
+// Resolve several kinds at once into { anthropicKey, braveKey, ... } field names.
+function resolveCredentials(req, kinds) {
+  const out = {};
+  for (const kind of kinds) {
+    const { value, error } = resolveCredential(req, kind);
+    if (error) return { error };
+    out[CREDENTIAL_KINDS[kind].field] = value;
+  }
+  return { values: out };
+}
+
+// Strip inline secrets and references from a body before it is kept around (e.g. in a job).
+function withoutCredentialFields(body) {
+  const out = { ...body };
+  for (const { field } of Object.values(CREDENTIAL_KINDS)) {
+    delete out[field];
+    delete out[`${field}Ref`];
+  }
+  return out;
+}
+
+// Webflow tokens stored on workspaces before the vault existed (including
+// WEBFLOW_TOKEN on first boot) move into it.
+for (const ws of Array.from(workspaces.values())) {
+  if (!ws.webflow?.token) continue;
+  const { token, ...webflow } = ws.webflow;
+  storeCredential({ workspace: ws, kind: 'webflow', label: 'Webflow (migrated)', secret: token });
+  workspaces.set(ws.id, { ...ws, webflow });
+  console.log(`Vault: moved Webflow token for workspace "${ws.id}" into the credential store`);
+}
+
+app.get('/api/credentials', requireRole('editor'), (req, res) => {
+  const userId = requestUserId(req);
+  const list = Array.from(credentials.values())
+    .filter(c => c.workspaceId === req.workspace.id && (!c.owner || c.owner === userId))
+    .filter(c => req.query.includeRevoked === 'true' || !c.revokedAt)
+    .map(publicCredential);
+  res.json({ strict: isStrictCredentials(req.workspace), credentials: list });
+});
+
+// POST /api/credentials — { kind, secret, label?, scope: 'workspace' | 'user' }
+app.post('/api/credentials', requireRole('editor'), (req, res) => {
+  const { kind, secret, label, scope = 'workspace' } = req.body;
+  if (!CREDENTIAL_KINDS[kind]) return res.status(400).json({ error: `kind must be one of: ${Object.keys(CREDENTIAL_KINDS).join(', ')}` });
+  if (!secret || (typeof secret !== 'string' && typeof secret !== 'object')) return res.status(400).json({ error: 'Missing secret' });
+  if (!['workspace', 'user'].includes(scope)) return res.status(400).json({ error: 'scope must be workspace or user' });
+  if (scope === 'workspace' && !hasRole(req.user, 'admin')) return res.status(403).json({ error: 'Workspace credentials require admin role' });
+  const owner = scope === 'user' ? requestUserId(req) : null;
+
+  const cred = storeCredential({ workspace: req.workspace, owner, kind, label, secret });
+  console.log(`Vault: registered ${kind} credential ${cred.id} (${scope})`);
+  res.status(201).json(publicCredential(cred));
+});
+
+app.post('/api/credentials/:id/rotate', requireRole('editor'), (req, res) => {
+  const cred = findUsableCredential(req, req.params.id);
+  if (!cred) return res.status(404).json({ error: 'Credential not found' });
+  if (!cred.owner && !hasRole(req.user, 'admin')) return res.status(403).json({ error: 'Workspace credentials require admin role' });
+  const { secret } = req.body;
+  if (!secret) return res.status(400).json({ error: 'Missing secret' });
+
+  const plaintext = typeof secret === 'string' ? secret : JSON.stringify(secret);
+  const rotated = {
+    ...cred,
+    secret: encryptSecret(cred.id, plaintext),
+    hint: credentialHint(cred.kind, plaintext),
+    version: cred.version + 1,
+    rotatedAt: Date.now()
+  };
+  credentials.set(cred.id, rotated);
+  console.log(`Vault: rotated ${cred.id} to v${rotated.version}`);
+  res.json(publicCredential(rotated));
+});
+
+// DELETE revokes: the record stays for audit, the ciphertext is wiped.
+app.delete('/api/credentials/:id', requireRole('editor'), (req, res) => {
+  const cred = findUsableCredential(req, req.params.id);
+  if (!cred) return res.status(404).json({ error: 'Credential not found' });
+  if (!cred.owner && !hasRole(req.user, 'admin')) return res.status(403).json({ error: 'Workspace credentials require admin role' });
+  const revoked = { ...cred, secret: null, revokedAt: Date.now() };
+  credentials.set(cred.id, revoked);
+  console.log(`Vault: revoked ${cred.id}`);
+  res.json(publicCredential(revoked));
+});
+
 // ════════════════════════════════════════════
 // FETCH WITH TIMEOUT & RETRY
 // ════════════════════════════════════════════
+// An optional options.signal (e.g. a job's cancel signal) aborts the request
+// and suppresses further retries.
 async function fetchWithTimeout(url, options = {}, timeoutMs = 30000, retries = 3) {
+  const { signal: outerSignal, ...fetchOptions } = options;
   for (let attempt = 1; attempt <= retries; attempt++) {
+    const controller = new AbortController();
+    const onOuterAbort = () => controller.abort();
+    outerSignal?.addEventListener('abort', onOuterAbort, { once: true });
     try {
-      const controller = new AbortController();
+      if (outerSignal?.aborted) controller.abort();
       const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-      const response = await fetch(url, { ...options, signal: controller.signal });
+      const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
       clearTimeout(timeoutId);
       return response;
     } catch (error) {
-      if (attempt === retries) throw error;
+      if (attempt === retries || outerSignal?.aborted) throw error;
       const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
       console.log(`Retry ${attempt}/${retries} after ${delay}ms...`);
       await new Promise(r => setTimeout(r, delay));
+    } finally {
+      outerSignal?.removeEventListener('abort', onOuterAbort);
     }
   }
 }
 
+// WEBFLOW_API_BASE lets tests point the client at a local Webflow stand-in.
+const WEBFLOW_API_BASE = (process.env.WEBFLOW_API_BASE || 'https://api.webflow.com/v2').replace(/\/$/, '');
+
 async function fetchAllBlogs(collectionId, token) {
   console.log('Fetching blogs from Webflow...');
 
   // Fetch first page to learn the total, then fetch remaining pages in parallel.
-  const firstUrl = `https://api.webflow.com/v2/collections/${collectionId}/items?limit=100&offset=0`;
+  const firstUrl = `${WEBFLOW_API_BASE}/collections/${collectionId}/items?limit=100&offset=0`;
   const firstRes = await fetchWithTimeout(firstUrl, {
     headers: { 'Authorization': `Bearer ${token}`, 'accept': 'application/json' }
   }, 20000, 3);
@@ -119,7 +1019,7 @@ async function fetchAllBlogs(collectionId, token) {
   for (let o = 100; o < total; o += 100) offsets.push(o);
 
   const fetchPage = async (offset) => {
-    const url = `https://api.webflow.com/v2/collections/${collectionId}/items?limit=100&offset=${offset}`;
+    const url = `${WEBFLOW_API_BASE}/collections/${collectionId}/items?limit=100&offset=${offset}`;
     const r = await fetchWithTimeout(url, {
       headers: { 'Authorization': `Bearer ${token}`, 'accept': 'application/json' }
     }, 20000, 3);
@@ -140,113 +1040,378 @@ async function fetchAllBlogs(collectionId, token) {
   return items.filter(i => { if (seen.has(i.id)) return false; seen.add(i.id); return true; });
 }
 
-// ════════════════════════════════════════════
-// WIDGET PROTECTION (nested-tag-aware)
-// ════════════════════════════════════════════
-function protectWidgets(html) {
-  const widgets = [];
-
-  function extractBlock(src, startIdx, tagName) {
-    const openTag = '<' + tagName;
-    const closeTag = '</' + tagName + '>';
-    const openLen = openTag.length;
-    const closeLen = closeTag.length;
-    let depth = 1;
-    const firstClose = src.indexOf('>', startIdx);
-    if (firstClose === -1) return null;
-    if (src[firstClose - 1] === '/') return src.substring(startIdx, firstClose + 1);
-    let i = firstClose + 1;
-    const srcLower = src.toLowerCase();
-    const openLower = openTag.toLowerCase();
-    const closeLower = closeTag.toLowerCase();
-    while (i < src.length && depth > 0) {
-      const nextOpen = srcLower.indexOf(openLower, i);
-      const nextClose = srcLower.indexOf(closeLower, i);
-      if (nextClose === -1) break;
-      if (nextOpen !== -1 && nextOpen < nextClose) {
-        depth++;
-        i = nextOpen + openLen;
-      } else {
-        depth--;
-        if (depth === 0) return src.substring(startIdx, nextClose + closeLen);
-        i = nextClose + closeLen;
-      }
-    }
-    const fb = srcLower.indexOf(closeLower, startIdx + openLen);
-    return fb !== -1 ? src.substring(startIdx, fb + closeLen) : null;
+// Collection items through the workspace-scoped blog cache.
+async function getCollectionItems(workspace, collectionId, token) {
+  const cacheKey = wsKey(workspace, collectionId);
+  let items = getFromCache(blogCache, cacheKey, BLOG_CACHE_TTL);
+  if (!items) {
+    items = await fetchAllBlogs(collectionId, token);
+    setCache(blogCache, cacheKey, items);
   }
+  return items;
+}
 
-  const patterns = [
-    /<div[^>]*class="[^"]*(?:w-embed|w-widget|widget|embed)[^"]*"[^>]*>/gi,
-    /<table[^>]*/gi,
-    /<iframe[^>]*/gi,
-    /<script[^>]*/gi,
-    /<figure[^>]*/gi,
-    /<video[^>]*/gi,
-    /<embed[^>]*/gi,
-    /<object[^>]*/gi,
-  ];
+async function fetchItem(collectionId, itemId, token, { live = false } = {}) {
+  const r = await fetchWithTimeout(
+    `${WEBFLOW_API_BASE}/collections/${collectionId}/items/${itemId}${live ? '/live' : ''}`,
+    { headers: { 'Authorization': `Bearer ${token}`, 'accept': 'application/json' } }, 15000, 2
+  );
+  if (!r.ok) {
+    const t = await r.text();
+    const err = new Error(`Webflow ${r.status}: ${t.slice(0, 300)}`);
+    err.status = r.status;
+    throw err;
+  }
+  return r.json();
+}
 
-  const found = [];
-  for (const pattern of patterns) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(html)) !== null) {
-      const tagMatch = match[0].match(/^<(\w+)/);
-      if (!tagMatch) continue;
-      const block = extractBlock(html, match.index, tagMatch[1]);
-      if (!block) continue;
-      const endIdx = match.index + block.length;
-      const overlaps = found.some(f =>
-        (match.index >= f.start && match.index < f.end) ||
-        (endIdx > f.start && endIdx <= f.end)
-      );
-      if (!overlaps) found.push({ start: match.index, end: endIdx, content: block });
-    }
+// The copy readers see; an item that was never published only has a staged copy.
+async function fetchReaderCopy(collectionId, itemId, token) {
+  try {
+    return { item: await fetchItem(collectionId, itemId, token, { live: true }), snapshotOf: 'live' };
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    return { item: await fetchItem(collectionId, itemId, token), snapshotOf: 'staged' };
   }
+}
 
-  found.sort((a, b) => a.start - b.start);
+// Normalizing publish path shared by PATCH /api/webflow, staged campaign items
+// and revision restores. The live fieldData is snapshotted first so every
+// publish can be rolled back.
+// Webflow keeps a staged and a live copy of every item. A PATCH only changes
+// the staged copy; visitors see it once the item (or the site) is published.
+function itemState(item) {
+  if (!item) return null;
+  const lastUpdated = item.lastUpdated || null;
+  const lastPublished = item.lastPublished || null;
+  return {
+    isDraft: !!item.isDraft,
+    isArchived: !!item.isArchived,
+    lastPublished,
+    lastUpdated,
+    live: !item.isDraft && !item.isArchived && !!lastPublished,
+    hasUnpublishedChanges: !lastPublished || (!!lastUpdated && new Date(lastUpdated) > new Date(lastPublished))
+  };
+}
 
-  let protectedHtml = html;
-  let offset = 0;
-  for (const item of found) {
-    const id = `___WIDGET_${widgets.length}___`;
-    widgets.push(item.content);
-    const s = item.start + offset;
-    const e = item.end + offset;
-    protectedHtml = protectedHtml.substring(0, s) + id + protectedHtml.substring(e);
-    offset += id.length - (item.end - item.start);
-  }
+async function webflowPost(pathname, token, body, timeoutMs = 30000) {
+  const r = await fetchWithTimeout(`${WEBFLOW_API_BASE}${pathname}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', 'accept': 'application/json' },
+    body: JSON.stringify(body)
+  }, timeoutMs, 2);
+  const data = await r.json().catch(() => ({}));
+  return { ok: r.ok, status: r.status, data };
+}
 
-  // record nearest preceding heading for each widget (anchor for recovery)
-  const anchored = widgets.map((content, i) => {
-    // find this widget's placeholder position in protectedHtml
-    const pos = protectedHtml.indexOf(`___WIDGET_${i}___`);
-    let anchor = null;
-    if (pos > -1) {
-      const before = protectedHtml.substring(0, pos);
-      const hMatch = before.match(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>(?![\s\S]*<h[1-6])/i);
-      if (hMatch) anchor = hMatch[0];
-    }
-    return { content, anchor };
-  });
+const publishItemsLive = (collectionId, itemIds, token) =>
+  webflowPost(`/collections/${collectionId}/items/publish`, token, { itemIds });
 
-  return { protectedHtml, widgets: anchored };
+async function fetchCustomDomains(siteId, token) {
+  const r = await fetchWithTimeout(
+    `${WEBFLOW_API_BASE}/sites/${siteId}/custom_domains`,
+    { headers: { 'Authorization': `Bearer ${token}`, 'accept': 'application/json' } }, 15000, 2
+  );
+  if (!r.ok) { const t = await r.text(); throw new Error(`Webflow ${r.status}: ${t.slice(0, 300)}`); }
+  return (await r.json()).customDomains || [];
 }
 
-function restoreWidgets(html, widgets) {
-  let restored = html;
-  const warnings = [];
+// `live` also publishes the item after the staged write; `isDraft` flips the
+// item's draft flag (drafts are skipped by item and site publishes).
+async function publishItem({ workspace, actor, collectionId, itemId, token, fieldData, source = 'publish', live = false, isDraft }) {
+  // server-side guarantee: lists always Webflow-safe regardless of frontend state
+  if (fieldData && fieldData['post-body']) {
+    fieldData['post-body'] = balanceInlineTags(normalizeListsForWebflow(fieldData['post-body']));
+  }
 
-  widgets.forEach((w, i) => {
-    const widget = w.content;
-    const exact = `___WIDGET_${i}___`;
+  let revision;
+  try {
+    const { item, snapshotOf } = await fetchReaderCopy(collectionId, itemId, token);
+    revision = saveRevision(workspace, collectionId, item, source, snapshotOf);
+  } catch (err) {
+    // never overwrite a post we could not back up
+    console.error(`Revision snapshot failed for ${itemId}:`, err.message);
+    return { ok: false, status: 502, data: { error: `Could not snapshot current revision: ${err.message}` } };
+  }
 
-    // 1) exact match
-    if (restored.includes(exact)) {
+  const url = `${WEBFLOW_API_BASE}/collections/${collectionId}/items/${itemId}`;
+  const response = await fetchWithTimeout(url, {
+    method: 'PATCH',
+    headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', 'accept': 'application/json' },
+    body: JSON.stringify({ fieldData, ...(typeof isDraft === 'boolean' ? { isDraft } : {}) })
+  }, 60000, 3);
+  const data = await response.json();
+  recordPublish({ workspace, actor, collectionId, itemId, source, ok: response.ok, status: response.status, revisionId: revision.id });
+  if (!response.ok) return { ok: false, status: response.status, data };
+  blogCache.delete(wsKey(workspace, collectionId));
+  console.log(`Published: ${itemId} (previous version saved as ${revision.id})`);
+
+  // the staged write stands even if going live fails; the caller sees itemPublish.ok === false
+  let itemPublish = null;
+  let latest = data;
+  if (live) {
+    const pub = await publishItemsLive(collectionId, [itemId], token);
+    recordPublish({ workspace, actor, collectionId, itemId, source, ok: pub.ok, status: pub.status, revisionId: revision.id, target: 'live' });
+    itemPublish = { ok: pub.ok, status: pub.status, error: pub.ok ? null : pub.data?.message || 'Item publish failed' };
+    if (pub.ok) {
+      console.log(`  ${itemId} published live`);
+      latest = await fetchItem(collectionId, itemId, token).catch(() => data);
+    }
+  }
+  return { ok: true, status: response.status, data: latest, revisionId: revision.id, state: itemState(latest), itemPublish };
+}
+
+// ════════════════════════════════════════════
+// HTML DOM (parse → edit → serialize)
+// A tolerant parser for post-body HTML. Every node keeps its source offsets
+// and serializing copies the original bytes of any node no edit touched, so
+// attribute quoting, entity spelling, tag case and whitespace survive the
+// round trip exactly. Tag names match case-insensitively, quoted attribute
+// values may contain '>', void and '/>' tags are leaves, and script/style/
+// iframe content is raw text. An element left open is closed implicitly by
+// an ancestor's end tag, a sibling <li>/<td>/… or the end of the input —
+// `closeStart` is null then, and no end tag is written unless an edit sets
+// `closeTag`. End tags that match nothing open become 'stray' nodes.
+// ════════════════════════════════════════════
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'iframe', 'noscript']);
+const INLINE_ELEMENTS = new Set(['a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'del', 'dfn', 'em', 'font', 'i', 'ins', 'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'sup', 'time', 'u', 'var']);
+// Opening the key element closes an open one of `closes`, searching no further up than `scope`.
+const IMPLIED_END = {
+  li: { closes: ['li'], scope: ['ul', 'ol'] },
+  dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+  dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+  tr: { closes: ['tr'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  option: { closes: ['option'], scope: ['select', 'datalist'] }
+};
+const TAG_NAME_RE = /[a-zA-Z][^\s/>]*/y;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+// Index just past the '>' closing the start tag whose attributes begin at `from`, or -1.
+// Quotes only open a value right after '='.
+function startTagEnd(src, from) {
+  let i = from;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '>') return i + 1;
+    i++;
+    if (ch !== '=') continue;
+    while (i < src.length && /\s/.test(src[i])) i++;
+    if (src[i] === '"' || src[i] === "'") {
+      const close = src.indexOf(src[i], i + 1);
+      if (close === -1) return -1;
+      i = close + 1;
+    }
+  }
+  return -1;
+}
+
+function parseHtml(src) {
+  const root = { type: 'root', start: 0, end: src.length, children: [], parent: null, src };
+  const stack = [root];
+  const add = (node) => {
+    node.parent = stack[stack.length - 1];
+    node.parent.children.push(node);
+    return node;
+  };
+  const closeAbove = (depth, at) => {
+    while (stack.length > depth) Object.assign(stack.pop(), { end: at, closeStart: null });
+  };
+
+  let textStart = 0;
+  let i = 0;
+  // text since the previous tag belongs to whatever is open when the next tag starts
+  const flushText = () => {
+    if (i > textStart) add({ type: 'text', start: textStart, end: i });
+  };
+  const leaf = (node) => {
+    add(node);
+    textStart = i = node.end;
+    return node;
+  };
+
+  while ((i = src.indexOf('<', i)) !== -1) {
+    const next = src[i + 1];
+    if (src.startsWith('<!--', i)) {
+      const close = src.indexOf('-->', i + 4);
+      flushText();
+      leaf({ type: 'comment', start: i, end: close === -1 ? src.length : close + 3 });
+      continue;
+    }
+    if (next === '!' || next === '?') {
+      const close = src.indexOf('>', i);
+      flushText();
+      leaf({ type: 'comment', start: i, end: close === -1 ? src.length : close + 1 });
+      continue;
+    }
+
+    TAG_NAME_RE.lastIndex = i + (next === '/' ? 2 : 1);
+    const nameMatch = TAG_NAME_RE.exec(src);
+    if (!nameMatch) { i++; continue; }
+    const name = nameMatch[0].toLowerCase();
+
+    if (next === '/') {
+      const close = src.indexOf('>', TAG_NAME_RE.lastIndex);
+      if (close === -1) { i++; continue; }
+      flushText();
+      // an inline end tag never closes across a block (`<b><p>x</b>` leaves the <p> open)
+      let depth = stack.length - 1;
+      while (depth > 0 && stack[depth].name !== name && !(INLINE_ELEMENTS.has(name) && !INLINE_ELEMENTS.has(stack[depth].name))) depth--;
+      if (depth > 0 && stack[depth].name === name) {
+        closeAbove(depth + 1, i);
+        Object.assign(stack.pop(), { closeStart: i, end: close + 1 });
+        textStart = i = close + 1;
+      } else {
+        leaf({ type: 'stray', name, start: i, end: close + 1 });
+      }
+      continue;
+    }
+
+    const openEnd = startTagEnd(src, TAG_NAME_RE.lastIndex);
+    if (openEnd === -1) { i++; continue; }
+    flushText();
+    const implied = IMPLIED_END[name];
+    if (implied) {
+      for (let depth = stack.length - 1; depth > 0 && !implied.scope.includes(stack[depth].name); depth--) {
+        if (implied.closes.includes(stack[depth].name)) { closeAbove(depth, i); break; }
+      }
+    }
+    const el = leaf({
+      type: 'element', name, start: i, openEnd, closeStart: null, end: openEnd, children: [],
+      selfClosing: VOID_ELEMENTS.has(name) || src[openEnd - 2] === '/'
+    });
+    if (el.selfClosing) continue;
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const closeRe = new RegExp(`</${name}(?=[\\s/>])`, 'ig');
+      closeRe.lastIndex = openEnd;
+      const m = closeRe.exec(src);
+      const closeEnd = m ? src.indexOf('>', m.index) + 1 : 0;
+      const contentEnd = closeEnd ? m.index : src.length;
+      if (contentEnd > openEnd) el.children.push({ type: 'text', start: openEnd, end: contentEnd, parent: el });
+      Object.assign(el, { closeStart: closeEnd ? m.index : null, end: closeEnd || src.length });
+      textStart = i = el.end;
+      continue;
+    }
+    stack.push(el);
+  }
+  i = src.length;
+  flushText();
+  closeAbove(1, src.length);
+  return root;
+}
+
+// The whole document, or one node of it as it reads after edits.
+function serializeHtml(root, node = root) {
+  const emit = (node) => {
+    if (node.replacement != null) return node.replacement;
+    if (!node.changed) return root.src.slice(node.start, node.end);
+    const inner = node.children.map(emit).join('');
+    if (node.type === 'root') return inner;
+    const open = node.openTag ?? root.src.slice(node.start, node.openEnd);
+    const close = node.closeStart != null ? root.src.slice(node.closeStart, node.end) : node.closeTag || '';
+    return open + inner + close;
+  };
+  return emit(node);
+}
+
+// Pre-order; returning false from `visit` skips the node's children.
+function walkHtml(node, visit) {
+  for (const child of node.children || []) {
+    if (visit(child) !== false) walkHtml(child, visit);
+  }
+}
+
+// Mark a node and its ancestors for re-emission; everything else is copied from source.
+function touchNode(node) {
+  for (let n = node; n && !n.changed; n = n.parent) n.changed = true;
+}
+
+function replaceNode(node, html) {
+  node.replacement = html;
+  touchNode(node);
+}
+
+function setOpenTag(node, tag) {
+  node.openTag = tag;
+  touchNode(node);
+}
+
+function setCloseTag(node, tag) {
+  node.closeTag = tag;
+  touchNode(node);
+}
+
+const outerHtml = (src, node) => src.slice(node.start, node.end);
+const innerHtml = (src, node) => src.slice(node.openEnd, node.closeStart ?? node.end);
+
+// Lowercased attribute names → raw (undecoded) values; the first of a repeated name wins.
+function htmlAttrs(src, node) {
+  const attrs = {};
+  const body = src.slice(node.start + 1 + node.name.length, node.openEnd - 1);
+  for (const m of body.matchAll(ATTR_RE)) {
+    const key = m[1].toLowerCase();
+    if (!(key in attrs)) attrs[key] = m[2] ?? m[3] ?? m[4] ?? '';
+  }
+  return attrs;
+}
+
+// ════════════════════════════════════════════
+// WIDGET PROTECTION (nested-tag-aware)
+// ════════════════════════════════════════════
+const WIDGET_ELEMENTS = new Set(['table', 'iframe', 'script', 'figure', 'video', 'embed', 'object']);
+const WIDGET_CLASS_RE = /w-embed|w-widget|widget|embed/i;
+const isHeading = (node) => node.type === 'element' && /^h[1-6]$/.test(node.name) && node.closeStart != null;
+
+// Outermost widgets only (a table inside a figure travels with the figure).
+// Elements left unclosed are not widgets: their extent is a guess.
+function protectWidgets(html) {
+  const root = parseHtml(html);
+  const found = [];
+  const headings = [];
+  walkHtml(root, (node) => {
+    if (node.type !== 'element') return;
+    if (isHeading(node)) headings.push(node);
+    const widget = WIDGET_ELEMENTS.has(node.name) || (node.name === 'div' && WIDGET_CLASS_RE.test(htmlAttrs(html, node).class || ''));
+    if (!widget || !(node.selfClosing || node.closeStart != null)) return;
+    let end = node.end;
+    // <embed> is void, but editors often write a matching </embed>
+    const siblings = node.parent.children;
+    const after = siblings[siblings.indexOf(node) + 1];
+    if (node.selfClosing && after?.type === 'stray' && after.name === node.name) {
+      end = after.end;
+      replaceNode(after, '');
+    }
+    found.push({ node, content: html.slice(node.start, end) });
+    replaceNode(node, `___WIDGET_${found.length - 1}___`);
+    return false;
+  });
+
+  // nearest heading closed before each widget, as it reads in the protected HTML (anchor for recovery)
+  const widgets = found.map(({ node, content }) => {
+    const heading = headings.findLast(h => h.end <= node.start);
+    return { content, anchor: heading ? serializeHtml(root, heading) : null };
+  });
+
+  return { protectedHtml: serializeHtml(root), widgets };
+}
+
+function restoreWidgets(html, widgets) {
+  let restored = html;
+  const warnings = [];
+  const placements = []; // how each widget got back in: exact | tolerant | anchor | appended
+
+  widgets.forEach((w, i) => {
+    const widget = w.content;
+    const exact = `___WIDGET_${i}___`;
+
+    // 1) exact match
+    if (restored.includes(exact)) {
       restored = restored.split(exact).join('\u0000PLACEHOLDER\u0000');
       restored = restored.replace('\u0000PLACEHOLDER\u0000', widget);
       restored = restored.split('\u0000PLACEHOLDER\u0000').join('');
+      placements.push({ index: i, method: 'exact' });
       return;
     }
 
@@ -260,6 +1425,7 @@ function restoreWidgets(html, widgets) {
       // clean any duplicates of the same index
       restored = restored.replace(new RegExp('(?:\\\\?_){2,}\\s*WIDGET\\s*(?:\\\\?_)*\\s*' + i + '\\s*(?:\\\\?_){2,}', 'g'), '');
       console.warn(`  ⚠ Widget ${i}: restored via tolerant match`);
+      placements.push({ index: i, method: 'tolerant' });
       return;
     }
 
@@ -268,6 +1434,7 @@ function restoreWidgets(html, widgets) {
       restored = restored.replace(w.anchor, w.anchor + '\n' + widget);
       warnings.push(`Widget ${i} placeholder was lost by the model — re-inserted after its original heading. Please verify its position.`);
       console.warn(`  ⚠ Widget ${i}: recovered via heading anchor`);
+      placements.push({ index: i, method: 'anchor' });
       return;
     }
 
@@ -275,9 +1442,10 @@ function restoreWidgets(html, widgets) {
     restored += '\n' + widget;
     warnings.push(`Widget ${i} could not be repositioned — appended at the end of the blog. Please move it back manually.`);
     console.warn(`  ⚠ Widget ${i}: appended at end`);
+    placements.push({ index: i, method: 'appended' });
   });
 
-  return { restored, warnings };
+  return { restored, warnings, placements };
 }
 
 // ════════════════════════════════════════════
@@ -285,15 +1453,20 @@ function restoreWidgets(html, widgets) {
 // Fixes: editor-created lists nested in <div>/<p> wrappers (Webflow drops
 // these silently) and missing role attributes.
 // ════════════════════════════════════════════
+const LIST_ROLES = { ul: 'list', ol: 'list', li: 'listitem' };
+
 function normalizeListsForWebflow(html) {
-  let out = html;
   // ONLY add role attributes — surgical, zero structural changes.
-  // The previous div/p unwrapping regexes used [\s\S]*? which matched across
-  // hundreds of lines and broke video embeds and other widgets. Removed permanently.
-  out = out.replace(/<ul(?![^>]*\brole=)([^>]*)>/gi, '<ul role="list"$1>');
-  out = out.replace(/<ol(?![^>]*\brole=)([^>]*)>/gi, '<ol role="list"$1>');
-  out = out.replace(/<li(?![^>]*\brole=)([^>]*)>/gi, '<li role="listitem"$1>');
-  return out;
+  // The old div/p unwrapping regexes matched across hundreds of lines and
+  // broke video embeds and other widgets. Removed permanently.
+  const root = parseHtml(html);
+  walkHtml(root, (node) => {
+    const role = node.type === 'element' && LIST_ROLES[node.name];
+    if (!role || 'role' in htmlAttrs(html, node)) return;
+    const nameEnd = node.start + 1 + node.name.length;
+    setOpenTag(node, `${html.slice(node.start, nameEnd)} role="${role}"${html.slice(nameEnd, node.openEnd)}`);
+  });
+  return serializeHtml(root);
 }
 
 // ════════════════════════════════════════════
@@ -303,35 +1476,377 @@ function normalizeListsForWebflow(html) {
 // We balance these inline tags PER BLOCK (inside each <p>, <li>, <hN>) so a
 // stray open tag can never bleed past its own paragraph.
 // ════════════════════════════════════════════
+const BALANCED_INLINE = new Set(['strong', 'em', 'b', 'i', 'u']);
+const BALANCED_BLOCKS = new Set(['p', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'td', 'th', 'blockquote']);
+
 function balanceInlineTags(html) {
-  const inlineTags = ['strong', 'em', 'b', 'i', 'u'];
-
-  // Operate within each block-level element so fixes stay local.
-  return html.replace(/<(p|li|h[1-6]|td|th|blockquote)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi,
-    (full, tag, attrs, inner) => {
-      let fixed = inner;
-      for (const t of inlineTags) {
-        const opens = (fixed.match(new RegExp(`<${t}(?:\\s[^>]*)?>`, 'gi')) || []).length;
-        const closes = (fixed.match(new RegExp(`</${t}>`, 'gi')) || []).length;
-        if (opens > closes) {
-          // append the missing close tags at the end of this block
-          fixed += `</${t}>`.repeat(opens - closes);
-        } else if (closes > opens) {
-          // strip stray closing tags that have no matching open (they'd leak too)
-          let extra = closes - opens;
-          fixed = fixed.replace(new RegExp(`</${t}>`, 'gi'), (m) => (extra-- > 0 ? '' : m));
-        }
+  const root = parseHtml(html);
+  const visit = (node, inBlock) => {
+    for (const child of node.children || []) {
+      if (inBlock && BALANCED_INLINE.has(child.name)) {
+        // a close tag with no open one would end some outer tag early
+        if (child.type === 'stray') replaceNode(child, '');
+        // left open: close it where the parser ended it — at the latest, at the end of its block
+        else if (!child.selfClosing && child.closeStart == null) setCloseTag(child, `</${child.name}>`);
       }
-      return `<${tag}${attrs || ''}>${fixed}</${tag}>`;
-    });
+      // a block still open at the end of the input has no edge to stop at
+      if (child.type === 'element') visit(child, inBlock || (BALANCED_BLOCKS.has(child.name) && (child.closeStart != null || child.end < html.length)));
+    }
+  };
+  visit(root, false);
+  return serializeHtml(root);
+}
+
+// ════════════════════════════════════════════
+// LLM PROVIDERS
+// Every model call goes through llmComplete with a provider picked by
+// `llmProvider` (request) or LLM_PROVIDER (env): 'anthropic' (default, the
+// only one with native web_search), 'openai' (any OpenAI-compatible
+// /chat/completions server at OPENAI_BASE_URL) or 'replay', which serves
+// responses recorded under LLM_REPLAY_DIR so the whole pipeline runs
+// offline. Set LLM_RECORD_DIR to record live responses in the replay format.
+// Adapters return Anthropic-style content blocks and usage, whatever the
+// backend. modelMode resolves per provider; LLM_MODELS (JSON) overrides it.
+// ════════════════════════════════════════════
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'anthropic';
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 240000;
+const LLM_RETRIES = parseInt(process.env.LLM_RETRIES, 10) || 2;
+const LLM_REPLAY_DIR = process.env.LLM_REPLAY_DIR || path.join(DATA_DIR, 'llm-replay');
+const LLM_RECORD_DIR = process.env.LLM_RECORD_DIR || null;
+const ANTHROPIC_API_BASE = (process.env.ANTHROPIC_API_BASE || 'https://api.anthropic.com/v1').replace(/\/$/, '');
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+const MODEL_MODES = ['hybrid', 'fable', 'sonnet'];
+
+const LLM_MODELS = {
+  anthropic: { hybrid: 'claude-opus-4-8', fable: 'claude-opus-4-8', sonnet: 'claude-sonnet-4-6' },
+  openai: { hybrid: 'gpt-4.1', fable: 'gpt-4.1', sonnet: 'gpt-4.1-mini' },
+  replay: { hybrid: 'replay', fable: 'replay', sonnet: 'replay' }
+};
+try {
+  for (const [provider, modes] of Object.entries(JSON.parse(process.env.LLM_MODELS || '{}'))) {
+    LLM_MODELS[provider] = { ...LLM_MODELS[provider], ...modes };
+  }
+} catch (err) {
+  console.warn(`LLM_MODELS is not valid JSON, using defaults: ${err.message}`);
+}
+
+async function anthropicComplete({ key, model, prompt, maxTokens, webSearch, signal }) {
+  const res = await fetchWithTimeout(`${ANTHROPIC_API_BASE}/messages`, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': key,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      ...(webSearch ? { tools: [{ type: 'web_search_20250305', name: 'web_search', max_uses: webSearch.maxUses }] } : {}),
+      messages: [{ role: 'user', content: prompt }]
+    })
+  }, LLM_TIMEOUT_MS, LLM_RETRIES);
+  if (!res.ok) { const t = await res.text(); throw new Error(`Anthropic ${res.status}: ${t.slice(0, 300)}`); }
+  const data = await res.json();
+  return { blocks: data.content || [], usage: data.usage || null };
+}
+
+async function openaiComplete({ key, model, prompt, maxTokens, json, signal }) {
+  const res = await fetchWithTimeout(`${OPENAI_BASE_URL}/chat/completions`, {
+    method: 'POST',
+    signal,
+    headers: { 'Content-Type': 'application/json', ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    })
+  }, LLM_TIMEOUT_MS, LLM_RETRIES);
+  if (!res.ok) { const t = await res.text(); throw new Error(`OpenAI-compatible ${res.status}: ${t.slice(0, 300)}`); }
+  const data = await res.json();
+  const usage = data.usage ? { input_tokens: data.usage.prompt_tokens || 0, output_tokens: data.usage.completion_tokens || 0 } : null;
+  return { blocks: [{ type: 'text', text: data.choices?.[0]?.message?.content || '' }], usage };
+}
+
+// Recordings are keyed by prompt only, so a response recorded against any model replays.
+const llmRecordingKey = (prompt) => crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 32);
+
+async function replayComplete({ prompt }) {
+  const key = llmRecordingKey(prompt);
+  for (const file of [`${key}.json`, 'default.json']) {
+    try {
+      const recorded = JSON.parse(fs.readFileSync(path.join(LLM_REPLAY_DIR, file), 'utf8'));
+      console.log(`  LLM replay: ${file}`);
+      return { blocks: recorded.blocks || [{ type: 'text', text: recorded.text || '' }], usage: recorded.usage || { input_tokens: 0, output_tokens: 0 } };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  throw new Error(`No recorded LLM response ${key}.json (or default.json) in ${LLM_REPLAY_DIR}`);
+}
+
+const LLM_PROVIDERS = {
+  anthropic: { credential: 'anthropic', keyRequired: true, webSearch: true, complete: anthropicComplete },
+  // local OpenAI-compatible servers usually take no key
+  openai: { credential: 'openai', keyRequired: false, webSearch: false, complete: openaiComplete },
+  replay: { credential: null, keyRequired: false, webSearch: true, complete: replayComplete }
+};
+
+// → { name, provider, model, modelMode, key } or { error }
+function resolveLlm(input) {
+  const name = input.llmProvider || LLM_PROVIDER;
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) return { error: `llmProvider must be one of: ${Object.keys(LLM_PROVIDERS).join(', ')}` };
+  const modelMode = input.modelMode || 'hybrid';
+  if (!MODEL_MODES.includes(modelMode)) return { error: `modelMode must be one of: ${MODEL_MODES.join(', ')}` };
+  const keyField = provider.credential ? CREDENTIAL_KINDS[provider.credential].field : null;
+  const key = (keyField && input[keyField]) || (name === 'openai' ? process.env.OPENAI_API_KEY : null) || null;
+  if (provider.keyRequired && !key) return { error: `Missing ${keyField}` };
+  return { name, provider, model: LLM_MODELS[name][modelMode], modelMode, key };
+}
+
+async function llmComplete(llm, { prompt, maxTokens = 4000, webSearch = null, json = false, signal }) {
+  const { blocks, usage } = await llm.provider.complete({
+    key: llm.key, model: llm.model, prompt, maxTokens, json, signal,
+    webSearch: llm.provider.webSearch ? webSearch : null
+  });
+  if (LLM_RECORD_DIR && llm.name !== 'replay') {
+    fs.mkdirSync(LLM_RECORD_DIR, { recursive: true });
+    fs.writeFileSync(path.join(LLM_RECORD_DIR, `${llmRecordingKey(prompt)}.json`), JSON.stringify({ provider: llm.name, model: llm.model, recordedAt: new Date().toISOString(), blocks, usage }, null, 2));
+  }
+  return {
+    text: blocks.filter(b => b.type === 'text').map(b => b.text).join('\n'),
+    blocks,
+    usage,
+    searchesUsed: blocks.filter(b => b.type === 'server_tool_use').length
+  };
+}
+
+// JSON-mode parsing for every backend: strip markdown fences, else take the outermost {...}.
+function parseLlmJson(text, fallback) {
+  try {
+    return JSON.parse(text.replace(/```json\n?|```\n?/g, '').trim());
+  } catch {
+    const m = text.match(/\{[\s\S]*\}/);
+    return m ? JSON.parse(m[0]) : fallback;
+  }
+}
+
+// ════════════════════════════════════════════
+// USAGE METERING & BUDGETS
+// One ledger entry per smartcheck run that reached a model or a paid search
+// API: tokens, native web searches and third-party search calls (cache hits
+// are free), tagged with user, model and item. Cost is priced when the entry
+// is written, from PRICES (LLM_PRICES JSON merges over the defaults), so a
+// later price change doesn't rewrite history. A workspace's `budgets` cap
+// daily and/or monthly spend (UTC); past a cap new runs are rejected (402),
+// or with onExceeded 'downgrade' run on the `downgradeTo` modelMode's model
+// when it is priced below the requested one. Downgrade mode has no hard cap:
+// cheaper runs go on past it, and budget status reports `hardCap: false`.
+// ════════════════════════════════════════════
+const usageLog = new PersistentMap('usage');
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 400;
+const BUDGET_PERIODS = ['daily', 'monthly'];
+const BUDGET_POLICIES = ['reject', 'downgrade'];
+
+// USD — models per million tokens, searches per call
+const PRICES = {
+  models: {
+    'claude-opus-4-8': { input: 5, output: 25 },
+    'claude-sonnet-4-6': { input: 3, output: 15 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    replay: { input: 0, output: 0 }
+  },
+  webSearch: 0.01,
+  search: { brave: 0.005, google: 0.005, fixture: 0 }
+};
+try {
+  const custom = JSON.parse(process.env.LLM_PRICES || '{}');
+  Object.assign(PRICES.models, custom.models);
+  Object.assign(PRICES.search, custom.search);
+  if (custom.webSearch != null) PRICES.webSearch = custom.webSearch;
+} catch (err) {
+  console.warn(`LLM_PRICES is not valid JSON, using defaults: ${err.message}`);
+}
+
+const roundCost = (n) => Math.round(n * 1e6) / 1e6;
+
+// Both priced, neither rate higher and at least one lower.
+function isCheaperModel(model, than) {
+  const a = PRICES.models[model];
+  const b = PRICES.models[than];
+  if (!a || !b) return false;
+  return a.input <= b.input && a.output <= b.output && (a.input < b.input || a.output < b.output);
+}
+
+// A model missing from the price table costs 0 and is flagged `priced: false`.
+function priceUsage({ model, inputTokens, outputTokens, webSearches, searchCalls }) {
+  const rates = PRICES.models[model];
+  const tokens = rates ? (inputTokens * rates.input + outputTokens * rates.output) / 1e6 : 0;
+  const searches = webSearches * PRICES.webSearch
+    + Object.entries(searchCalls).reduce((sum, [provider, n]) => sum + n * (PRICES.search[provider] || 0), 0);
+  return { cost: roundCost(tokens + searches), priced: !!rates };
+}
+
+function recordUsage({ workspace, actor, llm, usage, webSearches = 0, searchCalls = {}, itemId, source, downgradedFrom }) {
+  const inputTokens = usage?.input_tokens || 0;
+  const outputTokens = usage?.output_tokens || 0;
+  const entry = {
+    id: `use_${crypto.randomUUID()}`,
+    at: Date.now(),
+    workspaceId: workspace.id,
+    userId: actor?.id || null,
+    userEmail: actor?.email || null,
+    source: source || 'smartcheck',
+    itemId: itemId || null,
+    provider: llm.name,
+    model: llm.model,
+    modelMode: llm.modelMode,
+    downgradedFrom: downgradedFrom || null,
+    inputTokens, outputTokens, webSearches, searchCalls,
+    ...priceUsage({ model: llm.model, inputTokens, outputTokens, webSearches, searchCalls })
+  };
+  usageLog.set(entry.id, entry);
+  return entry;
+}
+
+// A run holds an estimate of its usage against the budget from the check
+// until its usage is recorded, so parallel runs (campaign workers) can't all
+// pass the check on spend that hasn't been recorded yet.
+const usageReservations = new Map();
+
+function reserveUsage({ workspace, llm, inputTokens, outputTokens, webSearches = 0, searchCalls = {} }) {
+  const id = crypto.randomUUID();
+  usageReservations.set(id, {
+    workspaceId: workspace.id,
+    inputTokens, outputTokens, webSearches, searchCalls,
+    ...priceUsage({ model: llm.model, inputTokens, outputTokens, webSearches, searchCalls })
+  });
+  return () => usageReservations.delete(id);
+}
+
+const periodStart = (period, now = new Date()) => period === 'daily'
+  ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+
+const usageEntries = (workspace, from = 0, to = Infinity) =>
+  Array.from(usageLog.values()).filter(e => e.workspaceId === workspace.id && e.at >= from && e.at < to);
+
+function sumUsage(entries) {
+  const total = { runs: 0, inputTokens: 0, outputTokens: 0, webSearches: 0, searchCalls: 0, cost: 0, unpriced: 0 };
+  for (const e of entries) {
+    total.runs++;
+    total.inputTokens += e.inputTokens;
+    total.outputTokens += e.outputTokens;
+    total.webSearches += e.webSearches;
+    total.searchCalls += Object.values(e.searchCalls).reduce((a, b) => a + b, 0);
+    total.cost += e.cost;
+    if (!e.priced) total.unpriced++;
+  }
+  total.cost = roundCost(total.cost);
+  return total;
+}
+
+// Spend (recorded plus reserved by runs in flight) against each configured
+// cap; `exceeded` lists the periods at or over one.
+function budgetStatus(workspace) {
+  const budgets = workspace.budgets || {};
+  const reserved = Array.from(usageReservations.values()).filter(r => r.workspaceId === workspace.id);
+  const periods = {};
+  const exceeded = [];
+  for (const period of BUDGET_PERIODS) {
+    const cap = budgets[period];
+    if (!cap) continue;
+    const spent = sumUsage([...usageEntries(workspace, periodStart(period)), ...reserved]);
+    const tokens = spent.inputTokens + spent.outputTokens;
+    const over = (cap.maxCost != null && spent.cost >= cap.maxCost) || (cap.maxTokens != null && tokens >= cap.maxTokens);
+    periods[period] = { ...cap, spentCost: spent.cost, spentTokens: tokens, exceeded: over };
+    if (over) exceeded.push(period);
+  }
+  const onExceeded = budgets.onExceeded || 'reject';
+  return { onExceeded, downgradeTo: budgets.downgradeTo || 'sonnet', hardCap: onExceeded === 'reject', periods, exceeded, inFlight: reserved.length };
+}
+
+// → { llm, downgradedFrom? } or { error, budget }
+// Downgrading is by model, not modelMode: modes can share a model (hybrid and
+// fable do by default), and a "downgrade" that costs the same is refused.
+// A run already on the downgrade model goes ahead if no mode is cheaper.
+function applyBudget(workspace, llm) {
+  const budget = budgetStatus(workspace);
+  if (!budget.exceeded.length) return { llm };
+  const usedUp = `The ${budget.exceeded.join(' and ')} budget for workspace "${workspace.id}" is used up`;
+  if (budget.onExceeded === 'downgrade') {
+    const models = LLM_MODELS[llm.name];
+    const target = models[budget.downgradeTo];
+    if (isCheaperModel(target, llm.model)) {
+      return { llm: { ...llm, modelMode: budget.downgradeTo, model: target }, downgradedFrom: llm.modelMode };
+    }
+    if (llm.model === target && !Object.values(models).some(m => isCheaperModel(m, target))) return { llm };
+    return { error: `${usedUp}, and budgets.downgradeTo "${budget.downgradeTo}" (${target}) is not priced below ${llm.model}`, budget };
+  }
+  return { error: usedUp, budget };
+}
+
+function budgetExceededError(message, budget) {
+  const err = new Error(message);
+  err.name = 'BudgetExceededError';
+  err.budget = budget;
+  return err;
 }
 
+setInterval(() => {
+  const cutoff = Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [id, e] of usageLog.entries()) { if (e.at < cutoff) usageLog.delete(id); }
+}, 60 * 60 * 1000);
+
+const USAGE_GROUPS = {
+  day: (e) => new Date(e.at).toISOString().slice(0, 10),
+  user: (e) => e.userEmail || 'system',
+  model: (e) => e.model,
+  provider: (e) => e.provider,
+  item: (e) => e.itemId || 'none',
+  source: (e) => e.source
+};
+
+// GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day,user,model,provider,item,source
+// Defaults to the current month; `to` is inclusive.
+app.get('/api/usage', requireRole('admin'), (req, res) => {
+  const { from, to } = req.query;
+  if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+  const groups = String(req.query.groupBy || 'day,user,model').split(',').map(g => g.trim()).filter(Boolean);
+  const unknown = groups.find(g => !(g in USAGE_GROUPS));
+  if (unknown) return res.status(400).json({ error: `groupBy accepts: ${Object.keys(USAGE_GROUPS).join(', ')}` });
+
+  const start = from ? Date.parse(from) : periodStart('monthly');
+  const entries = usageEntries(req.workspace, start, to ? Date.parse(to) + 24 * 60 * 60 * 1000 : Infinity);
+  const breakdown = {};
+  for (const group of groups) {
+    const buckets = new Map();
+    for (const e of entries) {
+      const key = USAGE_GROUPS[group](e);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(e);
+    }
+    breakdown[group] = Array.from(buckets, ([key, list]) => ({ key, ...sumUsage(list) })).sort((a, b) => b.cost - a.cost);
+  }
+  res.json({
+    from: new Date(start).toISOString().slice(0, 10),
+    to: to || null,
+    totals: sumUsage(entries),
+    breakdown,
+    budget: budgetStatus(req.workspace),
+    prices: PRICES
+  });
+});
+
 // ════════════════════════════════════════════
 // FABLE AUDIT — native web search, replaces query-gen + Brave/Google stages
 // ════════════════════════════════════════════
-async function fableAudit({ anthropicKey, title, blogContent, brandHints, gscKeywords, modelMode }) {
-  //const auditModel = modelMode === 'sonnet' ? 'claude-sonnet-4-6' : 'claude-fable-5';
-  const auditModel = modelMode === 'sonnet' ? 'claude-sonnet-4-6' : 'claude-opus-4-8';
+async function fableAudit({ llm, title, blogContent, brandHints, gscKeywords, workspace, factSheet, seo, evidence, nativeSearch = true, onUsage, signal }) {
+  // providers without a search tool audit on evidence only, as in byos mode
+  const canSearch = nativeSearch && llm.provider.webSearch;
 
   const brandBlock = brandHints?.length
     ? `\nBRAND DISAMBIGUATION:\n${brandHints.join('\n')}\nOnly research the CORRECT product/brand.`
@@ -339,74 +1854,155 @@ async function fableAudit({ anthropicKey, title, blogContent, brandHints, gscKey
   const gscBlock = gscKeywords?.length
     ? `\nGSC KEYWORDS the blog should cover (check which are missing):\n${gscKeywords.map(k => `- "${k.keyword}" (Pos ${k.position}, ${k.clicks} clicks)`).join('\n')}`
     : '';
+  const competitorBlock = workspace.competitors?.length
+    ? `\nCOMPETITORS (verify claims about them against their own official sources; never recommend them over ${workspace.brand}):\n${workspace.competitors.join(', ')}`
+    : '';
+  // Only fields that failed the rule checks are sent for a rewrite
+  const seoNeeds = (seo?.fields || []).filter(f => f.issues.length);
+  const seoBlock = seoNeeds.length
+    ? `\n\nSEO FIELDS that fail our checks (primary keyword: ${seo.keyword ? `"${seo.keyword}"` : 'none'}):\n${seoNeeds.map(f => `- ${f.field} = "${f.value}" → ${f.issues.map(i => i.message).join('; ')} (limits ${SEO_LIMITS[f.field].min}-${SEO_LIMITS[f.field].max} chars)`).join('\n')}`
+    : '';
+  const seoSchema = seoNeeds.length
+    ? `,\n  "seo": [{ "field": ${seoNeeds.map(f => `"${f.field}"`).join(' | ')}, "proposed": "<rewritten value>", "reason": "<one line>" }]`
+    : '';
+  const evidenceBlock = evidence?.claims?.length
+    ? `\n\nEVIDENCE (search results gathered per claim before this audit; cite the URL you relied on in "reason"):\n${evidence.claims.map((c, i) => `[${i + 1}] CLAIM: "${c.claim}"\n${c.results.length ? c.results.map(r => `  - ${r.title} — ${r.url}\n    ${r.snippet}`).join('\n') : '  (no results)'}`).join('\n')}`
+    : '';
+  // pre-gathered evidence covers most claims, so the model gets fewer searches of its own
+  const maxSearches = evidence?.claims?.length ? 3 : 6;
+  const searchRule = canSearch
+    ? `Use web search EFFICIENTLY (max ${maxSearches} targeted searches) — verify by reading official sources (pricing pages, release notes), not aggregator snippets.`
+    : 'Web search is NOT available. Verify claims only against the EVIDENCE below and the source of truth; prefer official sources (pricing pages, release notes) over aggregators.';
+  const findingTypes = workspace.findingTypes;
 
-  const res = await fetchWithTimeout('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': anthropicKey,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: auditModel,
-      max_tokens: 6000,
-      tools: [{ type: 'web_search_20250305', name: 'web_search', max_uses: 6 }],
-      messages: [{ role: 'user', content: `You are auditing a published SalesRobot blog for factual freshness. Use web search EFFICIENTLY (max 6 targeted searches) — verify by reading official sources (pricing pages, release notes), not aggregator snippets.
+  const prompt = `You are auditing a published ${workspace.brand} blog for factual freshness. ${searchRule}
 
 TITLE: ${title}
 
 BLOG CONTENT (HTML, widgets replaced by placeholders):
 ${blogContent}
-${brandBlock}${gscBlock}
+${brandBlock}${gscBlock}${competitorBlock}
 
-SALESROBOT SOURCE OF TRUTH (the blog's SalesRobot claims must match this):
-${SALESROBOT_FEATURES}
+${workspace.brand.toUpperCase()} SOURCE OF TRUTH (the blog's ${workspace.brand} claims must match this):
+${factSheet}${evidenceBlock}${seoBlock}
 
 Audit the blog and return ONLY a JSON object (no markdown fences, no commentary):
 {
   "findings": [
     {
-      "type": "fix" | "add" | "salesrobot",
+      "type": ${findingTypes.map(t => `"${t.type}"`).join(' | ')},
       "where": "<the heading or section it concerns>",
       "current": "<the exact outdated text in the blog, quoted verbatim — empty string for additions>",
       "corrected": "<the corrected/new text to use, written to match the blog's voice>",
-      "reason": "<one line: old vs new value, with source>"
+      "reason": "<one line: old vs new value, with source>",
+      "sources": ["<URL of each page that backs this finding, or \"fact-sheet\" for the source of truth>"]
     }
   ],
-  "verified": ["<brief list of major claims that checked out — no change needed>"]
+  "verified": ["<brief list of major claims that checked out — no change needed>"]${seoSchema}
 }
 
 RULES:
-- "fix" = outdated stat/price/feature found via web research
-- "add" = missing key info (new PAA-worthy points, GSC keyword gaps) — max 3
-- "salesrobot" = SalesRobot section missing must-have features per the source of truth (voice notes, video messages, AI Appointment Setter, cloud/mobile-API safety)
+${findingTypes.map(t => `- "${t.type}" = ${t.rule}`).join('\n')}
+- Every "fix" must list in "sources" the page(s) you actually read for it; unsourced fixes are not applied
 - Quote "current" text VERBATIM so it can be found in the HTML
 - For an "add" that is a FAQ question, format "corrected" as "Q: <question> A: <answer>" so it renders as a proper Q&A
 - If a claim can't be verified either way, leave it alone — do not guess
-- Findings must be surgical. This is a refresh, not a rewrite.` }]
-    })
-  }, 240000, 2);
+- Findings must be surgical. This is a refresh, not a rewrite.${seoNeeds.length ? '\n- "seo" rewrites must stay within the length limits, use the primary keyword naturally, and describe the post as it reads after your fixes' : ''}`;
 
-  if (!res.ok) { const t = await res.text(); throw new Error(`Audit failed ${res.status}: ${t.slice(0, 300)}`); }
-  const data = await res.json();
-  const text = (data.content || []).filter(b => b.type === 'text').map(b => b.text).join('\n');
-  const searchesUsed = (data.content || []).filter(b => b.type === 'server_tool_use').length;
+  const { text, blocks, usage, searchesUsed } = await llmComplete(llm, {
+    prompt,
+    maxTokens: 6000,
+    webSearch: canSearch ? { maxUses: maxSearches } : null,
+    json: true,
+    signal
+  });
+  // the call is billed even if its output doesn't parse
+  onUsage?.({ usage, searchesUsed });
+  const parsed = parseLlmJson(text, { findings: [], verified: [] });
+  return { ...parsed, searchesUsed, sources: collectSearchSources(blocks), usage };
+}
 
-  let parsed;
-  try {
-    parsed = JSON.parse(text.replace(/```json\n?|```\n?/g, '').trim());
-  } catch {
-    const m = text.match(/\{[\s\S]*\}/);
-    parsed = m ? JSON.parse(m[0]) : { findings: [], verified: [] };
+// Queries the model ran with the pages each returned, plus pages cited inline in text blocks.
+function collectSearchSources(blocks) {
+  const searches = new Map();
+  for (const b of blocks) {
+    if (b.type === 'server_tool_use' && b.name === 'web_search') searches.set(b.id, { query: b.input?.query || null, results: [] });
+  }
+  for (const b of blocks) {
+    if (b.type !== 'web_search_tool_result' || !Array.isArray(b.content)) continue;
+    if (!searches.has(b.tool_use_id)) searches.set(b.tool_use_id, { query: null, results: [] });
+    for (const r of b.content) {
+      if (r.type === 'web_search_result' && r.url) searches.get(b.tool_use_id).results.push({ url: r.url, title: r.title || null, pageAge: r.page_age || null });
+    }
+  }
+  const cited = blocks
+    .flatMap(b => (b.type === 'text' && Array.isArray(b.citations) ? b.citations : []))
+    .filter(c => c.url)
+    .map(c => ({ url: c.url, title: c.title || null, citedText: c.cited_text || null }));
+  return { searches: Array.from(searches.values()), cited };
+}
+
+const UNSOURCED_FIX_POLICIES = ['downgrade', 'reject'];
+
+// Back each finding with pages that were actually consulted — the model's
+// search results and inline citations, plus pre-audit evidence. A URL the
+// finding names but nobody fetched doesn't count, and neither does
+// "fact-sheet" on a fix or add whose new values the fact sheet doesn't state.
+// `fix` findings left with no citation are downgraded (kept for review, not
+// auto-applied) or rejected.
+const factNumbers = (text) => (String(text || '').match(/\d[\d,]*(\.\d+)?/g) || []).map(n => n.replace(/,/g, ''));
+
+function factSheetBacks(f, factText) {
+  // brand findings are checked against the fact sheet by definition
+  if (!BASE_FINDING_TYPES.some(t => t.type === f.type)) return true;
+  const normalize = (t) => String(t || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const facts = normalize(factText);
+  const corrected = normalize(f.corrected);
+  if (!facts || !corrected) return false;
+  const stated = new Set(factNumbers(facts));
+  const previous = new Set(factNumbers(f.current));
+  const changed = factNumbers(corrected).filter(n => !previous.has(n));
+  return changed.length ? changed.every(n => stated.has(n)) : facts.includes(corrected);
+}
+
+function attachCitations(findings, { sources, evidence, factText, policy = 'downgrade' }) {
+  const consulted = new Map();
+  const consult = (url, info) => {
+    const key = evidenceUrlKey(url);
+    if (key && !consulted.has(key)) consulted.set(key, { url, ...info });
+  };
+  for (const s of sources?.searches || []) for (const r of s.results) consult(r.url, { title: r.title, query: s.query, via: 'web_search' });
+  for (const c of sources?.cited || []) consult(c.url, { title: c.title, query: null, via: 'citation' });
+  for (const c of evidence?.claims || []) for (const r of c.results) consult(r.url, { title: r.title, query: c.query, via: `evidence:${r.sources.join('+')}` });
+
+  const kept = [];
+  const rejected = [];
+  for (const f of findings) {
+    const claimed = [...(Array.isArray(f.sources) ? f.sources : []), ...((f.reason || '').match(/https?:\/\/[^\s)"'\]]+/g) || [])];
+    const citations = [];
+    const unverified = [];
+    for (const c of claimed) {
+      if (typeof c !== 'string') continue;
+      const hit = c.trim().toLowerCase() === 'fact-sheet'
+        ? (factSheetBacks(f, factText) ? { url: null, title: 'Source of truth', query: null, via: 'fact-sheet' } : null)
+        : consulted.get(evidenceUrlKey(c.replace(/[.,;]+$/, '')));
+      if (!hit) unverified.push(c);
+      else if (!citations.some(x => x.url === hit.url && x.via === hit.via)) citations.push(hit);
+    }
+    const cited = { ...f, citations, ...(unverified.length ? { unverifiedSources: unverified } : {}) };
+    if (f.type !== 'fix' || citations.length) kept.push(cited);
+    else if (policy === 'reject') rejected.push({ ...cited, unsourced: true });
+    else kept.push({ ...cited, unsourced: true, confidence: 'low' });
   }
-  return { ...parsed, searchesUsed, usage: data.usage };
+  return { findings: kept, rejected };
 }
 
 // ════════════════════════════════════════════
-// SALESROBOT FEATURES — Source of truth
+// SALESROBOT FEATURES — seed for the fact store
 // Sourced directly from salesrobot.co and salesrobot.co/pricing
 // Last updated: April 2026
-// Update this block whenever features ship or pricing changes.
+// Only read when the fact store is empty. Ship feature/pricing changes
+// through /api/facts instead of editing this block.
 // ════════════════════════════════════════════
 const SALESROBOT_FEATURES = `
 SALESROBOT — VERIFIED FEATURES (source: salesrobot.co — use as source of truth for all SalesRobot sections)
@@ -517,28 +2113,238 @@ KEY STATS TO USE IN BLOGS:
 - salesrobot.co is the official website
 `;
 
+// ════════════════════════════════════════════
+// FACT STORE — versioned, editable source of truth for audits
+// Structured entries (category, claim, plan availability, effective dates,
+// source URL) replace editing SALESROBOT_FEATURES by hand; that block now
+// only seeds the default workspace. Facts and their version counter are
+// per workspace. Every change is kept in an append-only log, and each
+// audit records the version and hash of the sheet it was given.
+// ════════════════════════════════════════════
+const facts = new PersistentMap('facts');
+const factLog = new PersistentMap('fact-log');
+workspaceCleanups.push((id) => {
+  dropWorkspaceRecords(facts, id);
+  dropWorkspaceRecords(factLog, id);
+});
+const FACT_SEED_DATE = '2026-04-01';
+const FACT_FIELDS = ['category', 'claim', 'plans', 'effectiveFrom', 'effectiveTo', 'sourceUrl'];
+
+const todayIso = () => new Date().toISOString().slice(0, 10);
+
+function currentFactVersion(workspaceId) {
+  let version = 0;
+  for (const e of factLog.values()) if (e.workspaceId === workspaceId) version++;
+  return version;
+}
+
+function logFactChange(workspaceId, action, factId, before, after) {
+  const version = currentFactVersion(workspaceId) + 1;
+  factLog.set(String(factLog.size + 1), { workspaceId, version, at: Date.now(), action, factId, before, after });
+  return version;
+}
+
+function workspaceFacts(workspaceId) {
+  return Array.from(facts.values()).filter(f => f.workspaceId === workspaceId);
+}
+
+function validateFact(input, { partial = false } = {}) {
+  if (!partial || 'category' in input) {
+    if (typeof input.category !== 'string' || !input.category.trim()) return 'category is required';
+  }
+  if (!partial || 'claim' in input) {
+    if (typeof input.claim !== 'string' || !input.claim.trim()) return 'claim is required';
+  }
+  if ('plans' in input && !(Array.isArray(input.plans) && input.plans.every(p => typeof p === 'string'))) return 'plans must be an array of strings';
+  if (!partial || 'effectiveFrom' in input) {
+    if (!isIsoDate(input.effectiveFrom)) return 'effectiveFrom must be a YYYY-MM-DD date';
+  }
+  if (input.effectiveTo != null && !isIsoDate(input.effectiveTo)) return 'effectiveTo must be a YYYY-MM-DD date or null';
+  if (input.sourceUrl != null) {
+    try { new URL(input.sourceUrl); } catch { return 'sourceUrl must be a valid URL'; }
+  }
+  return null;
+}
+
+// A window that closes before it opens would never be effective.
+const factWindowError = (fact) => fact.effectiveTo && fact.effectiveTo <= fact.effectiveFrom ? 'effectiveTo must be after effectiveFrom' : null;
+
+function pickFactFields(input) {
+  const out = {};
+  for (const k of FACT_FIELDS) if (k in input) out[k] = input[k];
+  if (typeof out.category === 'string') out.category = out.category.trim();
+  if (typeof out.claim === 'string') out.claim = out.claim.trim();
+  return out;
+}
+
+function isFactEffective(fact, asOf) {
+  return fact.effectiveFrom <= asOf && (!fact.effectiveTo || fact.effectiveTo > asOf);
+}
+
+// Turn a plain-text fact sheet (like SALESROBOT_FEATURES) into structured facts.
+function seedFactsFromText(text, workspaceId, effectiveFrom = todayIso()) {
+  let category = 'GENERAL';
+  const seeded = [];
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    // section headings look like "AI & INTELLIGENCE:" or "PRICING (billed annually):"
+    if (/^[A-Z][A-Z0-9 &/\-—,]*(?:\s*\(.*\))?:$/.test(line)) { category = line.slice(0, -1).trim(); continue; }
+    if (!line.startsWith('- ')) continue;
+    const claim = line.slice(2).trim();
+    let plans = [];
+    if (/professional only/i.test(claim)) plans = ['Professional'];
+    else if (/advanced and professional/i.test(claim)) plans = ['Advanced', 'Professional'];
+    else if (/all (?:paid )?plans/i.test(claim)) plans = ['all'];
+    seeded.push({
+      id: `fact_${crypto.randomUUID()}`,
+      workspaceId,
+      category, claim, plans,
+      effectiveFrom,
+      effectiveTo: null,
+      sourceUrl: workspaceId === 'salesrobot' ? (category.startsWith('PRICING') ? 'https://salesrobot.co/pricing' : 'https://salesrobot.co') : null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+  }
+  for (const f of seeded) facts.set(f.id, f);
+  logFactChange(workspaceId, 'seed', null, null, { count: seeded.length });
+  console.log(`Fact store seeded with ${seeded.length} facts for workspace "${workspaceId}"`);
+}
+
+// Render the prompt block from the workspace's facts effective on `asOf`.
+function getFactSet(workspace, asOf = todayIso()) {
+  // insertion order keeps categories and claims in the order editors wrote them
+  const effective = workspaceFacts(workspace.id).filter(f => isFactEffective(f, asOf));
+
+  const byCategory = new Map();
+  for (const f of effective) {
+    if (!byCategory.has(f.category)) byCategory.set(f.category, []);
+    byCategory.get(f.category).push(f);
+  }
+  const sections = Array.from(byCategory.entries()).map(([category, list]) =>
+    `${category}:\n` + list.map(f => {
+      const plans = f.plans?.length && !f.plans.includes('all') ? ` [plans: ${f.plans.join(', ')}]` : '';
+      return `- ${f.claim}${plans}`;
+    }).join('\n')
+  );
+  const source = workspace.website ? `source: ${workspace.website} — ` : '';
+  const text = `${workspace.brand.toUpperCase()} — VERIFIED FEATURES (${source}use as source of truth for all ${workspace.brand} sections)\nFacts effective ${asOf}.\n\n${sections.join('\n\n')}\n`;
+
+  return { text, asOf, version: currentFactVersion(workspace.id), hash: hashString(text), count: effective.length };
+}
+
+// facts stored before workspaces existed belong to the default brand
+for (const f of Array.from(facts.values())) if (!f.workspaceId) facts.set(f.id, { ...f, workspaceId: 'salesrobot' });
+for (const [key, e] of Array.from(factLog.entries())) if (!e.workspaceId) factLog.set(key, { ...e, workspaceId: 'salesrobot' });
+if (!Array.from(factLog.values()).some(e => e.workspaceId === 'salesrobot' && e.action === 'seed')) {
+  seedFactsFromText(SALESROBOT_FEATURES, 'salesrobot', FACT_SEED_DATE);
+}
+
+// GET /api/facts?asOf=YYYY-MM-DD&category= — all facts, or only those effective on asOf
+app.get('/api/facts', requireRole('viewer'), (req, res) => {
+  const { asOf, category } = req.query;
+  if (asOf && !isIsoDate(asOf)) return res.status(400).json({ error: 'asOf must be a YYYY-MM-DD date' });
+  const list = workspaceFacts(req.workspace.id)
+    .filter(f => !asOf || isFactEffective(f, asOf))
+    .filter(f => !category || f.category.toLowerCase() === category.toLowerCase());
+  res.json({ version: currentFactVersion(req.workspace.id), count: list.length, facts: list });
+});
+
+// GET /api/facts/render — the exact block an audit on `asOf` would receive
+app.get('/api/facts/render', requireRole('viewer'), (req, res) => {
+  const asOf = req.query.asOf || todayIso();
+  if (!isIsoDate(asOf)) return res.status(400).json({ error: 'asOf must be a YYYY-MM-DD date' });
+  res.json(getFactSet(req.workspace, asOf));
+});
+
+app.get('/api/facts/log', requireRole('viewer'), (req, res) => {
+  const since = parseInt(req.query.since, 10) || 0;
+  const entries = Array.from(factLog.values())
+    .filter(e => e.workspaceId === req.workspace.id && e.version > since)
+    .sort((a, b) => a.version - b.version);
+  res.json({ version: currentFactVersion(req.workspace.id), entries });
+});
+
+// A fact by ID, only if it belongs to the request's workspace.
+function findFact(req) {
+  const fact = facts.get(req.params.id);
+  return fact && fact.workspaceId === req.workspace.id ? fact : null;
+}
+
+app.get('/api/facts/:id', requireRole('viewer'), (req, res) => {
+  const fact = findFact(req);
+  if (!fact) return res.status(404).json({ error: 'Fact not found' });
+  res.json(fact);
+});
+
+app.post('/api/facts', requireRole('editor'), (req, res) => {
+  const input = pickFactFields(req.body);
+  const invalid = validateFact(input) || factWindowError(input);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const fact = {
+    id: `fact_${crypto.randomUUID()}`,
+    workspaceId: req.workspace.id,
+    plans: [],
+    effectiveTo: null,
+    sourceUrl: null,
+    ...input,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  facts.set(fact.id, fact);
+  const version = logFactChange(req.workspace.id, 'create', fact.id, null, fact);
+  res.status(201).json({ fact, version });
+});
+
+app.patch('/api/facts/:id', requireRole('editor'), (req, res) => {
+  const before = findFact(req);
+  if (!before) return res.status(404).json({ error: 'Fact not found' });
+  const changes = pickFactFields(req.body);
+  const invalid = validateFact(changes, { partial: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const fact = { ...before, ...changes, updatedAt: Date.now() };
+  const inverted = factWindowError(fact);
+  if (inverted) return res.status(400).json({ error: inverted });
+  facts.set(fact.id, fact);
+  const version = logFactChange(req.workspace.id, 'update', fact.id, before, fact);
+  res.json({ fact, version });
+});
+
+// Prefer PATCH { effectiveTo } to retire a fact; DELETE is for mistakes.
+app.delete('/api/facts/:id', requireRole('editor'), (req, res) => {
+  const before = findFact(req);
+  if (!before) return res.status(404).json({ error: 'Fact not found' });
+  facts.delete(before.id);
+  const version = logFactChange(req.workspace.id, 'delete', before.id, before, null);
+  res.json({ id: before.id, deleted: true, version });
+});
+
 // ════════════════════════════════════════════
 // GET /api/webflow
 // ════════════════════════════════════════════
-app.get('/api/webflow', async (req, res) => {
+app.get('/api/webflow', requireRole('viewer'), async (req, res) => {
   try {
     const clientIp = req.ip || req.connection.remoteAddress;
-    if (!checkRateLimit(clientIp)) return res.status(429).json({ error: 'Too many requests. Please wait a minute.' });
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests. Please wait a minute.' });
 
-    const { collectionId, itemId } = req.query;
-    const token = req.headers.authorization?.replace('Bearer ', '');
+    const { itemId } = req.query;
+    const { error: authError, token, collectionId } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
     if (!token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
 
+    // ?live=true returns what visitors see instead of the staged item
     if (itemId) {
       const r = await fetchWithTimeout(
-        `https://api.webflow.com/v2/collections/${collectionId}/items/${itemId}`,
+        `${WEBFLOW_API_BASE}/collections/${collectionId}/items/${itemId}${req.query.live === 'true' ? '/live' : ''}`,
         { headers: { 'Authorization': `Bearer ${token}`, 'accept': 'application/json' } }, 15000, 2
       );
       const d = await r.json();
-      return r.ok ? res.json(d) : res.status(r.status).json(d);
+      return r.ok ? res.json({ ...d, state: itemState(d) }) : res.status(r.status).json(d);
     }
 
-    const cacheKey = collectionId;
+    const cacheKey = wsKey(req.workspace, collectionId);
     const cached = getFromCache(blogCache, cacheKey, BLOG_CACHE_TTL);
     if (cached) {
       console.log(`Serving ${cached.length} blogs from cache`);
@@ -557,34 +2363,28 @@ app.get('/api/webflow', async (req, res) => {
 });
 
 // ════════════════════════════════════════════
-// PATCH /api/webflow
+// PATCH /api/webflow — writes the staged item; `live: true` also publishes it
 // ════════════════════════════════════════════
-app.patch('/api/webflow', async (req, res) => {
+app.patch('/api/webflow', requireRole('publisher'), async (req, res) => {
   try {
     const clientIp = req.ip || req.connection.remoteAddress;
-    if (!checkRateLimit(clientIp)) return res.status(429).json({ error: 'Too many requests.' });
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    if (req.workspace.requireApproval) return res.status(409).json({ error: 'This workspace requires approval — publish through /api/drafts' });
 
-    const { collectionId, itemId } = req.query;
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    const { fieldData } = req.body;
+    const { itemId } = req.query;
+    const { error: authError, token, collectionId } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    const { fieldData, live, isDraft } = req.body;
     if (!token || !collectionId || !itemId || !fieldData) return res.status(400).json({ error: 'Missing fields' });
 
-    // server-side guarantee: lists always Webflow-safe regardless of frontend state
-    if (fieldData && fieldData['post-body']) {
-      fieldData['post-body'] = balanceInlineTags(normalizeListsForWebflow(fieldData['post-body']));
-    }
-
-    const url = `https://api.webflow.com/v2/collections/${collectionId}/items/${itemId}`;
-    const response = await fetchWithTimeout(url, {
-      method: 'PATCH',
-      headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json', 'accept': 'application/json' },
-      body: JSON.stringify({ fieldData })
-    }, 60000, 3);
-    const data = await response.json();
-    if (!response.ok) return res.status(response.status).json(data);
-    blogCache.delete(collectionId);
-    console.log('Published:', itemId);
-    res.json(data);
+    const { ok, status, data, revisionId, state, itemPublish } = await publishItem({
+      workspace: req.workspace, actor: req.user, collectionId, itemId, token, fieldData,
+      live: live === true || req.query.live === 'true',
+      isDraft
+    });
+    if (!ok) return res.status(status).json(data);
+    res.json({ ...data, revisionId, state, itemPublish });
   } catch (err) {
     console.error('Publish error:', err);
     if (err.name === 'AbortError') return res.status(408).json({ error: 'Publish timeout.', type: 'timeout' });
@@ -592,23 +2392,637 @@ app.patch('/api/webflow', async (req, res) => {
   }
 });
 
-// ════════════════════════════════════════════
-// POST /api/upload-image
-// ════════════════════════════════════════════
-app.post('/api/upload-image', upload.single('file'), async (req, res) => {
+// POST /api/webflow/publish-items — { itemIds } — push already-staged items live
+app.post('/api/webflow/publish-items', requireRole('publisher'), async (req, res) => {
   try {
-    const file = req.file;
-    if (!file) return res.status(400).json({ error: 'No file uploaded.' });
-    if (!file.mimetype.startsWith('image/')) return res.status(400).json({ error: 'File must be an image' });
-    if (file.size > 4 * 1024 * 1024) return res.status(400).json({ error: 'Image too large (max 4MB)' });
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
 
-    const base64 = file.buffer.toString('base64');
-    const dataUri = `data:${file.mimetype};base64,${base64}`;
-    console.log(`Image converted to base64: ${file.originalname} (${(file.size / 1024).toFixed(1)}KB)`);
-    res.json({ url: dataUri });
-  } catch (err) {
+    if (req.workspace.requireApproval) return res.status(409).json({ error: 'This workspace requires approval — publish through /api/drafts' });
+
+    const { error: authError, token, collectionId } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    const { itemIds } = req.body;
+    if (!token || !collectionId || !Array.isArray(itemIds) || !itemIds.length) return res.status(400).json({ error: 'Missing fields' });
+
+    const { ok, status, data } = await publishItemsLive(collectionId, itemIds, token);
+    for (const itemId of itemIds) {
+      recordPublish({ workspace: req.workspace, actor: req.user, collectionId, itemId, source: 'publish-items', ok, status, target: 'live' });
+    }
+    if (!ok) return res.status(status).json(data);
+    blogCache.delete(wsKey(req.workspace, collectionId));
+    console.log(`Published ${itemIds.length} item(s) live`);
+
+    const items = await Promise.all(itemIds.map(id => fetchItem(collectionId, id, token).catch(() => null)));
+    res.json({
+      ...data,
+      items: itemIds.map((id, i) => ({ itemId: id, state: itemState(items[i]) }))
+    });
+  } catch (err) {
+    console.error('Item publish error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Publish timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Site ID from the request or the workspace.
+function resolveSiteId(req) {
+  return req.body?.siteId || req.query.siteId || req.workspace.webflow?.siteId || null;
+}
+
+// GET /api/webflow/domains?siteId= — custom domains a site publish can target
+app.get('/api/webflow/domains', requireRole('viewer'), async (req, res) => {
+  try {
+    const { error: authError, token } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    const siteId = resolveSiteId(req);
+    if (!token || !siteId) return res.status(400).json({ error: 'Missing token or siteId' });
+    const domains = await fetchCustomDomains(siteId, token);
+    res.json({ siteId, domains: domains.map(d => ({ id: d.id, url: d.url, lastPublished: d.lastPublished || null })) });
+  } catch (err) {
+    console.error('Domains error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Request timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/webflow/publish-site — { siteId?, customDomains?: [domainId], publishToWebflowSubdomain? }
+app.post('/api/webflow/publish-site', requireRole('publisher'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    if (req.workspace.requireApproval) return res.status(409).json({ error: 'This workspace requires approval — publish through /api/drafts' });
+
+    const { error: authError, token } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    const siteId = resolveSiteId(req);
+    const { customDomains = [], publishToWebflowSubdomain = false } = req.body;
+    if (!token || !siteId) return res.status(400).json({ error: 'Missing token or siteId' });
+    if (!Array.isArray(customDomains) || (!customDomains.length && !publishToWebflowSubdomain)) {
+      return res.status(400).json({ error: 'Pick at least one custom domain or publishToWebflowSubdomain' });
+    }
+
+    const { ok, status, data } = await webflowPost(`/sites/${siteId}/publish`, token, { customDomains, publishToWebflowSubdomain: !!publishToWebflowSubdomain }, 60000);
+    recordPublish({
+      workspace: req.workspace, actor: req.user, collectionId: null, itemId: null,
+      source: 'publish-site', ok, status, target: 'site',
+      details: { siteId, customDomains, publishToWebflowSubdomain: !!publishToWebflowSubdomain }
+    });
+    if (!ok) return res.status(status).json(data);
+    console.log(`Site ${siteId} published (${customDomains.length} domain(s)${publishToWebflowSubdomain ? ' + webflow.io' : ''})`);
+    res.json({ siteId, ...data });
+  } catch (err) {
+    console.error('Site publish error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Publish timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/publish-log?itemId=&userId=&limit= — who published what, newest first
+app.get('/api/publish-log', requireRole('publisher'), (req, res) => {
+  const { itemId, userId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const entries = Array.from(publishLog.values())
+    .filter(e => e.workspaceId === req.workspace.id)
+    .filter(e => (!itemId || e.itemId === itemId) && (!userId || e.userId === userId))
+    .reverse()
+    .slice(0, limit);
+  res.json({ entries });
+});
+
+// ════════════════════════════════════════════
+// REVISIONS — snapshots of live fieldData taken before every publish
+// ════════════════════════════════════════════
+const revisions = new PersistentMap('revisions');
+const REVISION_LIMIT = 30;
+
+function saveRevision(workspace, collectionId, item, source, snapshotOf) {
+  const revision = {
+    id: `rev_${crypto.randomUUID()}`,
+    at: Date.now(),
+    source,
+    snapshotOf,
+    workspaceId: workspace.id,
+    collectionId,
+    itemId: item.id,
+    lastUpdated: item.lastUpdated || null,
+    lastPublished: item.lastPublished || null,
+    fieldData: item.fieldData || {}
+  };
+  const list = revisions.get(item.id) || [];
+  revisions.set(item.id, [...list, revision].slice(-REVISION_LIMIT));
+  return revision;
+}
+
+function listRevisions(workspace, itemId) {
+  return (revisions.get(itemId) || []).filter(r => r.workspaceId === workspace.id);
+}
+
+function findRevision(workspace, itemId, revisionId) {
+  return listRevisions(workspace, itemId).find(r => r.id === revisionId) || null;
+}
+
+// Longest-common-subsequence diff over two arrays. Returns runs of
+// { op: 'equal' | 'delete' | 'insert', items }. Common prefix/suffix are
+// trimmed first so the DP table only covers the changed middle.
+function diffSequences(a, b, eq = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && eq(a[start], b[start])) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) { endA--; endB--; }
+
+  const ops = [];
+  const push = (op, item) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.items.push(item);
+    else ops.push({ op, items: [item] });
+  };
+  a.slice(0, start).forEach(x => push('equal', x));
+
+  const midA = a.slice(start, endA), midB = b.slice(start, endB);
+  const n = midA.length, m = midB.length;
+  if (n * m > 4000000) {
+    // too large for the table — report the middle as one replacement
+    midA.forEach(x => push('delete', x));
+    midB.forEach(x => push('insert', x));
+  } else {
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i][j] = eq(midA[i], midB[j]) ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (eq(midA[i], midB[j])) { push('equal', midA[i]); i++; j++; }
+      else if (table[i + 1][j] >= table[i][j + 1]) { push('delete', midA[i]); i++; }
+      else { push('insert', midB[j]); j++; }
+    }
+    while (i < n) push('delete', midA[i++]);
+    while (j < m) push('insert', midB[j++]);
+  }
+
+  a.slice(endA).forEach(x => push('equal', x));
+  return ops;
+}
+
+// Split HTML into top-level-ish blocks: one entry per closed block element or line.
+function splitHtmlBlocks(html) {
+  return (html || '')
+    .split(/\n|(?<=<\/(?:p|h[1-6]|li|ul|ol|div|table|blockquote|figure|pre)>)/i)
+    .map(b => b.trim())
+    .filter(Boolean);
+}
+
+function diffFieldData(from = {}, to = {}) {
+  const fields = [];
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  for (const key of keys) {
+    const a = from[key], b = to[key];
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    if (typeof a === 'string' && typeof b === 'string' && /<[a-z]/i.test(a + b)) {
+      const hunks = diffSequences(splitHtmlBlocks(a), splitHtmlBlocks(b)).filter(h => h.op !== 'equal');
+      fields.push({ field: key, type: 'html', hunks });
+    } else {
+      fields.push({ field: key, type: 'value', from: a ?? null, to: b ?? null });
+    }
+  }
+  return fields;
+}
+
+// GET /api/revisions/:itemId — newest first, without the stored fieldData
+app.get('/api/revisions/:itemId', requireRole('viewer'), (req, res) => {
+  const list = listRevisions(req.workspace, req.params.itemId).slice().reverse();
+  res.json({
+    itemId: req.params.itemId,
+    revisions: list.map(({ fieldData, ...meta }) => ({ ...meta, fields: Object.keys(fieldData) }))
+  });
+});
+
+// GET /api/revisions/:itemId/diff?from=<revId>&to=<revId|current>
+// `to=current` compares against the live item, or the staged one if it was
+// never published (needs collectionId + bearer token).
+app.get('/api/revisions/:itemId/diff', requireRole('viewer'), async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { from, to } = req.query;
+    if (!from || !to) return res.status(400).json({ error: 'Missing from or to' });
+
+    const fromRev = findRevision(req.workspace, itemId, from);
+    if (!fromRev) return res.status(404).json({ error: `Revision ${from} not found` });
+
+    let toFieldData;
+    if (to === 'current') {
+      const { error: authError, token, collectionId } = webflowAuth(req);
+      if (authError) return res.status(400).json({ error: authError });
+      if (!token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
+      toFieldData = (await fetchReaderCopy(collectionId, itemId, token)).item.fieldData;
+    } else {
+      const toRev = findRevision(req.workspace, itemId, to);
+      if (!toRev) return res.status(404).json({ error: `Revision ${to} not found` });
+      toFieldData = toRev.fieldData;
+    }
+
+    res.json({ itemId, from, to, fields: diffFieldData(fromRev.fieldData, toFieldData) });
+  } catch (err) {
+    console.error('Revision diff error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Request timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/revisions/:itemId/:revisionId', requireRole('viewer'), (req, res) => {
+  const revision = findRevision(req.workspace, req.params.itemId, req.params.revisionId);
+  if (!revision) return res.status(404).json({ error: 'Revision not found' });
+  res.json(revision);
+});
+
+// POST /api/revisions/:itemId/:revisionId/restore — republish a stored revision
+app.post('/api/revisions/:itemId/:revisionId/restore', requireRole('publisher'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    const { itemId, revisionId } = req.params;
+    const revision = findRevision(req.workspace, itemId, revisionId);
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    if (req.workspace.requireApproval) {
+      return res.status(409).json({ error: 'This workspace requires approval — draft the revision\'s fieldData through /api/drafts' });
+    }
+    const { error: authError, token } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    const collectionId = req.query.collectionId || revision.collectionId;
+    if (!token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
+
+    const { ok, status, data, revisionId: savedAs, state, itemPublish } = await publishItem({
+      workspace: req.workspace, actor: req.user, collectionId, itemId, token,
+      fieldData: { ...revision.fieldData },
+      source: `restore:${revisionId}`,
+      live: req.body?.live === true
+    });
+    if (!ok) return res.status(status).json(data);
+    console.log(`Restored ${itemId} to ${revisionId}`);
+    res.json({ ...data, restoredFrom: revisionId, revisionId: savedAs, state, itemPublish });
+  } catch (err) {
+    console.error('Restore error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Restore timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ════════════════════════════════════════════
+// STRUCTURED HTML DIFF (original post vs smartcheck output)
+// Block-level hunks with a word-level breakdown for replaced blocks. Each
+// hunk is tagged with the finding(s) that caused it; widgets that came back
+// via anchor recovery or were appended at the end are flagged.
+// ════════════════════════════════════════════
+const diffPlainText = (h) => (h || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+function diffWords(before, after) {
+  const tokenize = (h) => h.match(/<[^>]+>|[^\s<]+|\s+/g) || [];
+  return diffSequences(tokenize(before), tokenize(after)).map(r => ({ op: r.op, text: r.items.join('') }));
+}
+
+// A finding "owns" a hunk when a probe of its corrected text shows up in the
+// inserted side, or a probe of its current text in the deleted side.
+function findingMatchesHunk(f, beforeText, afterText) {
+  const corrected = diffPlainText(f.corrected ?? f.to).replace(/^q\s*[:.]\s*/, '').split(/\s+a\s*[:.]\s+/)[0];
+  const current = diffPlainText(f.current ?? f.from);
+  const probe = (t) => t.slice(0, 60);
+  return !!((corrected && afterText.includes(probe(corrected))) || (current && beforeText.includes(probe(current))));
+}
+
+function diffHtml(original, updated, { findings = [], placements = [] } = {}) {
+  const { widgets } = protectWidgets(original || '');
+  const runs = diffSequences(splitHtmlBlocks(original), splitHtmlBlocks(updated));
+
+  // fold adjacent delete+insert runs into a single replace hunk
+  const hunks = [];
+  for (let i = 0; i < runs.length; i++) {
+    const r = runs[i];
+    if (r.op === 'equal') continue;
+    if (r.op === 'delete' && runs[i + 1]?.op === 'insert') {
+      hunks.push({ type: 'replace', before: r.items, after: runs[i + 1].items });
+      i++;
+    } else {
+      hunks.push({ type: r.op, before: r.op === 'delete' ? r.items : [], after: r.op === 'insert' ? r.items : [] });
+    }
+  }
+
+  const displaced = placements.filter(p => p.method === 'anchor' || p.method === 'appended');
+  const widgetFlags = displaced.map(p => ({ ...p, preview: (widgets[p.index]?.content || '').slice(0, 100) }));
+
+  const tagged = hunks.map((h, id) => {
+    const beforeHtml = h.before.join('\n');
+    const afterHtml = h.after.join('\n');
+    const beforeText = diffPlainText(beforeHtml);
+    const afterText = diffPlainText(afterHtml);
+    const hunk = { id, type: h.type, before: beforeHtml, after: afterHtml };
+    if (h.type === 'replace') hunk.words = diffWords(beforeHtml, afterHtml);
+
+    hunk.findings = findings
+      .map((f, index) => ({ index, type: f.type, where: f.where }))
+      .filter(({ index }) => findingMatchesHunk(findings[index], beforeText, afterText));
+
+    // widget blocks split across lines, so match any substantial line of the widget
+    const widgetHit = displaced.find(p => {
+      const content = widgets[p.index]?.content || '';
+      return h.after.some(b => b.length > 20 && content.includes(b));
+    });
+    if (widgetHit) hunk.widget = { index: widgetHit.index, method: widgetHit.method };
+    return hunk;
+  });
+
+  return {
+    hunks: tagged,
+    widgets: widgetFlags,
+    summary: {
+      hunks: tagged.length,
+      inserted: tagged.filter(h => h.type === 'insert').length,
+      deleted: tagged.filter(h => h.type === 'delete').length,
+      replaced: tagged.filter(h => h.type === 'replace').length,
+      untagged: tagged.filter(h => !h.findings.length && !h.widget).length
+    }
+  };
+}
+
+// POST /api/diff — body: { original, updated, findings?, widgetPlacements? }
+// `findings` may be the smartcheck changelog; `widgetPlacements` comes from the same response.
+app.post('/api/diff', requireRole('viewer'), (req, res) => {
+  try {
+    const { original, updated, findings, widgetPlacements } = req.body;
+    if (typeof original !== 'string' || typeof updated !== 'string') return res.status(400).json({ error: 'Missing original or updated' });
+    res.json(diffHtml(original, updated, { findings: findings || [], placements: widgetPlacements || [] }));
+  } catch (err) {
+    console.error('Diff error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ════════════════════════════════════════════
+// IMAGE HOSTING
+// Uploads go to real storage instead of data: URIs inside post-body.
+// IMAGE_STORAGE picks the backend: 'local' (IMAGE_DIR, served from /images
+// under PUBLIC_BASE_URL; default), 'webflow' (site Assets API, needs the
+// workspace's webflow.siteId) or 's3' (any S3-compatible bucket). Every upload gets WebP variants at IMAGE_WIDTHS and must carry
+// alt text. Identical bytes are stored once per workspace. The bytes must be
+// the image type they claim to be; /images is served with a CSP that stops
+// an SVG opened directly from running script on this origin.
+// ════════════════════════════════════════════
+const IMAGE_STORAGE = process.env.IMAGE_STORAGE || 'local';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+const IMAGE_DIR = process.env.IMAGE_DIR || path.join(DATA_DIR, 'images');
+const IMAGE_WIDTHS = (process.env.IMAGE_WIDTHS || '480,960,1600').split(',').map(Number).filter(n => n > 0);
+const IMAGE_MAX_BYTES = 4 * 1024 * 1024;
+const MIGRATE_MAX_BYTES = 8 * 1024 * 1024;
+const assets = new PersistentMap('assets');
+
+const sha256Hex = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const IMAGE_EXT = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif', 'image/svg+xml': 'svg' };
+
+if (IMAGE_STORAGE === 'local') {
+  app.use('/images', express.static(IMAGE_DIR, {
+    maxAge: '365d',
+    immutable: true,
+    setHeaders: (res, file) => {
+      res.setHeader('Content-Security-Policy', "default-src 'none'");
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      if (file.endsWith('.svg')) res.setHeader('Content-Disposition', 'attachment');
+    }
+  }));
+}
+
+// The type the bytes actually are, from their signature; null if none of IMAGE_EXT.
+function sniffImageType(buffer) {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(8, 12))) return 'image/avif';
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text)) return 'image/svg+xml';
+  return null;
+}
+
+// Stored URLs must not depend on the request's Host header, so the public origin is configured.
+async function putLocal(key, buffer) {
+  if (!PUBLIC_BASE_URL) throw new Error('Local image storage needs PUBLIC_BASE_URL (the public origin /images is served from)');
+  const file = path.join(IMAGE_DIR, key);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, buffer);
+  return `${PUBLIC_BASE_URL}/images/${key}`;
+}
+
+// Plain SigV4 PUT; works with AWS, R2, MinIO and other S3-compatible stores.
+async function putS3(key, buffer, contentType) {
+  const { S3_ENDPOINT, S3_BUCKET, S3_REGION = 'auto', S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL } = process.env;
+  if (!S3_ENDPOINT || !S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  const url = new URL(`${S3_ENDPOINT.replace(/\/$/, '')}/${S3_BUCKET}/${key}`);
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(buffer);
+  const headers = { 'cache-control': 'public, max-age=31536000, immutable', 'content-type': contentType, host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const canonicalHeaders = Object.keys(headers).sort().map(k => `${k}:${headers[k]}\n`).join('');
+  const canonicalRequest = ['PUT', url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const scope = `${date}/${S3_REGION}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${S3_SECRET_ACCESS_KEY}`, date), S3_REGION), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const { host, ...sent } = headers;
+  const r = await fetchWithTimeout(url.toString(), {
+    method: 'PUT',
+    headers: { ...sent, 'Authorization': `AWS4-HMAC-SHA256 Credential=${S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}` },
+    body: buffer
+  }, 60000, 2);
+  if (!r.ok) { const t = await r.text(); throw new Error(`S3 ${r.status}: ${t.slice(0, 300)}`); }
+  return S3_PUBLIC_URL ? `${S3_PUBLIC_URL.replace(/\/$/, '')}/${key}` : url.toString();
+}
+
+// Webflow Assets: register the file (name + MD5), then POST it to the returned S3 form.
+async function putWebflow(key, buffer, contentType, { token, siteId }) {
+  if (!token || !siteId) throw new Error('Webflow asset upload needs a token and siteId');
+  const fileName = key.split('/').pop();
+  const fileHash = crypto.createHash('md5').update(buffer).digest('hex');
+  const { ok, status, data } = await webflowPost(`/sites/${siteId}/assets`, token, { fileName, fileHash });
+  if (!ok) throw new Error(`Webflow ${status}: ${data?.message || 'asset registration failed'}`);
+
+  const form = new FormData();
+  for (const [k, v] of Object.entries(data.uploadDetails || {})) form.append(k, v);
+  form.append('file', new Blob([buffer], { type: contentType }), fileName);
+  const r = await fetchWithTimeout(data.uploadUrl, { method: 'POST', body: form }, 60000, 2);
+  if (!r.ok) { const t = await r.text(); throw new Error(`Asset upload ${r.status}: ${t.slice(0, 300)}`); }
+  return data.hostedUrl || data.assetUrl;
+}
+
+const IMAGE_STORES = { local: putLocal, s3: putS3, webflow: putWebflow };
+if (!IMAGE_STORES[IMAGE_STORAGE]) throw new Error(`Unknown IMAGE_STORAGE "${IMAGE_STORAGE}" (expected local, webflow or s3)`);
+if (IMAGE_STORAGE === 'local' && !PUBLIC_BASE_URL) console.warn('Images: PUBLIC_BASE_URL is not set — image uploads fail until it is');
+
+function imageDecodeError(err) {
+  const decodeErr = new Error(`Could not decode image: ${err.message}`);
+  decodeErr.name = 'ImageDecodeError';
+  return decodeErr;
+}
+
+// Original plus WebP at each configured width below the original's. SVG and
+// GIF (vector / possibly animated) are stored as-is.
+async function buildImageVariants(buffer, mimetype) {
+  if (mimetype === 'image/svg+xml' || mimetype === 'image/gif') return { width: null, height: null, variants: [] };
+  try {
+    const meta = await sharp(buffer).metadata();
+    const widths = [...IMAGE_WIDTHS.filter(w => w < meta.width), meta.width];
+    const variants = [];
+    for (const width of widths) {
+      const out = await sharp(buffer).rotate().resize({ width, withoutEnlargement: true }).webp({ quality: 80 }).toBuffer();
+      variants.push({ width, format: 'webp', contentType: 'image/webp', buffer: out });
+    }
+    return { width: meta.width, height: meta.height, variants };
+  } catch (err) {
+    throw imageDecodeError(err);
+  }
+}
+
+function imageHtml({ url, alt, width, height, variants }) {
+  const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  const webp = variants.filter(v => v.format === 'webp');
+  const srcset = webp.map(v => `${v.url} ${v.width}w`).join(', ');
+  const src = webp.length ? webp[webp.length - 1].url : url;
+  const dims = width && height ? ` width="${width}" height="${height}"` : '';
+  return `<img src="${esc(src)}" alt="${esc(alt)}"${dims}${srcset ? ` srcset="${esc(srcset)}" sizes="(max-width: 960px) 100vw, 960px"` : ''} loading="lazy">`;
+}
+
+// Store an image and its variants; reuses an earlier upload of the same bytes.
+async function hostImage({ workspace, buffer, mimetype, name, alt, ctx }) {
+  const actual = sniffImageType(buffer);
+  if (!actual) throw imageDecodeError(new Error(`not a ${Object.keys(IMAGE_EXT).join(', ')} file`));
+  if (actual !== mimetype) throw imageDecodeError(new Error(`the bytes are ${actual}, not the declared ${mimetype}`));
+  const hash = sha256Hex(buffer);
+  const cacheKey = wsKey(workspace, `${IMAGE_STORAGE}:${hash}`);
+  const existing = assets.get(cacheKey);
+  if (existing) return { ...existing, alt, html: imageHtml({ ...existing, alt }), reused: true };
+
+  const put = IMAGE_STORES[IMAGE_STORAGE];
+  const base = (name || 'image').replace(/\.[a-z0-9]+$/i, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'image';
+  const prefix = `${workspace.id}/${hash.slice(0, 12)}-${base}`;
+
+  const { width, height, variants } = await buildImageVariants(buffer, mimetype);
+  const url = await put(`${prefix}.${IMAGE_EXT[mimetype] || 'bin'}`, buffer, mimetype, ctx);
+  const hosted = [];
+  for (const v of variants) {
+    hosted.push({ width: v.width, format: v.format, bytes: v.buffer.length, url: await put(`${prefix}-${v.width}w.webp`, v.buffer, v.contentType, ctx) });
+  }
+
+  const record = { hash, storage: IMAGE_STORAGE, url, contentType: mimetype, bytes: buffer.length, width, height, variants: hosted, createdAt: Date.now() };
+  assets.set(cacheKey, record);
+  console.log(`Image hosted (${IMAGE_STORAGE}): ${url} + ${hosted.length} variant(s)`);
+  return { ...record, alt, html: imageHtml({ ...record, alt }), reused: false };
+}
+
+// Per-request storage context: Webflow needs the token + site.
+function imageStoreContext(req) {
+  const { error, token, collectionId } = webflowAuth(req);
+  return { error, collectionId, ctx: { token, siteId: resolveSiteId(req) } };
+}
+
+// POST /api/upload-image — multipart `file` + `alt`
+app.post('/api/upload-image', requireRole('editor'), upload.single('file'), async (req, res) => {
+  try {
+    const file = req.file;
+    if (!file) return res.status(400).json({ error: 'No file uploaded.' });
+    if (!file.mimetype.startsWith('image/')) return res.status(400).json({ error: 'File must be an image' });
+    if (file.size > IMAGE_MAX_BYTES) return res.status(400).json({ error: 'Image too large (max 4MB)' });
+    const alt = (req.body.alt || '').trim();
+    if (!alt) return res.status(400).json({ error: 'alt text is required' });
+
+    const { error, ctx } = imageStoreContext(req);
+    if (error) return res.status(400).json({ error });
+    const hosted = await hostImage({ workspace: req.workspace, buffer: file.buffer, mimetype: file.mimetype, name: file.originalname, alt, ctx });
+    res.json(hosted);
+  } catch (err) {
     console.error('Image upload error:', err);
     if (err.code === 'LIMIT_FILE_SIZE') return res.status(400).json({ error: 'Image too large (max 4MB)' });
+    if (err.name === 'ImageDecodeError') return res.status(400).json({ error: err.message });
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Upload timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/images/migrate — { blogContent | itemId, alts?: { [index]: alt }, dryRun?, createDraft? }
+// Rehosts every data-URI <img> and rewrites its src. Images without alt text
+// (in the tag or in `alts`) are left alone and reported.
+app.post('/api/images/migrate', requireRole('editor'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    const { itemId, alts = {}, dryRun, createDraft: asDraft } = req.body;
+    const { error, ctx, collectionId } = imageStoreContext(req);
+    if (error) return res.status(400).json({ error });
+
+    let html = req.body.blogContent;
+    let item = null;
+    if (!html && itemId) {
+      if (!ctx.token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
+      item = await fetchItem(collectionId, itemId, ctx.token);
+      html = item.fieldData?.['post-body'] || '';
+    }
+    if (typeof html !== 'string') return res.status(400).json({ error: 'Missing blogContent or itemId' });
+
+    const IMG_DATA_URI = /<img\b[^>]*?\bsrc\s*=\s*(["'])(data:(image\/[a-z0-9.+-]+);base64,([^"']+))\1[^>]*>/gi;
+    const found = Array.from(html.matchAll(IMG_DATA_URI)).map((m, index) => {
+      const tagAlt = m[0].match(/\balt\s*=\s*(["'])(.*?)\1/i)?.[2]?.trim() || '';
+      return { index, tag: m[0], dataUri: m[2], mimetype: m[3].toLowerCase(), base64: m[4], alt: tagAlt || (alts[index] || '').trim(), hadAlt: !!tagAlt };
+    });
+
+    const images = [];
+    const replacements = new Map();
+    for (const img of found) {
+      const buffer = Buffer.from(img.base64, 'base64');
+      const entry = { index: img.index, bytes: buffer.length, contentType: img.mimetype, alt: img.alt || null };
+      if (!img.alt) { images.push({ ...entry, status: 'needs_alt' }); continue; }
+      if (buffer.length > MIGRATE_MAX_BYTES) { images.push({ ...entry, status: 'too_large' }); continue; }
+      if (dryRun) { images.push({ ...entry, status: 'would_migrate' }); continue; }
+      try {
+        const hosted = await hostImage({ workspace: req.workspace, buffer, mimetype: img.mimetype, name: `inline-${img.index}`, alt: img.alt, ctx });
+        const src = hosted.variants.length ? hosted.variants[hosted.variants.length - 1].url : hosted.url;
+        let tag = img.tag.replace(img.dataUri, src);
+        if (!img.hadAlt) tag = /\balt\s*=/i.test(tag) ? tag.replace(/\balt\s*=\s*(["']).*?\1/i, `alt="${img.alt.replace(/"/g, '&quot;')}"`) : tag.replace(/^<img\b/i, `<img alt="${img.alt.replace(/"/g, '&quot;')}"`);
+        replacements.set(img.tag, tag);
+        images.push({ ...entry, status: 'migrated', url: src, original: hosted.url, reused: hosted.reused });
+      } catch (err) {
+        images.push({ ...entry, status: 'failed', error: err.message });
+      }
+    }
+
+    let updatedContent = html;
+    for (const [from, to] of replacements) updatedContent = updatedContent.split(from).join(to);
+    const result = {
+      found: found.length,
+      migrated: images.filter(i => i.status === 'migrated').length,
+      savedBytes: html.length - updatedContent.length,
+      images,
+      updatedContent
+    };
+    console.log(`Image migration: ${result.migrated}/${found.length} data-URI images rehosted`);
+
+    if (asDraft && itemId && result.migrated) {
+      result.draft = createDraft({
+        workspace: req.workspace, actor: req.user, collectionId, itemId,
+        slug: item?.fieldData?.slug, title: item?.fieldData?.name,
+        fieldData: { 'post-body': updatedContent },
+        review: { changelog: images.filter(i => i.status === 'migrated').map(i => ({ type: 'image', where: `image ${i.index}`, current: `data URI (${(i.bytes / 1024).toFixed(1)}KB)`, corrected: i.url })) },
+        source: 'image-migration'
+      });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error('Image migration error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Request timeout.', type: 'timeout' });
     res.status(500).json({ error: err.message });
   }
 });
@@ -616,13 +3030,14 @@ app.post('/api/upload-image', upload.single('file'), async (req, res) => {
 // ════════════════════════════════════════════
 // BRAVE SEARCH (with caching)
 // ════════════════════════════════════════════
-async function braveSearch(query, key, count = 5) {
+async function braveSearch(query, key, count = 5, onCall = null) {
   if (!key) return [];
   const cacheKey = `brave:${hashString(query + count)}`;
   const cached = getFromCache(searchResultsCache, cacheKey, SEARCH_CACHE_TTL);
   if (cached) { console.log(`  Brave cache hit: "${query}"`); return cached; }
   try {
     const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=${count}`;
+    onCall?.();
     const res = await fetchWithTimeout(url, { headers: { 'X-Subscription-Token': key, 'Accept': 'application/json' } }, 10000, 2);
     if (!res.ok) { console.warn(`Brave search failed: ${res.status}`); return []; }
     const data = await res.json();
@@ -635,13 +3050,14 @@ async function braveSearch(query, key, count = 5) {
 // ════════════════════════════════════════════
 // GOOGLE CUSTOM SEARCH (with caching)
 // ════════════════════════════════════════════
-async function googleSearch(query, key, cx, count = 5) {
+async function googleSearch(query, key, cx, count = 5, onCall = null) {
   if (!key || !cx) return [];
   const cacheKey = `google:${hashString(query + count)}`;
   const cached = getFromCache(searchResultsCache, cacheKey, SEARCH_CACHE_TTL);
   if (cached) { console.log(`  Google cache hit: "${query}"`); return cached; }
   try {
     const url = `https://www.googleapis.com/customsearch/v1?key=${key}&cx=${cx}&q=${encodeURIComponent(query)}&num=${count}`;
+    onCall?.();
     const res = await fetchWithTimeout(url, {}, 10000, 2);
     if (!res.ok) { console.warn(`Google search failed: ${res.status}`); return []; }
     const data = await res.json();
@@ -652,225 +3068,2036 @@ async function googleSearch(query, key, cx, count = 5) {
 }
 
 // ════════════════════════════════════════════
-// POST /api/smartcheck — Research + Rewrite
+// SEARCH PROVIDERS & EVIDENCE STAGE
+// `searchProvider` picks where pre-audit evidence comes from: 'native'
+// (default — no evidence stage, the model searches on its own), 'brave',
+// 'google', 'fixture' (SEARCH_FIXTURE_FILE, for local runs) or 'all' (every
+// provider the request has keys for). Evidence is gathered per checkable
+// claim — sentences with prices, numbers, dates or competitor names — and
+// merged across providers by URL. `byos: true` ("bring your own search")
+// drops the model's web_search tool so the audit runs on the evidence alone.
 // ════════════════════════════════════════════
-app.post('/api/smartcheck', async (req, res) => {
-  try {
-    const clientIp = req.ip || req.connection.remoteAddress;
-    if (!checkRateLimit(clientIp)) return res.status(429).json({ error: 'Too many analysis requests.' });
+const SEARCH_FIXTURE_FILE = process.env.SEARCH_FIXTURE_FILE || null;
+const MAX_EVIDENCE_CLAIMS = 8;
+const EVIDENCE_PER_CLAIM = 4;
 
-    const {
-      blogContent, title, slug,
-      anthropicKey, braveKey, googleKey, googleCx,
-      gscKeywords, brandHints, addTldr
-    } = req.body;
-
-    if (!blogContent || !anthropicKey) return res.status(400).json({ error: 'Missing required fields' });
-
-    // Check analysis cache
-    const contentHash = hashString(blogContent + JSON.stringify(gscKeywords || []) + JSON.stringify(brandHints || []) + (addTldr ? 'tldr' : ''));
-    const cachedAnalysis = getFromCache(analysisCache, contentHash, ANALYSIS_CACHE_TTL);
-    if (cachedAnalysis) {
-      console.log('Serving cached analysis');
-      return res.json({ ...cachedAnalysis, fromCache: true });
-    }
-
-    const anthropic = new Anthropic({ apiKey: anthropicKey });
-    const t0 = Date.now();
-    let searchCount = 0;
-
-    // ── STEP 0: Protect widgets/embeds ──
-    console.log('=== Stage 0: Widget Protection ===');
-    const { protectedHtml: protectedContent, widgets } = protectWidgets(blogContent);
-    console.log(`  Protected ${widgets.length} widgets/embeds`);
-    widgets.forEach((w, i) => {
-      const preview = w.content.substring(0, 100).replace(/\n/g, ' ').trim();
-      console.log(`    Widget ${i}: ${preview}...`);
-    });
+// Fixture file: [{ "match": "<case-insensitive substring of the query>", "results": [{ title, url, snippet }] }]
+function fixtureSearch(query, count = 5) {
+  const entries = JSON.parse(fs.readFileSync(SEARCH_FIXTURE_FILE, 'utf8'));
+  const q = query.toLowerCase();
+  return entries
+    .filter(e => q.includes(String(e.match || '').toLowerCase()))
+    .flatMap(e => e.results || [])
+    .slice(0, count)
+    .map(r => ({ title: r.title || '', url: r.url, snippet: r.snippet || '', source: 'fixture' }));
+}
 
-    // ── 1. Fable audit (native web search) ──
-    console.log('=== Stage 1: Fable Audit ===');
-    const modelMode = req.body.modelMode || 'hybrid'; // 'hybrid' | 'fable' | 'sonnet'
-    const audit = await fableAudit({
-      anthropicKey, title,
-      blogContent: protectedContent,
-      brandHints, gscKeywords, modelMode
+const SEARCH_PROVIDERS = {
+  brave: { needs: 'braveKey', available: (keys) => !!keys.braveKey, search: (q, keys, n, onCall) => braveSearch(q, keys.braveKey, n, onCall) },
+  google: { needs: 'googleKey and googleCx', available: (keys) => !!(keys.googleKey && keys.googleCx), search: (q, keys, n, onCall) => googleSearch(q, keys.googleKey, keys.googleCx, n, onCall) },
+  fixture: { needs: 'SEARCH_FIXTURE_FILE', available: () => !!SEARCH_FIXTURE_FILE, search: async (q, keys, n, onCall) => { onCall?.(); return fixtureSearch(q, n); } }
+};
+
+// → { providers: [...], native: bool } or { error }
+function resolveSearchPlan(input) {
+  const choice = input.searchProvider || 'native';
+  const byos = !!input.byos;
+  if (choice === 'native') {
+    return byos ? { error: 'byos needs an evidence provider (brave, google, fixture or all)' } : { providers: [], native: true };
+  }
+  if (choice === 'all') {
+    const providers = Object.keys(SEARCH_PROVIDERS).filter(p => p !== 'fixture' && SEARCH_PROVIDERS[p].available(input));
+    if (!providers.length) return { error: 'searchProvider "all" needs braveKey or googleKey + googleCx' };
+    return { providers, native: !byos };
+  }
+  const provider = SEARCH_PROVIDERS[choice];
+  if (!provider) return { error: `searchProvider must be one of: native, ${Object.keys(SEARCH_PROVIDERS).join(', ')}, all` };
+  if (!provider.available(input)) return { error: `searchProvider "${choice}" needs ${provider.needs}` };
+  return { providers: [choice], native: !byos };
+}
+
+// Sentences worth verifying, most specific first.
+function extractClaims(html, workspace, limit = MAX_EVIDENCE_CLAIMS) {
+  const names = [workspace.brand, ...(workspace.competitors || [])].filter(Boolean).map(n => n.toLowerCase());
+  const sentences = htmlText(html.replace(/___WIDGET_\d+___/g, ' ')).split(/(?<=[.!?])\s+/);
+  const seen = new Set();
+  return sentences
+    .map(text => {
+      const lower = text.toLowerCase();
+      const score = (/[$€£]\s?\d/.test(text) ? 3 : 0) + (/\d+(\.\d+)?\s?%/.test(text) ? 2 : 0) + (/\b(19|20)\d{2}\b/.test(text) ? 1 : 0)
+        + (/\d/.test(text) ? 1 : 0) + (names.some(n => lower.includes(n)) ? 2 : 0);
+      return { text: text.trim(), score };
+    })
+    .filter(c => c.score >= 2 && c.text.length >= 30 && c.text.length <= 400)
+    .filter(c => !seen.has(c.text) && seen.add(c.text))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(c => c.text);
+}
+
+// Short keyword query for a claim: named entities and numbers first.
+function claimQuery(claim) {
+  const words = claim.replace(/[^\w$€£%.\s-]/g, ' ').split(/\s+/).filter(w => w && !LINK_STOPWORDS.has(w.toLowerCase()));
+  return words.slice(0, 12).join(' ');
+}
+
+const evidenceUrlKey = (url) => String(url || '').toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/[?#].*$/, '').replace(/\/$/, '');
+
+// Same page from several providers → one result listing every provider, ranked by agreement then best rank.
+function mergeEvidence(resultSets) {
+  const merged = new Map();
+  for (const results of resultSets) {
+    results.forEach((r, rank) => {
+      const key = evidenceUrlKey(r.url);
+      if (!key) return;
+      const prev = merged.get(key);
+      if (!prev) return merged.set(key, { title: r.title, url: r.url, snippet: r.snippet, sources: [r.source], bestRank: rank });
+      if (!prev.sources.includes(r.source)) prev.sources.push(r.source);
+      if ((r.snippet || '').length > (prev.snippet || '').length) prev.snippet = r.snippet;
+      prev.bestRank = Math.min(prev.bestRank, rank);
     });
-    searchCount = audit.searchesUsed || 0;
-    console.log(`  ${audit.findings?.length || 0} findings, ${searchCount} searches`);
-
-    // ── 2. Rewrite from audit findings ──
-    console.log('=== Stage 2: Rewrite ===');
-    // ════════════════════════════════════════════
-    // CODE-BASED EDIT APPLICATION (no second LLM call)
-    //
-    // The audit already told us exactly what to change (findings with
-    // verbatim `current` → `corrected` text). We apply those edits in code
-    // with exact string matching. The model NEVER regenerates the document,
-    // so it is mechanically impossible to drop a paragraph, fumble a tag,
-    // or emit a stray `<`. Every byte not named in a finding stays identical.
-    // ════════════════════════════════════════════
-    console.log('=== Stage 2: Applying edits (code, no LLM rewrite) ===');
-
-    let updated = protectedContent;
-    const applied = [];
-    const skipped = [];
-
-    // Find the exact substring in `hay` matching `needle`, tolerant to
-    // curly-vs-straight quotes and whitespace differences. Returns the exact
-    // original substring so we only ever replace bytes that truly exist.
-    function findTolerant(hay, needle) {
-      if (!needle) return null;
-      if (hay.includes(needle)) return needle; // exact fast path
-
-      // Build a regex from the needle: escape regex chars, allow any quote
-      // style for apostrophes/quotes, and allow flexible whitespace.
-      const pattern = needle
-        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')   // escape regex metachars
-        .replace(/['\u2018\u2019]/g, "['\u2018\u2019]") // any apostrophe
-        .replace(/["\u201C\u201D]/g, '["\u201C\u201D]') // any quote
-        .replace(/\s+/g, '\\s+');                  // flexible whitespace
-      try {
-        const m = new RegExp(pattern).exec(hay);
-        return m ? m[0] : null;
-      } catch {
-        return null;
-      }
-    }
+  }
+  return Array.from(merged.values())
+    .sort((a, b) => b.sources.length - a.sources.length || a.bestRank - b.bestRank)
+    .slice(0, EVIDENCE_PER_CLAIM)
+    .map(({ bestRank, ...r }) => r);
+}
 
-    for (const f of (audit.findings || [])) {
-      const corrected = (f.corrected || '').trim();
-
-      if (f.type === 'add' || !f.current) {
-        // ADDITION — format based on what's being added, then insert after the matching heading.
-        if (!corrected) { skipped.push({ ...f, why: 'empty corrected text' }); continue; }
-
-        let block;
-        if (/^\s*</.test(corrected)) {
-          // already HTML — trust it as-is
-          block = corrected;
-        } else if (f.question || /^\s*q\s*[:.]/i.test(corrected) || (f.where || '').toLowerCase().includes('faq')) {
-          // FAQ Q+A pair → bold question heading + answer paragraph (matches FAQ styling)
-          let q = f.question || '';
-          let a = corrected;
-          // only split on "Q: ... A: ..." when both markers are present at clause boundaries
-          const qa = corrected.match(/^\s*q\s*[:.]\s*([\s\S]+?)\s+a\s*[:.]\s*([\s\S]+)$/i);
-          if (qa) { q = qa[1].trim(); a = qa[2].trim(); }
-          if (q) {
-            block = `<h3>${q}</h3>\n<p>${a}</p>`;
-          } else {
-            block = `<p>${a}</p>`;
-          }
-        } else if (/\n\s*[-*•]\s+/.test(corrected) || /;\s+\S/.test(corrected)) {
-          // looks like a list → render as a proper Webflow list
-          const items = corrected.split(/\n\s*[-*•]\s+|;\s+/).map(s => s.trim().replace(/^and\s+/i, '')).filter(Boolean);
-          block = items.length > 1
-            ? `<ul role="list">\n${items.map(it => `<li role="listitem">${it}</li>`).join('\n')}\n</ul>`
-            : `<p>${corrected}</p>`;
-        } else {
-          // plain new sentence/paragraph
-          block = `<p>${corrected}</p>`;
-        }
+async function gatherEvidence({ html, workspace, plan, keys }) {
+  const claims = extractClaims(html, workspace);
+  let searches = 0;
+  const calls = {}; // requests that reached a provider, for metering
+  const out = [];
+  for (const claim of claims) {
+    const query = claimQuery(claim);
+    const sets = await Promise.all(plan.providers.map(async (p) => {
+      searches++;
+      return SEARCH_PROVIDERS[p].search(query, keys, 5, () => { calls[p] = (calls[p] || 0) + 1; }).catch(err => {
+        console.warn(`  ${p} search error: ${err.message}`);
+        return [];
+      });
+    }));
+    out.push({ claim, query, results: mergeEvidence(sets) });
+  }
+  return { providers: plan.providers, searches, calls, claims: out };
+}
 
-        // locate the target heading by its text
-        const where = (f.where || '').trim();
-        let inserted = false;
-        if (where) {
-          const hRe = new RegExp(`(<h[1-6][^>]*>[^<]*${where.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').slice(0, 40)}[^<]*</h[1-6]>)`, 'i');
-          const hm = hRe.exec(updated);
-          if (hm) {
-            updated = updated.slice(0, hm.index + hm[0].length) + '\n' + block + updated.slice(hm.index + hm[0].length);
-            inserted = true;
-          }
-        }
-        if (!inserted) { skipped.push({ ...f, why: 'heading for addition not found' }); continue; }
-        applied.push(f);
-        continue;
-      }
+// ════════════════════════════════════════════
+// GOOGLE SEARCH CONSOLE (service account → Search Analytics)
+// Pulls per-page query rows and maps them to Webflow items by slug so
+// /api/smartcheck can fill in gscKeywords on its own. GSC_API_BASE and
+// GSC_TOKEN_URL point the client at a local fixture server in tests; a
+// service account's own token_uri is ignored, since callers can supply one.
+// ════════════════════════════════════════════
+const GSC_API_BASE = (process.env.GSC_API_BASE || 'https://www.googleapis.com').replace(/\/$/, '');
+const GSC_TOKEN_URL = process.env.GSC_TOKEN_URL || 'https://oauth2.googleapis.com/token';
+const GSC_SCOPE = 'https://www.googleapis.com/auth/webmasters.readonly';
+const gscTokenCache = new Map();
 
-      // FIX / SALESROBOT — exact replace of verbatim `current` text.
-      const target = findTolerant(updated, f.current);
-      if (target && updated.includes(target)) {
-        updated = updated.replace(target, corrected);
-        applied.push(f);
-      } else {
-        skipped.push({ ...f, why: 'find text not located verbatim' });
-      }
-    }
+function parseServiceAccount(credential) {
+  const sa = typeof credential === 'string' ? JSON.parse(credential) : credential;
+  if (!sa?.client_email || !sa?.private_key) throw new Error('Service account must include client_email and private_key');
+  return sa;
+}
+
+async function getGscAccessToken(serviceAccount) {
+  const sa = parseServiceAccount(serviceAccount);
+  const cached = gscTokenCache.get(sa.client_email);
+  if (cached && cached.expiresAt - Date.now() > 60 * 1000) return cached.token;
+
+  const now = Math.floor(Date.now() / 1000);
+  const b64url = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const unsigned = `${b64url({ alg: 'RS256', typ: 'JWT' })}.${b64url({
+    iss: sa.client_email, scope: GSC_SCOPE, aud: GSC_TOKEN_URL, iat: now, exp: now + 3600
+  })}`;
+  const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(sa.private_key, 'base64url');
+
+  const res = await fetchWithTimeout(GSC_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${unsigned}.${signature}`
+    }).toString()
+  }, 15000, 2);
+  if (!res.ok) { const t = await res.text(); throw new Error(`GSC auth ${res.status}: ${t.slice(0, 300)}`); }
+  const data = await res.json();
+  gscTokenCache.set(sa.client_email, { token: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 });
+  return data.access_token;
+}
+
+async function fetchSearchAnalytics({ serviceAccount, siteUrl, startDate, endDate }) {
+  const accessToken = await getGscAccessToken(serviceAccount);
+  const url = `${GSC_API_BASE}/webmasters/v3/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`;
+  const ROW_LIMIT = 25000;
+  const rows = [];
+
+  // GSC pages results with startRow; stop when a page comes back short.
+  for (let startRow = 0; ; startRow += ROW_LIMIT) {
+    const res = await fetchWithTimeout(url, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ startDate, endDate, dimensions: ['page', 'query'], rowLimit: ROW_LIMIT, startRow })
+    }, 30000, 3);
+    if (!res.ok) { const t = await res.text(); throw new Error(`GSC ${res.status}: ${t.slice(0, 300)}`); }
+    const data = await res.json();
+    const batch = data.rows || [];
+    rows.push(...batch);
+    if (batch.length < ROW_LIMIT) break;
+  }
+
+  return rows.map(r => ({
+    page: r.keys[0],
+    keyword: r.keys[1],
+    clicks: r.clicks || 0,
+    impressions: r.impressions || 0,
+    ctr: r.ctr || 0,
+    position: Math.round((r.position || 0) * 10) / 10
+  }));
+}
 
-    console.log(`  Applied ${applied.length}/${(audit.findings || []).length} findings (${skipped.length} skipped)`);
+function slugFromPageUrl(page) {
+  try {
+    const parts = new URL(page).pathname.split('/').filter(Boolean);
+    return parts.length ? decodeURIComponent(parts[parts.length - 1]).toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
 
-    // ── TL;DR insertion (code-based) ──
-    let tldrAddedFlag = false;
-    if (addTldr && !/tl;?dr/i.test(updated)) {
-      // build a short TL;DR from the applied findings' corrected lines
-      const points = applied.filter(f => f.type !== 'add').slice(0, 3).map(f => f.reason).filter(Boolean);
-      const summary = points.length
-        ? points.join(' ')
-        : 'Key facts in this guide were verified and updated for accuracy in 2026.';
-      const tldr = `<div class="tldr-box"><p><strong>TL;DR:</strong> ${summary}</p></div>\n`;
-      updated = tldr + updated;
-      tldrAddedFlag = true;
+// Group rows by page slug and attach the matching Webflow item (if any).
+function mapGscRowsToItems(rows, items = []) {
+  const itemsBySlug = new Map(items.filter(i => i.fieldData?.slug).map(i => [i.fieldData.slug.toLowerCase(), i]));
+  const pages = {};
+  for (const row of rows) {
+    const slug = slugFromPageUrl(row.page);
+    if (!slug) continue;
+    if (!pages[slug]) {
+      const item = itemsBySlug.get(slug);
+      pages[slug] = { slug, page: row.page, itemId: item?.id || null, clicks: 0, impressions: 0, keywords: [] };
     }
+    const p = pages[slug];
+    p.clicks += row.clicks;
+    p.impressions += row.impressions;
+    p.keywords.push({ keyword: row.keyword, clicks: row.clicks, impressions: row.impressions, ctr: row.ctr, position: row.position });
+  }
+  for (const p of Object.values(pages)) p.keywords.sort((a, b) => b.clicks - a.clicks || b.impressions - a.impressions);
+  return pages;
+}
+
+// Synced GSC sites for a workspace, or just `siteUrl` when given.
+function gscEntriesFor(workspace, siteUrl) {
+  const keys = siteUrl
+    ? [wsKey(workspace, siteUrl)]
+    : Array.from(gscCache.keys()).filter(k => k.startsWith(`${workspace.id}:`));
+  return keys.map(k => getFromCache(gscCache, k, GSC_CACHE_TTL)).filter(Boolean);
+}
 
-    // ── STEP 3: Restore widgets (tolerant + anchor recovery) ──
-    console.log('=== Stage 3: Widget Restoration ===');
-    const { restored, warnings: widgetWarnings } = restoreWidgets(updated, widgets);
-    updated = restored;
-    console.log(`  Restored ${widgets.length} widgets (${widgetWarnings.length} warnings)`);
+// Look up cached keywords for a slug; searches every synced site unless siteUrl is given.
+function getGscKeywordsForSlug(workspace, slug, siteUrl, limit = 20) {
+  if (!slug) return [];
+  const key = slug.toLowerCase();
+  for (const entry of gscEntriesFor(workspace, siteUrl)) {
+    const page = entry.pages?.[key];
+    if (page) return page.keywords.slice(0, limit);
+  }
+  return [];
+}
+
+function isoDaysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
 
-    // ── STEP 3.5: Normalize lists for Webflow (server-side guarantee) ──
-    updated = balanceInlineTags(normalizeListsForWebflow(updated));
+// POST /api/gsc/sync — pull Search Analytics and map to Webflow items
+app.post('/api/gsc/sync', requireRole('editor'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
 
-    // ── Content safety check ──
-    const stripTags = (h) => h.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-    const originalLen = stripTags(blogContent).length;
-    const updatedLen = stripTags(updated).length;
-    const ratio = updatedLen / Math.max(originalLen, 1);
-    console.log(`  Content check: original ${originalLen} chars → updated ${updatedLen} chars (${(ratio * 100).toFixed(0)}%)`);
+    const { siteUrl } = req.body;
+    const { value: serviceAccount, error: credError } = resolveCredential(req, 'gsc');
+    if (credError) return res.status(400).json({ error: credError });
+    if (!serviceAccount || !siteUrl) return res.status(400).json({ error: 'Missing serviceAccount or siteUrl' });
 
-    let contentWarning = null;
-    if (ratio < 0.5 && originalLen > 500) {
-      contentWarning = `Updated content is only ${(ratio * 100).toFixed(0)}% of original length. Some content may have been lost — please review carefully.`;
-      console.warn(`  ⚠ ${contentWarning}`);
+    for (const field of ['startDate', 'endDate']) {
+      if (req.body[field] != null && !isIsoDate(req.body[field])) return res.status(400).json({ error: `${field} must be a YYYY-MM-DD date` });
     }
+    // GSC data lags ~2 days; default to the last 28 complete days.
+    const endDate = req.body.endDate || isoDaysAgo(2);
+    const startDate = req.body.startDate || isoDaysAgo(2 + (Number(req.body.days) || 28));
+    if (startDate > endDate) return res.status(400).json({ error: 'startDate must not be after endDate' });
 
-    const tldrAdded = tldrAddedFlag || (addTldr && /tldr-box/.test(updated));
+    console.log(`Syncing GSC for ${siteUrl} (${startDate} → ${endDate})...`);
+    const rows = await fetchSearchAnalytics({ serviceAccount, siteUrl, startDate, endDate });
 
-    const elapsed = ((Date.now() - t0) / 1000).toFixed(1);
-    console.log(`Done in ${elapsed}s`);
+    const { error: authError, token, collectionId } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    const items = collectionId && token ? await getCollectionItems(req.workspace, collectionId, token) : [];
 
-    const result = {
-      updatedContent: updated,
-      changelog: applied.map(f => ({
-        type: f.type, where: f.where, reason: f.reason,
-        from: f.current ? f.current.slice(0, 160) : null,
-        to: f.corrected ? f.corrected.slice(0, 160) : null
-      })),
-      skipped: skipped.map(f => ({
-        type: f.type, where: f.where, reason: f.reason,
-        why: f.why, from: f.current ? f.current.slice(0, 160) : null
-      })),
-      verified: audit.verified || [],
-      widgetWarnings,
-      stats: {
-        searches: searchCount,
-        findings: audit.findings?.length || 0,
-        applied: applied.length,
-        skipped: skipped.length,
-        elapsed,
-        modelMode,
-        gscKeywords: gscKeywords?.length || 0,
-        widgetsProtected: widgets.length
-      },
-      tldrAdded,
-      contentWarning
-    };
+    const pages = mapGscRowsToItems(rows, items);
+    setCache(gscCache, wsKey(req.workspace, siteUrl), { siteUrl, startDate, endDate, collectionId: collectionId || null, pages });
 
-    setCache(analysisCache, contentHash, result);
-    res.json(result);
+    const pageList = Object.values(pages);
+    const mapped = pageList.filter(p => p.itemId).length;
+    console.log(`  GSC: ${rows.length} rows, ${pageList.length} pages, ${mapped} mapped to Webflow items`);
+    res.json({
+      siteUrl, startDate, endDate,
+      rows: rows.length,
+      pages: pageList.length,
+      mapped,
+      unmapped: pageList.filter(p => !p.itemId).map(p => p.page)
+    });
+  } catch (err) {
+    console.error('GSC sync error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'GSC request timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/gsc/keywords — cached keywords for a page, by slug or Webflow item ID
+app.get('/api/gsc/keywords', requireRole('viewer'), (req, res) => {
+  const { slug, itemId, siteUrl } = req.query;
+  if (!slug && !itemId) return res.status(400).json({ error: 'Missing slug or itemId' });
+
+  for (const entry of gscEntriesFor(req.workspace, siteUrl)) {
+    const page = slug
+      ? entry.pages[slug.toLowerCase()]
+      : Object.values(entry.pages).find(p => p.itemId === itemId);
+    if (page) return res.json({ siteUrl: entry.siteUrl, startDate: entry.startDate, endDate: entry.endDate, ...page });
+  }
+  res.status(404).json({ error: 'No GSC data for this page. Run /api/gsc/sync first.' });
+});
+
+// ════════════════════════════════════════════
+// JOB QUEUE (async smartcheck, status polling, SSE progress)
+// Jobs run detached from the HTTP request, so a dropped proxy connection
+// no longer throws away a multi-minute audit. Finished jobs leave memory
+// after JOB_TTL; their final snapshot stays in storage for JOB_RESULT_TTL.
+// ════════════════════════════════════════════
+const jobs = new Map();
+const jobResults = new PersistentMap('jobs');
+const jobQueue = [];
+const JOB_TTL = 60 * 60 * 1000;
+const JOB_RESULT_TTL = 7 * 24 * 60 * 60 * 1000;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const TERMINAL_JOB_STATES = new Set(['completed', 'failed', 'cancelled']);
+let runningJobs = 0;
+
+function createJob(type, workspace, meta, run) {
+  const job = {
+    id: `job_${crypto.randomUUID()}`,
+    workspaceId: workspace.id,
+    type, meta, run,
+    status: 'queued',
+    stage: 'queued',
+    partial: {},
+    result: null,
+    error: null,
+    events: [],
+    listeners: new Set(),
+    controller: new AbortController(),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+  emitJobEvent(job, 'status', { status: job.status });
+  jobQueue.push(job);
+  drainJobQueue();
+  return job;
+}
+
+function emitJobEvent(job, event, data) {
+  const entry = { id: job.events.length, event, data, at: Date.now() };
+  job.events.push(entry);
+  job.updatedAt = entry.at;
+  for (const l of job.listeners) l.send(entry);
+}
+
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = Date.now();
+  if (status === 'completed') {
+    job.stage = 'done';
+    emitJobEvent(job, 'result', job.result);
+  } else {
+    emitJobEvent(job, 'status', { status, error: job.error });
+  }
+  for (const l of job.listeners) l.end();
+  job.listeners.clear();
+  jobResults.set(job.id, serializeJob(job));
+}
+
+function drainJobQueue() {
+  while (runningJobs < JOB_CONCURRENCY && jobQueue.length) {
+    const job = jobQueue.shift();
+    if (job.status !== 'queued') continue; // cancelled while waiting
+    runningJobs++;
+    runJob(job).finally(() => { runningJobs--; drainJobQueue(); });
+  }
+}
+
+async function runJob(job) {
+  job.status = 'running';
+  emitJobEvent(job, 'status', { status: job.status });
+  const onStage = (stage, data = {}) => {
+    job.stage = stage;
+    if (data.partial) Object.assign(job.partial, data.partial);
+    emitJobEvent(job, 'stage', { stage, ...data });
+  };
+  try {
+    job.result = await job.run({ onStage, signal: job.controller.signal });
+    finishJob(job, 'completed');
+  } catch (err) {
+    if (job.controller.signal.aborted) return finishJob(job, 'cancelled');
+    console.error(`Job ${job.id} failed:`, err);
+    job.error = err.message;
+    finishJob(job, 'failed');
+  }
+}
+
+function cancelJob(job) {
+  if (TERMINAL_JOB_STATES.has(job.status)) return false;
+  job.controller.abort();
+  // running jobs settle through runJob once the audit fetch aborts
+  if (job.status === 'queued') finishJob(job, 'cancelled');
+  return true;
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    workspaceId: job.workspaceId,
+    type: job.type,
+    meta: job.meta,
+    status: job.status,
+    stage: job.stage,
+    partial: job.partial,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, job] of jobs.entries()) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL) jobs.delete(id);
+  }
+  for (const [id, saved] of jobResults.entries()) {
+    if (now - saved.finishedAt > JOB_RESULT_TTL) jobResults.delete(id);
+  }
+}, 5 * 60 * 1000);
+
+// Live (in-memory) job for the request's workspace.
+function findJob(req) {
+  const job = jobs.get(req.params.id);
+  return job && job.workspaceId === req.workspace.id ? job : null;
+}
+
+app.get('/api/jobs', requireRole('viewer'), (req, res) => {
+  const list = Array.from(jobs.values())
+    .filter(j => j.workspaceId === req.workspace.id)
+    .filter(j => !req.query.status || j.status === req.query.status)
+    .map(({ id, type, meta, status, stage, createdAt, finishedAt }) => ({ id, type, meta, status, stage, createdAt, finishedAt }));
+  res.json({ jobs: list, running: runningJobs, queued: jobQueue.filter(j => j.status === 'queued').length });
+});
+
+app.get('/api/jobs/:id', requireRole('viewer'), (req, res) => {
+  const job = findJob(req);
+  if (job) return res.json(serializeJob(job));
+  // finished before the last restart (or swept from memory)
+  const saved = jobResults.get(req.params.id);
+  if (!saved || saved.workspaceId !== req.workspace.id) return res.status(404).json({ error: 'Job not found' });
+  res.json(saved);
+});
+
+// Server-Sent Events: replays past events (honouring Last-Event-ID), then streams live.
+app.get('/api/jobs/:id/events', requireRole('viewer'), (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (e) => res.write(`id: ${e.id}\nevent: ${e.event}\ndata: ${JSON.stringify(e.data)}\n\n`);
+  const lastId = parseInt(req.headers['last-event-id'], 10);
+  job.events.filter(e => Number.isNaN(lastId) || e.id > lastId).forEach(send);
+  if (TERMINAL_JOB_STATES.has(job.status)) return res.end();
+
+  // heartbeat keeps proxies from closing an idle stream mid-audit
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const listener = { send, end: () => { clearInterval(heartbeat); res.end(); } };
+  job.listeners.add(listener);
+  req.on('close', () => { clearInterval(heartbeat); job.listeners.delete(listener); });
+});
+
+app.delete('/api/jobs/:id', requireRole('editor'), (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (!cancelJob(job)) return res.status(409).json({ error: `Job already ${job.status}` });
+  console.log(`Job ${job.id} cancellation requested`);
+  res.json({ id: job.id, status: job.status, cancelling: job.status === 'running' });
+});
+
+// ════════════════════════════════════════════
+// AUDIT HISTORY — every smartcheck run per Webflow item
+// ════════════════════════════════════════════
+const auditHistory = new PersistentMap('history');
+const HISTORY_LIMIT = 50;
+
+function recordAuditRun(workspace, itemId, input, result) {
+  const run = {
+    id: `run_${crypto.randomUUID()}`,
+    at: Date.now(),
+    workspaceId: workspace.id,
+    itemId,
+    slug: input.slug || null,
+    title: input.title || null,
+    findings: result.findings || [],
+    applied: result.changelog,
+    skipped: result.skipped,
+    verified: result.verified,
+    sources: result.sources || null,
+    widgetWarnings: result.widgetWarnings,
+    contentWarning: result.contentWarning,
+    tldrAdded: result.tldrAdded,
+    stats: result.stats
+  };
+  const runs = auditHistory.get(itemId) || [];
+  auditHistory.set(itemId, [...runs, run].slice(-HISTORY_LIMIT));
+  return run;
+}
+
+// GET /api/history/:itemId — past audits, newest first (?full=1 includes findings)
+function listAuditRuns(workspace, itemId) {
+  return (auditHistory.get(itemId) || []).filter(r => r.workspaceId === workspace.id);
+}
+
+app.get('/api/history/:itemId', requireRole('viewer'), (req, res) => {
+  const runs = listAuditRuns(req.workspace, req.params.itemId).slice().reverse();
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, HISTORY_LIMIT);
+  const full = req.query.full === '1' || req.query.full === 'true';
+  res.json({
+    itemId: req.params.itemId,
+    total: runs.length,
+    runs: runs.slice(0, limit).map(r => full ? r : {
+      id: r.id, at: r.at, slug: r.slug, title: r.title,
+      applied: r.applied.length, skipped: r.skipped.length,
+      widgetWarnings: r.widgetWarnings.length, contentWarning: r.contentWarning,
+      stats: r.stats
+    })
+  });
+});
+
+app.get('/api/history/:itemId/:runId', requireRole('viewer'), (req, res) => {
+  const run = listAuditRuns(req.workspace, req.params.itemId).find(r => r.id === req.params.runId);
+  if (!run) return res.status(404).json({ error: 'Audit run not found' });
+  res.json(run);
+});
+
+// ════════════════════════════════════════════
+// CODE-BASED EDIT APPLICATION (no second LLM call)
+//
+// The audit already told us exactly what to change (findings with
+// verbatim `current` → `corrected` text). We apply those edits in code
+// with exact string matching. The model NEVER regenerates the document,
+// so it is mechanically impossible to drop a paragraph, fumble a tag,
+// or emit a stray `<`. Every byte not named in a finding stays identical.
+// Deterministic: the same HTML + findings always yield the same output,
+// which is what lets /api/smartcheck/apply re-run it without the model.
+// ════════════════════════════════════════════
+
+// Find the exact substring in `hay` matching `needle`, tolerant to
+// curly-vs-straight quotes and whitespace differences. Returns the exact
+// original substring so we only ever replace bytes that truly exist.
+function findTolerant(hay, needle) {
+  if (!needle) return null;
+  if (hay.includes(needle)) return needle; // exact fast path
+
+  // Build a regex from the needle: escape regex chars, allow any quote
+  // style for apostrophes/quotes, and allow flexible whitespace.
+  const pattern = needle
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')   // escape regex metachars
+    .replace(/['\u2018\u2019]/g, "['\u2018\u2019]") // any apostrophe
+    .replace(/["\u201C\u201D]/g, '["\u201C\u201D]') // any quote
+    .replace(/\s+/g, '\\s+');                  // flexible whitespace
+  try {
+    const m = new RegExp(pattern).exec(hay);
+    return m ? m[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+// First closed <h1>–<h6> whose text contains `where` (its first 40 characters, case-insensitive).
+function findHeading(html, where) {
+  const needle = htmlText(where).slice(0, 40).toLowerCase();
+  if (!needle) return null;
+  let found = null;
+  walkHtml(parseHtml(html), (node) => {
+    if (found) return false;
+    if (isHeading(node) && htmlText(innerHtml(html, node)).toLowerCase().includes(needle)) found = node;
+  });
+  return found;
+}
+
+function applyFindings(html, findings) {
+  let updated = html;
+  const applied = [];
+  const skipped = [];
+
+  for (const f of findings) {
+    const corrected = (f.corrected || '').trim();
+
+    if (f.type === 'add' || !f.current) {
+      // ADDITION — format based on what's being added, then insert after the matching heading.
+      if (!corrected) { skipped.push({ ...f, why: 'empty corrected text' }); continue; }
+
+      let block;
+      if (/^\s*</.test(corrected)) {
+        // already HTML — trust it as-is
+        block = corrected;
+      } else if (f.question || /^\s*q\s*[:.]/i.test(corrected) || (f.where || '').toLowerCase().includes('faq')) {
+        // FAQ Q+A pair → bold question heading + answer paragraph (matches FAQ styling)
+        let q = f.question || '';
+        let a = corrected;
+        // only split on "Q: ... A: ..." when both markers are present at clause boundaries
+        const qa = corrected.match(/^\s*q\s*[:.]\s*([\s\S]+?)\s+a\s*[:.]\s*([\s\S]+)$/i);
+        if (qa) { q = qa[1].trim(); a = qa[2].trim(); }
+        if (q) {
+          block = `<h3>${q}</h3>\n<p>${a}</p>`;
+        } else {
+          block = `<p>${a}</p>`;
+        }
+      } else if (/\n\s*[-*•]\s+/.test(corrected) || /;\s+\S/.test(corrected)) {
+        // looks like a list → render as a proper Webflow list
+        const items = corrected.split(/\n\s*[-*•]\s+|;\s+/).map(s => s.trim().replace(/^and\s+/i, '')).filter(Boolean);
+        block = items.length > 1
+          ? `<ul role="list">\n${items.map(it => `<li role="listitem">${it}</li>`).join('\n')}\n</ul>`
+          : `<p>${corrected}</p>`;
+      } else {
+        // plain new sentence/paragraph
+        block = `<p>${corrected}</p>`;
+      }
+
+      // locate the target heading by its text
+      const where = (f.where || '').trim();
+      const heading = where ? findHeading(updated, where) : null;
+      if (!heading) { skipped.push({ ...f, why: 'heading for addition not found' }); continue; }
+      updated = updated.slice(0, heading.end) + '\n' + block + updated.slice(heading.end);
+      applied.push(f);
+      continue;
+    }
+
+    // FIX / SALESROBOT — exact replace of verbatim `current` text.
+    const target = findTolerant(updated, f.current);
+    if (target && updated.includes(target)) {
+      updated = updated.replace(target, corrected);
+      applied.push(f);
+    } else {
+      skipped.push({ ...f, why: 'find text not located verbatim' });
+    }
+  }
+
+  return { updated, applied, skipped };
+}
+
+// Everything after edit application: TL;DR, widget restoration, Webflow
+// list/inline-tag normalization and the content-length safety check.
+function finalizeContent({ blogContent, updated, widgets, applied, addTldr }) {
+  // ── TL;DR insertion (code-based) ──
+  let tldrAddedFlag = false;
+  if (addTldr && !/tl;?dr/i.test(updated)) {
+    // build a short TL;DR from the applied fixes; additions and link edits say nothing about the facts
+    const points = applied.filter(f => f.type !== 'add' && f.type !== 'link').slice(0, 3).map(f => f.reason).filter(Boolean);
+    const summary = points.length
+      ? points.join(' ')
+      : 'Key facts in this guide were verified and updated for accuracy in 2026.';
+    const tldr = `<div class="tldr-box"><p><strong>TL;DR:</strong> ${summary}</p></div>\n`;
+    updated = tldr + updated;
+    tldrAddedFlag = true;
+  }
+
+  // ── STEP 3: Restore widgets (tolerant + anchor recovery) ──
+  console.log('=== Stage 3: Widget Restoration ===');
+  const { restored, warnings: widgetWarnings, placements: widgetPlacements } = restoreWidgets(updated, widgets);
+  updated = restored;
+  console.log(`  Restored ${widgets.length} widgets (${widgetWarnings.length} warnings)`);
+
+  // ── STEP 3.5: Normalize lists for Webflow (server-side guarantee) ──
+  updated = balanceInlineTags(normalizeListsForWebflow(updated));
+
+  // ── Content safety check ──
+  const stripTags = (h) => h.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  const originalLen = stripTags(blogContent).length;
+  const updatedLen = stripTags(updated).length;
+  const ratio = updatedLen / Math.max(originalLen, 1);
+  console.log(`  Content check: original ${originalLen} chars → updated ${updatedLen} chars (${(ratio * 100).toFixed(0)}%)`);
+
+  let contentWarning = null;
+  if (ratio < 0.5 && originalLen > 500) {
+    contentWarning = `Updated content is only ${(ratio * 100).toFixed(0)}% of original length. Some content may have been lost — please review carefully.`;
+    console.warn(`  ⚠ ${contentWarning}`);
+  }
+
+  const tldrAdded = tldrAddedFlag || (addTldr && /tldr-box/.test(updated));
+
+  return { updatedContent: updated, widgetWarnings, widgetPlacements, tldrAdded, contentWarning };
+}
+
+function summarizeEdits(applied, skipped) {
+  return {
+    changelog: applied.map(f => ({
+      type: f.type, where: f.where, reason: f.reason,
+      from: f.current ? f.current.slice(0, 160) : null,
+      to: f.corrected ? f.corrected.slice(0, 160) : null,
+      citations: f.citations || []
+    })),
+    skipped: skipped.map(f => ({
+      type: f.type, where: f.where, reason: f.reason,
+      why: f.why, from: f.current ? f.current.slice(0, 160) : null,
+      citations: f.citations || [],
+      ...(f.unsourced ? { unsourced: true } : {})
+    }))
+  };
+}
+
+// ════════════════════════════════════════════
+// SEO METADATA — meta title, meta description, slug, OG image alt
+// Rule checks run in code (lengths, primary GSC keyword presence, slug
+// shape); the audit model only proposes rewrites for fields that fail.
+// Each proposal carries its own one-field `fieldData`, so an editor can
+// send any one of them through PATCH /api/webflow on its own. Field slugs
+// default to DEFAULT_SEO_FIELDS; a workspace can remap them with `seoFields`.
+// ════════════════════════════════════════════
+const DEFAULT_SEO_FIELDS = {
+  metaTitle: 'meta-title',
+  metaDescription: 'meta-description',
+  slug: 'slug',
+  ogImageAlt: 'og-image-alt'
+};
+const SEO_LIMITS = {
+  metaTitle: { min: 30, max: 60 },
+  metaDescription: { min: 70, max: 160 },
+  slug: { min: 3, max: 75 },
+  ogImageAlt: { min: 5, max: 125 }
+};
+
+const seoFieldMap = (workspace) => ({ ...DEFAULT_SEO_FIELDS, ...(workspace.seoFields || {}) });
+const normalizeForMatch = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Highest-impression query is the one the snippet should win on.
+function primaryKeyword(gscKeywords) {
+  if (!gscKeywords?.length) return null;
+  const top = [...gscKeywords].sort((a, b) => (b.impressions || 0) - (a.impressions || 0) || (b.clicks || 0) - (a.clicks || 0))[0];
+  return top?.keyword || null;
+}
+
+function checkSeoField(field, value, keyword) {
+  const issues = [];
+  const text = typeof value === 'string' ? value.trim() : '';
+  const { min, max } = SEO_LIMITS[field];
+  if (!text) return [{ code: 'missing', message: 'Field is empty' }];
+  if (text.length < min) issues.push({ code: 'too_short', message: `${text.length} chars (min ${min})` });
+  if (text.length > max) issues.push({ code: 'too_long', message: `${text.length} chars (max ${max})` });
+
+  if (field === 'slug') {
+    if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(text)) issues.push({ code: 'invalid_format', message: 'Use lowercase words separated by single hyphens' });
+    if (/(?:^|-)(?:19|20)\d{2}(?:-|$)/.test(text)) issues.push({ code: 'contains_year', message: 'A year in the slug dates the URL on every refresh' });
+  }
+  if (keyword && field !== 'ogImageAlt') {
+    // slug words are hyphen-joined, so compare on normalized word sequences
+    const words = normalizeForMatch(keyword).split(' ');
+    const hay = ` ${normalizeForMatch(text)} `;
+    const present = field === 'slug'
+      ? words.every(w => hay.includes(` ${w} `))
+      : hay.includes(` ${words.join(' ')} `);
+    if (!present) issues.push({ code: 'missing_keyword', message: `Primary keyword "${keyword}" not present` });
+  }
+  return issues;
+}
+
+// Deterministic audit of the item's current SEO fields.
+function auditSeoFields({ workspace, fieldData, gscKeywords }) {
+  const map = seoFieldMap(workspace);
+  const keyword = primaryKeyword(gscKeywords);
+  const fields = Object.entries(map).map(([field, fieldSlug]) => {
+    const value = typeof fieldData?.[fieldSlug] === 'string' ? fieldData[fieldSlug] : '';
+    return { field, fieldSlug, value, length: value.trim().length, issues: checkSeoField(field, value, keyword) };
+  });
+  return { keyword, fields };
+}
+
+const slugify = (s) => String(s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Model proposals → validated, individually applicable changes. A proposal is
+// kept only for a field that had issues and only if it is an improvement.
+function buildSeoProposals(seoAudit, proposals = []) {
+  const out = [];
+  for (const p of Array.isArray(proposals) ? proposals : []) {
+    const current = seoAudit.fields.find(f => f.field === p?.field);
+    if (!current?.issues.length || typeof p.proposed !== 'string') continue;
+    const proposed = current.field === 'slug' ? slugify(p.proposed) : p.proposed.replace(/\s+/g, ' ').trim();
+    if (!proposed || proposed === current.value.trim()) continue;
+
+    const remaining = checkSeoField(current.field, proposed, seoAudit.keyword);
+    if (remaining.length >= current.issues.length) continue;
+    out.push({
+      field: current.field,
+      fieldSlug: current.fieldSlug,
+      current: current.value,
+      proposed,
+      reason: typeof p.reason === 'string' ? p.reason : null,
+      fixes: current.issues.filter(i => !remaining.some(r => r.code === i.code)).map(i => i.code),
+      remainingIssues: remaining,
+      // changing a published slug breaks inbound links unless a redirect is added
+      risky: current.field === 'slug',
+      fieldData: { [current.fieldSlug]: proposed }
+    });
+  }
+  return out;
+}
+
+// POST /api/seo/audit — { fieldData, gscKeywords?, slug?, siteUrl? } — rule checks only, no model call
+app.post('/api/seo/audit', requireRole('viewer'), (req, res) => {
+  const { fieldData, slug, siteUrl } = req.body;
+  if (!fieldData || typeof fieldData !== 'object') return res.status(400).json({ error: 'Missing fieldData' });
+  let { gscKeywords } = req.body;
+  const itemSlug = slug || fieldData[seoFieldMap(req.workspace).slug];
+  if (!gscKeywords?.length && itemSlug) gscKeywords = getGscKeywordsForSlug(req.workspace, itemSlug, siteUrl);
+
+  const seo = auditSeoFields({ workspace: req.workspace, fieldData, gscKeywords });
+  res.json({ ...seo, issues: seo.fields.reduce((n, f) => n + f.issues.length, 0) });
+});
+
+// ════════════════════════════════════════════
+// STRUCTURED DATA — FAQPage, Article and HowTo JSON-LD
+// Built from post-body in code: FAQ pairs are the question headings under
+// an "FAQ"/"Frequently asked" heading (the <h3> + <p> blocks smartcheck adds),
+// HowTo steps come from an <ol> under a "how to"/"steps" heading or from
+// "Step N" headings. The graph ships either as a Webflow field or as a
+// w-embed block inside post-body, which protectWidgets already shields; once
+// the embed exists, every smartcheck/apply re-syncs it with the edited Q&A.
+// ════════════════════════════════════════════
+const DEFAULT_STRUCTURED_DATA = { mode: 'embed', field: 'schema-markup', author: null, imageField: 'main-image', blogPath: '/blog/' };
+const JSONLD_EMBED_RE = /<div[^>]*data-contentops="json-ld"[^>]*>[\s\S]*?<\/div>/i;
+
+// Required / recommended properties per type (schema.org + Google rich result guidelines)
+const SCHEMA_TYPES = {
+  Article: { required: ['headline', 'author', 'datePublished'], recommended: ['dateModified', 'image', 'publisher', 'description'] },
+  FAQPage: { required: ['mainEntity'], recommended: [] },
+  Question: { required: ['name', 'acceptedAnswer'], recommended: [] },
+  Answer: { required: ['text'], recommended: [] },
+  HowTo: { required: ['name', 'step'], recommended: ['description'] },
+  HowToStep: { required: ['text'], recommended: ['name'] },
+  Person: { required: ['name'], recommended: [] },
+  Organization: { required: ['name'], recommended: ['url'] }
+};
+
+const structuredDataConfig = (workspace) => ({ ...DEFAULT_STRUCTURED_DATA, ...(workspace.structuredData || {}) });
+const htmlText = (h) => String(h || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ').replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ').trim();
+const isIsoDateTime = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(s) && !isNaN(Date.parse(s));
+
+// Headings with their level, text and the HTML up to the next heading.
+function splitSections(html) {
+  const body = html.replace(JSONLD_EMBED_RE, '');
+  const heads = Array.from(body.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi));
+  return heads.map((m, i) => ({
+    level: Number(m[1]),
+    text: htmlText(m[2]),
+    body: body.slice(m.index + m[0].length, i + 1 < heads.length ? heads[i + 1].index : body.length)
+  }));
+}
+
+function extractFaqPairs(sections) {
+  const start = sections.findIndex(s => /\bfaqs?\b|frequently asked/i.test(s.text));
+  if (start === -1) return [];
+  const pairs = [];
+  for (const s of sections.slice(start + 1)) {
+    if (s.level <= sections[start].level) break;
+    // answers are the prose under the question; placeholders and embeds aren't
+    const answer = htmlText(s.body.replace(/<(script|div|table|figure|iframe)[\s\S]*?<\/\1>/gi, ''));
+    if (s.text && answer) pairs.push({ question: s.text, answer });
+  }
+  return pairs;
+}
+
+function extractHowTo(sections) {
+  for (const s of sections) {
+    if (!/\bhow to\b|\bsteps?\b/i.test(s.text)) continue;
+    const ol = s.body.match(/<ol[^>]*>([\s\S]*?)<\/ol>/i);
+    if (!ol) continue;
+    const steps = Array.from(ol[1].matchAll(/<li[^>]*>([\s\S]*?)<\/li>/gi)).map(m => ({ text: htmlText(m[1]) })).filter(st => st.text);
+    if (steps.length >= 2) return { name: s.text, steps };
+  }
+  const stepHeads = sections.filter(s => /^step\s*\d+\s*[:.)-]?\s*/i.test(s.text));
+  if (stepHeads.length >= 2) {
+    return {
+      name: null,
+      steps: stepHeads.map(s => ({ name: s.text.replace(/^step\s*\d+\s*[:.)-]?\s*/i, '') || s.text, text: htmlText(s.body) || s.text }))
+    };
+  }
+  return null;
+}
+
+// post-body + item context → { faq, howTo, article }
+function extractStructuredData(html, { workspace, title, slug, fieldData = {}, author, datePublished, dateModified }) {
+  const config = structuredDataConfig(workspace);
+  const sections = splitSections(html);
+  const h1 = sections.find(s => s.level === 1)?.text;
+  const image = fieldData[config.imageField];
+  const firstParagraph = htmlText(html.replace(JSONLD_EMBED_RE, '').match(/<p[^>]*>([\s\S]*?)<\/p>/i)?.[1]);
+  return {
+    faq: extractFaqPairs(sections),
+    howTo: extractHowTo(sections),
+    article: {
+      headline: title || fieldData.name || h1 || null,
+      description: fieldData[seoFieldMap(workspace).metaDescription] || firstParagraph.slice(0, 300) || null,
+      author: author || fieldData.author || config.author || null,
+      datePublished: datePublished || null,
+      dateModified: dateModified || null,
+      image: typeof image === 'string' ? image : image?.url || null,
+      url: workspace.website && slug ? `https://${workspace.website.replace(/^https?:\/\//, '').replace(/\/$/, '')}${config.blogPath}${slug}` : null
+    }
+  };
+}
+
+function buildJsonLd(extracted, workspace) {
+  const { article, faq, howTo } = extracted;
+  const publisher = { '@type': 'Organization', name: workspace.brand, ...(workspace.website ? { url: `https://${workspace.website.replace(/^https?:\/\//, '')}` } : {}) };
+  const graph = [{
+    '@type': 'Article',
+    headline: article.headline,
+    ...(article.description ? { description: article.description } : {}),
+    ...(article.author ? { author: { '@type': 'Person', name: article.author } } : {}),
+    ...(article.datePublished ? { datePublished: article.datePublished } : {}),
+    ...(article.dateModified ? { dateModified: article.dateModified } : {}),
+    ...(article.image ? { image: article.image } : {}),
+    ...(article.url ? { mainEntityOfPage: article.url } : {}),
+    publisher
+  }];
+  if (faq.length) {
+    graph.push({
+      '@type': 'FAQPage',
+      mainEntity: faq.map(p => ({ '@type': 'Question', name: p.question, acceptedAnswer: { '@type': 'Answer', text: p.answer } }))
+    });
+  }
+  if (howTo) {
+    graph.push({
+      '@type': 'HowTo',
+      name: howTo.name || article.headline,
+      step: howTo.steps.map((st, i) => ({ '@type': 'HowToStep', position: i + 1, ...(st.name ? { name: st.name } : {}), text: st.text }))
+    });
+  }
+  return { '@context': 'https://schema.org', '@graph': graph };
+}
+
+// Walks every typed node; errors break eligibility, warnings don't.
+function validateJsonLd(jsonLd) {
+  const errors = [];
+  const warnings = [];
+  if (jsonLd?.['@context'] !== 'https://schema.org') errors.push({ path: '@context', message: 'must be https://schema.org' });
+
+  const visit = (node, path) => {
+    if (Array.isArray(node)) return node.forEach((n, i) => visit(n, `${path}[${i}]`));
+    if (!node || typeof node !== 'object') return;
+    const type = node['@type'];
+    if (type) {
+      const spec = SCHEMA_TYPES[type];
+      if (!spec) errors.push({ path, message: `unsupported @type "${type}"` });
+      else {
+        for (const prop of spec.required) {
+          const v = node[prop];
+          if (v == null || v === '' || (Array.isArray(v) && !v.length)) errors.push({ path: `${path}.${prop}`, message: `${type} requires ${prop}` });
+        }
+        for (const prop of spec.recommended) if (node[prop] == null) warnings.push({ path: `${path}.${prop}`, message: `${type} should have ${prop}` });
+      }
+      if (type === 'Article' && typeof node.headline === 'string' && node.headline.length > 110) warnings.push({ path: `${path}.headline`, message: 'headline over 110 characters' });
+      if (type === 'HowTo' && Array.isArray(node.step) && node.step.length < 2) errors.push({ path: `${path}.step`, message: 'HowTo needs at least 2 steps' });
+      for (const prop of ['datePublished', 'dateModified']) {
+        if (node[prop] != null && !isIsoDateTime(node[prop])) errors.push({ path: `${path}.${prop}`, message: `${prop} must be an ISO 8601 date` });
+      }
+    }
+    for (const [k, v] of Object.entries(node)) if (!k.startsWith('@')) visit(v, `${path}.${k}`);
+  };
+  visit(jsonLd?.['@graph'], '@graph');
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// `<` is escaped so answer text can never close the script tag early.
+function jsonLdScript(jsonLd) {
+  return `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`;
+}
+
+function jsonLdEmbed(jsonLd) {
+  return `<div class="w-embed" data-rt-embed-type="true" data-contentops="json-ld">${jsonLdScript(jsonLd)}</div>`;
+}
+
+function parseJsonLdEmbed(html) {
+  const m = String(html || '').match(JSONLD_EMBED_RE)?.[0].match(/<script[^>]*>([\s\S]*?)<\/script>/i);
+  if (!m) return null;
+  try { return JSON.parse(m[1]); } catch { return null; }
+}
+
+// Structured data for one post plus the fieldData that publishes it in the
+// workspace's mode: the configured field, or post-body with the embed
+// replaced (or appended when the post has none yet).
+function structuredDataFor(html, context) {
+  const { workspace } = context;
+  const config = structuredDataConfig(workspace);
+  const jsonLd = buildJsonLd(extractStructuredData(html, context), workspace);
+  const fieldData = config.mode === 'field'
+    ? { [config.field]: jsonLdScript(jsonLd) }
+    : { 'post-body': JSONLD_EMBED_RE.test(html) ? html.replace(JSONLD_EMBED_RE, () => jsonLdEmbed(jsonLd)) : `${html}\n${jsonLdEmbed(jsonLd)}` };
+  return { mode: config.mode, jsonLd, validation: validateJsonLd(jsonLd), fieldData };
+}
+
+// Keep an existing embed in step with edited content. Article fields the
+// post can't tell us (author, dates, url) carry over from the old graph.
+function syncJsonLdEmbed(html, { workspace, changed }) {
+  const previous = parseJsonLdEmbed(html);
+  if (!previous) return { html, synced: false };
+  const oldArticle = (previous['@graph'] || []).find(n => n['@type'] === 'Article') || {};
+  const extracted = extractStructuredData(html, { workspace, title: oldArticle.headline });
+  extracted.article = {
+    ...extracted.article,
+    description: oldArticle.description || extracted.article.description,
+    author: oldArticle.author?.name || extracted.article.author,
+    datePublished: oldArticle.datePublished || null,
+    dateModified: changed ? todayIso() : oldArticle.dateModified || null,
+    image: oldArticle.image || extracted.article.image,
+    url: oldArticle.mainEntityOfPage || extracted.article.url
+  };
+  const jsonLd = buildJsonLd(extracted, workspace);
+  const synced = JSON.stringify(jsonLd) !== JSON.stringify(previous);
+  return { html: synced ? html.replace(JSONLD_EMBED_RE, () => jsonLdEmbed(jsonLd)) : html, synced, jsonLd };
+}
+
+// POST /api/structured-data — { blogContent | itemId, title?, slug?, fieldData?, author?, datePublished?,
+// dateModified?, createDraft? } → JSON-LD, its validation and the fieldData to publish it
+app.post('/api/structured-data', requireRole('viewer'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    const { itemId, author, createDraft: asDraft } = req.body;
+    let html = req.body.blogContent;
+    let fieldData = req.body.fieldData || {};
+    let item = null;
+    if (!html && itemId) {
+      const { error: authError, token, collectionId } = webflowAuth(req);
+      if (authError) return res.status(400).json({ error: authError });
+      if (!token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
+      item = await fetchItem(collectionId, itemId, token);
+      fieldData = item.fieldData || {};
+      html = fieldData['post-body'] || '';
+    }
+    if (typeof html !== 'string') return res.status(400).json({ error: 'Missing blogContent or itemId' });
+
+    const result = structuredDataFor(html, {
+      workspace: req.workspace,
+      title: req.body.title || fieldData.name,
+      slug: req.body.slug || fieldData.slug,
+      fieldData, author,
+      datePublished: req.body.datePublished || item?.createdOn?.slice(0, 10),
+      dateModified: req.body.dateModified || item?.lastUpdated?.slice(0, 10)
+    });
+    const types = result.jsonLd['@graph'].map(n => n['@type']);
+    console.log(`Structured data: ${types.join(', ')} (${result.validation.errors.length} errors)`);
+
+    if (asDraft) {
+      if (!hasRole(req.user, 'editor')) return res.status(403).json({ error: 'Requires editor role' });
+      if (!itemId) return res.status(400).json({ error: 'createDraft needs itemId' });
+      if (!result.validation.valid) return res.status(422).json({ error: 'JSON-LD failed validation', ...result });
+      result.draft = createDraft({
+        workspace: req.workspace, actor: req.user,
+        collectionId: req.body.collectionId || req.workspace.webflow?.collectionId,
+        itemId, slug: fieldData.slug, title: fieldData.name,
+        fieldData: result.fieldData,
+        review: { changelog: [{ type: 'schema', where: result.mode === 'field' ? structuredDataConfig(req.workspace).field : 'post-body', reason: `JSON-LD: ${types.join(', ')}` }] },
+        source: 'structured-data'
+      });
+    }
+    res.json({ ...result, types });
+  } catch (err) {
+    console.error('Structured data error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Request timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ════════════════════════════════════════════
+// INTERNAL LINKS — suggestions from the cached Webflow collection
+// Every post in blogCache is indexed (title, slug, headings, body text) as a
+// TF-IDF vector; related posts are the nearest by cosine similarity. Anchors
+// are phrases from the other post's title and headings found in plain
+// paragraph text, outside existing links. Each suggestion is a `link` finding
+// with verbatim `current` / `corrected`, so applyFindings and
+// /api/smartcheck/apply take it like any other edit.
+// ════════════════════════════════════════════
+const LINK_STOPWORDS = new Set('a an and are as at be but by can do does for from has have how in is it its of on or our so than that the their this to was we what when where which who why will with you your vs'.split(' '));
+const linkIndexes = new Map();
+
+const linkTokens = (text) => normalizeForMatch(text).split(' ').filter(w => w.length > 2 && !LINK_STOPWORDS.has(w));
+const postPath = (workspace, slug) => `${structuredDataConfig(workspace).blogPath}${slug}`;
+
+// Slugs this post already links to (last path segment of every href).
+function linkedSlugs(html) {
+  const slugs = new Set();
+  for (const m of String(html || '').matchAll(/<a\b[^>]*\bhref\s*=\s*(["'])(.*?)\1/gi)) {
+    const seg = m[2].split(/[?#]/)[0].replace(/\/$/, '').split('/').pop();
+    if (seg) slugs.add(seg.toLowerCase());
+  }
+  return slugs;
+}
+
+function linkVector(tokens, df, total) {
+  const tf = new Map();
+  for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+  const vector = new Map();
+  let norm = 0;
+  for (const [t, n] of tf) {
+    const w = (1 + Math.log(n)) * Math.log(1 + total / (df.get(t) || 1));
+    vector.set(t, w);
+    norm += w * w;
+  }
+  return { vector, norm: Math.sqrt(norm) || 1 };
+}
+
+function cosine(a, b) {
+  const [small, large] = a.vector.size < b.vector.size ? [a.vector, b.vector] : [b.vector, a.vector];
+  let dot = 0;
+  for (const [t, w] of small) dot += w * (large.get(t) || 0);
+  return dot / (a.norm * b.norm);
+}
+
+function linkDocument({ itemId = null, slug, title, html }) {
+  const headings = Array.from(html.matchAll(/<h([2-4])[^>]*>([\s\S]*?)<\/h\1>/gi)).map(m => htmlText(m[2])).filter(Boolean);
+  // title words count twice: they say what the post is about better than body text
+  const tokens = [...linkTokens(title), ...linkTokens(title), ...linkTokens((slug || '').replace(/-/g, ' ')), ...headings.flatMap(linkTokens), ...linkTokens(htmlText(html))];
+  return { itemId, slug: slug || null, title: title || '', headings, html, tokens, links: linkedSlugs(html) };
+}
+
+function buildLinkIndex(items) {
+  const docs = items
+    .filter(i => i.fieldData?.slug && !i.isArchived && !i.isDraft)
+    .map(i => linkDocument({ itemId: i.id, slug: i.fieldData.slug, title: i.fieldData.name, html: i.fieldData['post-body'] || '' }));
+  const df = new Map();
+  for (const d of docs) for (const t of new Set(d.tokens)) df.set(t, (df.get(t) || 0) + 1);
+  for (const d of docs) Object.assign(d, linkVector(d.tokens, df, docs.length));
+  return { docs, df };
+}
+
+// Rebuilt only when the blog cache entry behind it is refreshed.
+function getLinkIndex(workspace, collectionId) {
+  const key = wsKey(workspace, collectionId);
+  const entry = blogCache.get(key);
+  if (!entry?.data) return null;
+  const cached = linkIndexes.get(key);
+  if (cached?.timestamp === entry.timestamp) return cached.index;
+  const index = buildLinkIndex(entry.data);
+  linkIndexes.set(key, { timestamp: entry.timestamp, index });
+  return index;
+}
+
+// Phrases that may anchor a link to `doc`, longest first: 2–6 word runs of its
+// title and headings that start and end on a content word.
+function anchorPhrases(doc) {
+  const phrases = new Set();
+  for (const text of [doc.title, ...doc.headings.slice(0, 8)]) {
+    const words = htmlText(text).replace(/[:?!.,()|–—]+/g, ' ').split(/\s+/).filter(Boolean);
+    for (let n = Math.min(6, words.length); n >= 2; n--) {
+      for (let i = 0; i + n <= words.length; i++) {
+        const gram = words.slice(i, i + n).map(w => w.toLowerCase());
+        if (LINK_STOPWORDS.has(gram[0]) || LINK_STOPWORDS.has(gram[n - 1])) continue;
+        if (gram.filter(w => w.length > 2 && !LINK_STOPWORDS.has(w)).length < 2) continue;
+        phrases.add(gram.join(' '));
+      }
+    }
+  }
+  return Array.from(phrases).sort((a, b) => b.length - a.length);
+}
+
+// Sentences of <p>/<li> text that contain no markup and sit outside links,
+// with the heading they fall under.
+function linkableSentences(html) {
+  const heads = Array.from(html.matchAll(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi)).map(m => ({ at: m.index, text: htmlText(m[1]) }));
+  const out = [];
+  for (const block of html.matchAll(/<(p|li)\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+    const where = heads.filter(h => h.at < block.index).pop()?.text || null;
+    for (const run of block[2].split(/<a\b[\s\S]*?<\/a>|<[^>]+>/i)) {
+      for (const sentence of run.split(/(?<=[.!?])\s+/)) {
+        if (sentence.trim().length >= 20 && !/___WIDGET_\d+___/.test(sentence)) out.push({ sentence, where });
+      }
+    }
+  }
+  return out;
+}
+
+// First sentence in `html` that contains one of `phrases` and occurs exactly
+// once in the post (so the replace hits the right spot).
+function findAnchor(html, sentences, phrases, used) {
+  for (const phrase of phrases) {
+    const re = new RegExp(`(?<![\\w-])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}(?![\\w-])`, 'i');
+    for (const s of sentences) {
+      if (used.has(s.sentence)) continue;
+      const m = re.exec(s.sentence);
+      if (!m || html.split(s.sentence).length !== 2) continue;
+      return { ...s, anchor: m[0], at: m.index };
+    }
+  }
+  return null;
+}
+
+function linkFinding(workspace, found, target, score) {
+  const { sentence, anchor, at, where } = found;
+  return {
+    type: 'link',
+    where,
+    current: sentence,
+    corrected: `${sentence.slice(0, at)}<a href="${postPath(workspace, target.slug)}">${anchor}</a>${sentence.slice(at + anchor.length)}`,
+    reason: `Link "${anchor}" to related post "${target.title}" (similarity ${score.toFixed(2)})`,
+    targetItemId: target.itemId,
+    targetSlug: target.slug
+  };
+}
+
+// Outbound: links from this post to related posts it doesn't link to yet.
+// Inbound: links to this post from related posts that don't link to it yet,
+// tagged with the item they apply to.
+function suggestInternalLinks(index, workspace, { itemId, slug, title, html, limit = 5, minScore = 0.1 }) {
+  const self = index.docs.find(d => (itemId && d.itemId === itemId) || (slug && d.slug === slug));
+  const doc = self && self.html === html ? self : linkDocument({ itemId, slug, title, html });
+  if (!doc.vector) Object.assign(doc, linkVector(doc.tokens, index.df, index.docs.length));
+  const selfSlug = (doc.slug || '').toLowerCase();
+
+  const related = index.docs
+    .filter(d => d !== self && d.slug !== doc.slug)
+    .map(d => ({ doc: d, score: cosine(doc, d) }))
+    .filter(r => r.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit * 3);
+
+  const outbound = [];
+  const sentences = linkableSentences(html);
+  const used = new Set();
+  for (const r of related) {
+    if (outbound.length >= limit) break;
+    if (doc.links.has(r.doc.slug.toLowerCase())) continue;
+    const found = findAnchor(html, sentences, anchorPhrases(r.doc), used);
+    if (!found) continue;
+    used.add(found.sentence);
+    outbound.push(linkFinding(workspace, found, r.doc, r.score));
+  }
+
+  const inbound = [];
+  const phrases = anchorPhrases(doc);
+  for (const r of related) {
+    if (inbound.length >= limit) break;
+    if (!selfSlug || r.doc.links.has(selfSlug)) continue;
+    const found = findAnchor(r.doc.html, linkableSentences(r.doc.html), phrases, new Set());
+    if (!found) continue;
+    inbound.push({ itemId: r.doc.itemId, slug: r.doc.slug, title: r.doc.title, ...linkFinding(workspace, found, doc, r.score) });
+  }
+
+  return {
+    related: related.slice(0, limit).map(r => ({ itemId: r.doc.itemId, slug: r.doc.slug, title: r.doc.title, score: Number(r.score.toFixed(3)) })),
+    outbound,
+    inbound
+  };
+}
+
+// POST /api/internal-links — { itemId | blogContent + slug + title, limit?, minScore? }
+app.post('/api/internal-links', requireRole('viewer'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    const { error: authError, token, collectionId } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    if (!token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
+
+    const items = await getCollectionItems(req.workspace, collectionId, token);
+    const index = getLinkIndex(req.workspace, collectionId) || buildLinkIndex(items);
+    const { itemId, limit, minScore } = req.body;
+    let { blogContent, slug, title } = req.body;
+    if (!blogContent && itemId) {
+      const item = items.find(i => i.id === itemId);
+      if (!item) return res.status(404).json({ error: 'Item not found in collection' });
+      ({ 'post-body': blogContent = '', slug, name: title } = item.fieldData);
+    }
+    if (typeof blogContent !== 'string') return res.status(400).json({ error: 'Missing blogContent or itemId' });
+
+    const result = suggestInternalLinks(index, req.workspace, {
+      itemId, slug, title, html: blogContent,
+      limit: Math.min(Math.max(parseInt(limit, 10) || 5, 1), 20),
+      minScore: Number.isFinite(Number(minScore)) && minScore != null ? Number(minScore) : undefined
+    });
+    console.log(`Internal links for "${slug || title}": ${result.outbound.length} outbound, ${result.inbound.length} inbound`);
+    res.json({ indexed: index.docs.length, ...result });
+  } catch (err) {
+    console.error('Internal links error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Request timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ════════════════════════════════════════════
+// CANNIBALIZATION — posts competing for the same queries
+// Runs on the same TF-IDF index as the internal-link engine (topic
+// similarity), plus 8-word shingles of body text for near-duplicate
+// passages, plus each post's top GSC queries (synced cache or supplied per
+// slug). Flagged pairs are clustered; each cluster gets a target post to
+// merge into or canonicalize to — the one with the most GSC clicks, else the
+// longest. Each post's action comes from its pair with the target, or its
+// strongest pair when it only overlaps another member. Shingles on more
+// than a fifth of all posts are boilerplate (CTAs, author boxes) and don't
+// count. Comparing every pair is quadratic, so it runs as a job that yields
+// to the event loop between rows.
+// ════════════════════════════════════════════
+const SHINGLE_SIZE = 8;
+
+function shingleDoc(doc) {
+  const words = htmlText(doc.html.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')).split(/\s+/).filter(Boolean);
+  const norm = words.map(w => w.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const hashes = [];
+  for (let i = 0; i + SHINGLE_SIZE <= norm.length; i++) hashes.push(hashString(norm.slice(i, i + SHINGLE_SIZE).join(' ')));
+  return { words, hashes, set: new Set(hashes) };
+}
+
+// Runs of consecutive shingles `a` shares with `b`, as text, longest first.
+function sharedPassages(a, b, common) {
+  const runs = [];
+  let start = -1;
+  for (let i = 0; i <= a.hashes.length; i++) {
+    const hit = i < a.hashes.length && common.has(a.hashes[i]) && b.set.has(a.hashes[i]);
+    if (hit && start === -1) start = i;
+    if (!hit && start !== -1) {
+      runs.push(a.words.slice(start, i - 1 + SHINGLE_SIZE));
+      start = -1;
+    }
+  }
+  return runs.sort((x, y) => y.length - x.length).slice(0, 3).map(w => ({ words: w.length, text: w.join(' ').slice(0, 400) }));
+}
+
+function primaryQueries(keywords = [], n = 3) {
+  return [...keywords].sort((a, b) => (b.clicks || 0) - (a.clicks || 0) || (b.impressions || 0) - (a.impressions || 0))
+    .slice(0, n).map(k => normalizeForMatch(k.keyword)).filter(Boolean);
+}
+
+async function findCannibalization(index, { keywordsFor, threshold = 0.5, duplicateThreshold = 0.2, onProgress = () => {}, signal }) {
+  const docs = index.docs;
+  const shingles = docs.map(shingleDoc);
+  const shingleDf = new Map();
+  for (const s of shingles) for (const h of s.set) shingleDf.set(h, (shingleDf.get(h) || 0) + 1);
+  const boilerplateCap = Math.max(2, Math.ceil(docs.length / 5));
+  const common = new Set(Array.from(shingleDf).filter(([, n]) => n > 1 && n <= boilerplateCap).map(([h]) => h));
+
+  const stats = docs.map((d, i) => {
+    const keywords = keywordsFor(d.slug);
+    return {
+      queries: primaryQueries(keywords),
+      clicks: keywords.reduce((sum, k) => sum + (k.clicks || 0), 0),
+      words: shingles[i].words.length
+    };
+  });
+
+  const pairs = [];
+  for (let i = 0; i < docs.length; i++) {
+    if (signal?.aborted) {
+      const err = new Error('Job cancelled');
+      err.name = 'AbortError';
+      throw err;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+    onProgress(i, docs.length);
+    for (let j = i + 1; j < docs.length; j++) {
+      const similarity = cosine(docs[i], docs[j]);
+      const sharedQueries = stats[i].queries.filter(q => stats[j].queries.includes(q));
+      let shared = 0;
+      const [small, large] = shingles[i].set.size < shingles[j].set.size ? [shingles[i], shingles[j]] : [shingles[j], shingles[i]];
+      for (const h of small.set) if (common.has(h) && large.set.has(h)) shared++;
+      // share of the shorter post that also appears in the other one
+      const duplication = small.set.size ? shared / small.set.size : 0;
+      if (similarity < threshold && !sharedQueries.length && duplication < duplicateThreshold) continue;
+
+      const reasons = [];
+      if (similarity >= threshold) reasons.push('topic');
+      if (sharedQueries.length) reasons.push('keyword');
+      if (duplication >= duplicateThreshold) reasons.push('duplicate_passages');
+      pairs.push({
+        a: i, b: j,
+        similarity: Number(similarity.toFixed(3)),
+        duplication: Number(duplication.toFixed(3)),
+        sharedQueries,
+        reasons,
+        passages: duplication >= duplicateThreshold ? sharedPassages(shingles[i], shingles[j], common) : []
+      });
+    }
+  }
+
+  // union-find over flagged pairs
+  const parent = docs.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  for (const p of pairs) parent[root(p.a)] = root(p.b);
+  const groups = new Map();
+  for (const p of pairs) for (const i of [p.a, p.b]) {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, new Set());
+    groups.get(r).add(i);
+  }
+
+  const ref = (i) => ({ itemId: docs[i].itemId, slug: docs[i].slug, title: docs[i].title, words: stats[i].words, clicks: stats[i].clicks, primaryQueries: stats[i].queries });
+  const clusters = Array.from(groups.values()).map(members => {
+    const ids = [...members];
+    const target = ids.reduce((best, i) => (stats[i].clicks > stats[best].clicks || (stats[i].clicks === stats[best].clicks && stats[i].words > stats[best].words) ? i : best));
+    const recommendations = ids.filter(i => i !== target).map(i => {
+      // a post joined to the cluster through another member is judged by its strongest pair
+      const own = pairs.filter(x => x.a === i || x.b === i);
+      const p = own.find(x => x.a === target || x.b === target) || own.reduce((best, x) => (x.similarity + x.duplication > best.similarity + best.duplication ? x : best));
+      const other = p.a === i ? p.b : p.a;
+      const { similarity, duplication } = p;
+      // near-identical posts merge; the same topic canonicalizes; a shared query on a distinct topic only needs retargeting
+      const action = similarity >= 0.75 || duplication >= 0.5 ? 'merge'
+        : similarity >= threshold ? 'canonicalize'
+          : 'differentiate';
+      const why = {
+        merge: `Merge into "${docs[target].title}" and 301-redirect /${docs[i].slug} to /${docs[target].slug}`,
+        canonicalize: `Point rel=canonical at /${docs[target].slug} or fold its unique sections into it`,
+        differentiate: `Retarget away from the queries "${docs[target].title}" ranks for`
+      }[action];
+      return { ...ref(i), action, recommendation: why, similarity, duplication, sharedQueries: p.sharedQueries, via: other === target ? null : ref(other) };
+    });
+    return { target: ref(target), size: ids.length, posts: recommendations };
+  }).sort((x, y) => y.size - x.size);
+
+  return {
+    clusters,
+    pairs: pairs
+      .sort((x, y) => (y.duplication + y.similarity) - (x.duplication + x.similarity))
+      .map(p => ({ ...p, a: ref(p.a), b: ref(p.b) }))
+  };
+}
+
+// POST /api/cannibalization — { threshold?, duplicateThreshold?, gscKeywords?: { [slug]: [...] }, siteUrl?, limit? }
+// Queues a job; the result is { posts, clusters, pairs, totalPairs }.
+app.post('/api/cannibalization', requireRole('viewer'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    const { error: authError, token, collectionId } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    if (!token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
+
+    const { gscKeywords = {}, siteUrl } = req.body;
+    const threshold = Number(req.body.threshold) || 0.5;
+    const duplicateThreshold = Number(req.body.duplicateThreshold) || 0.2;
+    if (!(threshold > 0 && threshold <= 1) || !(duplicateThreshold > 0 && duplicateThreshold <= 1)) return res.status(400).json({ error: 'Thresholds must be between 0 and 1' });
+    const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 50, 1), 500);
+
+    const items = await getCollectionItems(req.workspace, collectionId, token);
+    const index = getLinkIndex(req.workspace, collectionId) || buildLinkIndex(items);
+    const keywordsFor = (slug) => (Array.isArray(gscKeywords[slug]) ? gscKeywords[slug] : getGscKeywordsForSlug(req.workspace, slug, siteUrl));
+
+    const job = createJob('cannibalization', req.workspace, { collectionId, posts: index.docs.length, threshold, duplicateThreshold }, async ({ onStage, signal }) => {
+      const t0 = Date.now();
+      const onProgress = (done, posts) => { if (done % 25 === 0) onStage('comparing', { partial: { done, posts } }); };
+      const { clusters, pairs } = await findCannibalization(index, { keywordsFor, threshold, duplicateThreshold, onProgress, signal });
+      console.log(`Cannibalization: ${index.docs.length} posts → ${pairs.length} flagged pairs in ${clusters.length} clusters (${Date.now() - t0}ms)`);
+      return { posts: index.docs.length, clusters: clusters.slice(0, limit), pairs: pairs.slice(0, limit), totalPairs: pairs.length };
+    });
+    res.status(202).json({
+      jobId: job.id,
+      posts: index.docs.length,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+  } catch (err) {
+    console.error('Cannibalization error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Request timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ════════════════════════════════════════════
+// LINK AUDIT — broken, redirected and timed-out outbound links
+// Every <a href> outside protected widgets is checked with HEAD (GET when the
+// server refuses HEAD), following redirects by hand so the chain is visible.
+// A deep link that now redirects to the site's homepage counts as broken:
+// that is how retired pricing pages usually die. Redirects become `link`
+// findings pointing at the final URL. Broken links are replaced by the
+// closest live post (links into our own blog) or the Wayback Machine's
+// latest good copy (everything else), else unlinked. Timeouts are reported
+// but never edited. Hosts that resolve to loopback, private or link-local
+// addresses are refused on every hop (LINK_CHECK_ALLOW_PRIVATE=true lifts
+// that for local testing). The check runs in the socket's DNS lookup, so the
+// address checked is the address connected to: a host that re-resolves to a
+// private address after a check (DNS rebinding) gets nowhere.
+// ════════════════════════════════════════════
+const LINK_CHECK_TIMEOUT = parseInt(process.env.LINK_CHECK_TIMEOUT_MS, 10) || 10000;
+const LINK_CHECK_CONCURRENCY = 4;
+const LINK_MAX_REDIRECTS = 5;
+const LINK_CHECK_HEADERS = { 'user-agent': 'Mozilla/5.0 (compatible; ContentOpsLinkCheck/1.0)', accept: 'text/html,*/*' };
+const LINK_CHECK_ALLOW_PRIVATE = process.env.LINK_CHECK_ALLOW_PRIVATE === 'true';
+const WAYBACK_API_BASE = (process.env.WAYBACK_API_BASE || 'https://archive.org/wayback/available').replace(/\/$/, '');
+const LINK_REPLACEMENT_MIN_SCORE = 0.2;
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+// ::ffff:0:0/96 is every IPv4-mapped address
+for (const [prefix, bits] of [['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+const privateAddressError = (host, address) => {
+  const err = new Error(`refused: ${host} resolves to a private address (${address})`);
+  err.name = 'PrivateAddressError';
+  return err;
+};
+
+// dns.lookup for link-check sockets; fails unless every address the host resolves to is public.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => PRIVATE_ADDRESSES.check(a.address, a.family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) return callback(privateAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Sockets skip the lookup for IP literals, so those are checked up front.
+function privateLiteralError(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(host);
+  if (!family || LINK_CHECK_ALLOW_PRIVATE) return null;
+  return PRIVATE_ADDRESSES.check(host, family === 6 ? 'ipv6' : 'ipv4') ? privateAddressError(host, host) : null;
+}
+
+// Links in `html` (widgets already swapped for placeholders) with the heading they sit under.
+function extractLinks(html, workspace) {
+  const base = workspace.website ? `https://${workspace.website.replace(/^https?:\/\//, '')}` : undefined;
+  const heads = Array.from(html.matchAll(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi)).map(m => ({ at: m.index, text: htmlText(m[1]) }));
+  const links = [];
+  for (const m of html.matchAll(/<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi)) {
+    const href = m[2].trim().replace(/&amp;/g, '&');
+    if (!href || /^(#|mailto:|tel:|javascript:)/i.test(href)) continue;
+    let url;
+    try { url = new URL(href, base).href; } catch { continue; }
+    if (!/^https?:/i.test(url)) continue;
+    links.push({ url, href: m[2], text: htmlText(m[3]), tag: m[0], inner: m[3], where: heads.filter(h => h.at < m.index).pop()?.text || null });
+  }
+  return links;
+}
+
+// One request, redirects not followed, body discarded → { status, ok, location }.
+// Network errors are retried once, like fetchWithTimeout; refusals are not.
+async function linkRequest(url, method, signal) {
+  const literal = privateLiteralError(url);
+  if (literal) throw literal;
+  const client = url.startsWith('https:') ? https : http;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await new Promise((resolve, reject) => {
+        const req = client.request(url, {
+          method,
+          headers: LINK_CHECK_HEADERS,
+          lookup: LINK_CHECK_ALLOW_PRIVATE ? undefined : publicLookup,
+          signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(LINK_CHECK_TIMEOUT)]) : AbortSignal.timeout(LINK_CHECK_TIMEOUT)
+        }, (res) => {
+          res.resume();
+          resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300, location: res.headers.location || null });
+        });
+        req.on('error', reject);
+        req.end();
+      });
+    } catch (err) {
+      if (attempt === 2 || signal?.aborted || err.name === 'PrivateAddressError') throw err;
+      await new Promise(r => setTimeout(r, 1000));
+    }
+  }
+}
+
+async function checkLink(url, { signal } = {}) {
+  const cached = getFromCache(linkCheckCache, url, LINK_CHECK_TTL);
+  if (cached) return cached;
+
+  const redirects = [];
+  let current = url;
+  let result = null;
+  try {
+    for (let hop = 0; hop <= LINK_MAX_REDIRECTS && !result; hop++) {
+      let r = await linkRequest(current, 'HEAD', signal);
+      if ([403, 405, 501].includes(r.status)) r = await linkRequest(current, 'GET', signal);
+      const location = r.status >= 300 && r.status < 400 ? r.location : null;
+      if (!location) {
+        result = r.ok
+          ? { status: redirects.length ? 'redirected' : 'ok', httpStatus: r.status }
+          : { status: 'broken', httpStatus: r.status };
+        break;
+      }
+      const next = new URL(location, current).href;
+      redirects.push({ url: current, httpStatus: r.status });
+      if (redirects.some(h => h.url === next)) result = { status: 'broken', httpStatus: r.status, error: 'redirect loop' };
+      current = next;
+    }
+    if (!result) result = { status: 'broken', error: `more than ${LINK_MAX_REDIRECTS} redirects` };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    result = err.name === 'AbortError'
+      ? { status: 'timeout', error: `no response within ${LINK_CHECK_TIMEOUT}ms` }
+      : { status: 'broken', error: err.name === 'PrivateAddressError' ? err.message : err.code || err.cause?.code || err.message };
+  }
+
+  if (result.status === 'redirected') {
+    const from = new URL(url);
+    const to = new URL(current);
+    if (from.pathname.replace(/\/$/, '') !== '' && to.pathname.replace(/\/$/, '') === '' && from.hostname.replace(/^www\./, '') === to.hostname.replace(/^www\./, '')) {
+      result = { ...result, status: 'broken', error: 'redirects to the homepage (page retired)' };
+    }
+  }
+  const checked = { url, ...result, finalUrl: redirects.length ? current : null, redirects, checkedAt: Date.now() };
+  if (checked.status !== 'timeout') setCache(linkCheckCache, url, checked);
+  return checked;
+}
+
+const sameSite = (a, b) => a.replace(/^www\./, '') === b.replace(/^www\./, '');
+
+// Latest good Wayback Machine snapshot of `url`, or null. Cached like link checks.
+async function archivedCopy(url, signal) {
+  const cacheKey = `archive:${url}`;
+  const cached = getFromCache(linkCheckCache, cacheKey, LINK_CHECK_TTL);
+  if (cached !== null) return cached.url ? cached : null;
+  let found = null;
+  try {
+    const r = await fetchWithTimeout(`${WAYBACK_API_BASE}?url=${encodeURIComponent(url)}`, { signal, headers: { accept: 'application/json' } }, LINK_CHECK_TIMEOUT, 1);
+    const closest = r.ok ? (await r.json()).archived_snapshots?.closest : null;
+    if (closest?.available && String(closest.status) === '200') {
+      const at = closest.timestamp || '';
+      found = { url: closest.url.replace(/^http:/, 'https:'), date: at.length >= 8 ? `${at.slice(0, 4)}-${at.slice(4, 6)}-${at.slice(6, 8)}` : null };
+    }
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    return null;
+  }
+  setCache(linkCheckCache, cacheKey, found || { url: null });
+  return found;
+}
+
+// The live post closest to a dead link into our own blog, judged by its slug and anchor text.
+function relatedPostFor(link, index, excludeSlug) {
+  if (!index?.docs.length) return null;
+  const deadSlug = new URL(link.url).pathname.replace(/\/$/, '').split('/').pop();
+  const tokens = [...linkTokens(deadSlug.replace(/-/g, ' ')), ...linkTokens(link.text)];
+  if (!tokens.length) return null;
+  const query = linkVector(tokens, index.df, index.docs.length);
+  let best = null;
+  for (const doc of index.docs) {
+    if (doc.slug === deadSlug || doc.slug === excludeSlug) continue;
+    const score = cosine(query, doc);
+    if (score >= LINK_REPLACEMENT_MIN_SCORE && (!best || score > best.score)) best = { doc, score };
+  }
+  return best;
+}
+
+// Where a broken link should point now: a related post for our own blog, an archived copy elsewhere.
+async function proposeReplacement(link, workspace, { index, slug, signal }) {
+  const site = workspace.website ? new URL(`https://${workspace.website.replace(/^https?:\/\//, '')}`).hostname : null;
+  const { hostname, pathname } = new URL(link.url);
+  if (site && sameSite(hostname, site)) {
+    const blogPath = structuredDataConfig(workspace).blogPath;
+    const related = pathname.startsWith(blogPath) ? relatedPostFor(link, index, slug) : null;
+    return related
+      ? { url: postPath(workspace, related.doc.slug), source: 'related-post', title: related.doc.title, score: Number(related.score.toFixed(2)) }
+      : null;
+  }
+  const archived = await archivedCopy(link.url, signal);
+  return archived ? { url: archived.url, source: 'archive', date: archived.date } : null;
+}
+
+function linkAuditFinding(link, check, replacement = null) {
+  if (check.status === 'redirected') {
+    return {
+      type: 'link',
+      where: link.where,
+      current: link.tag,
+      corrected: link.tag.replace(link.href, check.finalUrl.replace(/&/g, '&amp;')),
+      reason: `Link redirects (${check.redirects[0].httpStatus}) to ${check.finalUrl}`,
+      linkStatus: 'redirected'
+    };
+  }
+  if (check.status === 'broken') {
+    const why = `Broken link to ${link.url} (${check.httpStatus || check.error})`;
+    if (!replacement) {
+      return { type: 'link', where: link.where, current: link.tag, corrected: link.inner, reason: `${why} — unlinked, no replacement found`, linkStatus: 'broken', replacement: null };
+    }
+    const to = replacement.source === 'archive'
+      ? `the archived copy${replacement.date ? ` from ${replacement.date}` : ''}`
+      : `related post "${replacement.title}"`;
+    return {
+      type: 'link',
+      where: link.where,
+      current: link.tag,
+      corrected: link.tag.replace(link.href, replacement.url.replace(/&/g, '&amp;')),
+      reason: `${why} — pointed at ${to}`,
+      linkStatus: 'broken',
+      replacement
+    };
+  }
+  return null;
+}
+
+// Check every link in one post. Each URL is fetched once however often it
+// appears. `index` (the collection's link index) and `slug` (this post) feed
+// replacements for broken links into our own blog.
+async function auditLinks(html, workspace, { signal, index = null, slug = null } = {}) {
+  const links = extractLinks(html, workspace);
+  const urls = [...new Set(links.map(l => l.url))];
+  const checks = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const url = urls[next++];
+      checks.set(url, await checkLink(url, { signal }));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(LINK_CHECK_CONCURRENCY, urls.length) }, worker));
+
+  const summary = { links: links.length, urls: urls.length, ok: 0, redirected: 0, broken: 0, timeout: 0 };
+  for (const c of checks.values()) summary[c.status]++;
+  const replacements = new Map();
+  for (const link of links) {
+    if (checks.get(link.url).status === 'broken') replacements.set(link, await proposeReplacement(link, workspace, { index, slug, signal }));
+  }
+  return {
+    summary,
+    links: links.map(l => ({ url: l.url, text: l.text, where: l.where, ...checks.get(l.url), ...(replacements.has(l) ? { replacement: replacements.get(l) } : {}) })),
+    findings: links.map(l => linkAuditFinding(l, checks.get(l.url), replacements.get(l))).filter(Boolean)
+  };
+}
+
+async function runLinkAudit({ workspace, collectionId, items }, { onStage, signal }) {
+  const index = getLinkIndex(workspace, collectionId) || buildLinkIndex(items);
+  const report = [];
+  const totals = { items: items.length, links: 0, ok: 0, redirected: 0, broken: 0, timeout: 0 };
+  for (const item of items) {
+    if (signal.aborted) break;
+    const { protectedHtml } = protectWidgets(item.fieldData['post-body'] || '');
+    const audit = await auditLinks(protectedHtml, workspace, { signal, index, slug: item.fieldData.slug });
+    totals.links += audit.summary.links;
+    for (const k of ['ok', 'redirected', 'broken', 'timeout']) totals[k] += audit.summary[k];
+    report.push({ itemId: item.id, slug: item.fieldData.slug, title: item.fieldData.name, ...audit });
+    onStage('checking', { partial: { done: report.length, ...totals } });
+  }
+  console.log(`Link audit: ${totals.links} links in ${report.length} posts — ${totals.broken} broken, ${totals.redirected} redirected, ${totals.timeout} timed out`);
+  return { totals, items: report };
+}
+
+// POST /api/links/audit — { blogContent, slug? } checks one post inline; otherwise
+// { filters: { itemIds?, slugPattern?, ... } } queues a job over the collection.
+app.post('/api/links/audit', requireRole('editor'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    const { blogContent, slug, filters = {} } = req.body;
+    if (typeof blogContent === 'string') {
+      const { protectedHtml } = protectWidgets(blogContent);
+      const index = getLinkIndex(req.workspace, req.body.collectionId || req.workspace.webflow?.collectionId);
+      return res.json(await auditLinks(protectedHtml, req.workspace, { index, slug }));
+    }
+
+    const filtersError = campaignFiltersError(filters);
+    if (filtersError) return res.status(400).json({ error: filtersError });
+    const { error: authError, token, collectionId } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    if (!token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
+    const items = filterCampaignItems(await getCollectionItems(req.workspace, collectionId, token), filters);
+    if (!items.length) return res.status(400).json({ error: 'No items match the given filters' });
+
+    const job = createJob('link-audit', req.workspace, { collectionId, matched: items.length, filters }, (ctx) => runLinkAudit({ workspace: req.workspace, collectionId, items }, ctx));
+    res.status(202).json({
+      jobId: job.id,
+      matched: items.length,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+  } catch (err) {
+    console.error('Link audit error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Request timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ════════════════════════════════════════════
+// SMARTCHECK PIPELINE — Research + Rewrite
+// Shared by the synchronous route and the job queue. `onStage` reports
+// progress; `signal` aborts the in-flight audit when a job is cancelled.
+// ════════════════════════════════════════════
+async function runSmartcheck(workspace, input, { onStage = () => {}, signal, actor = null, source = 'smartcheck' } = {}) {
+  const {
+    blogContent, title, slug,
+    braveKey, googleKey, googleCx,
+    addTldr, siteUrl
+  } = input;
+  let { gscKeywords } = input;
+  const brandHints = input.brandHints?.length ? input.brandHints : workspace.brandHints;
+
+  const checkCancelled = () => {
+    if (!signal?.aborted) return;
+    const err = new Error('Job cancelled');
+    err.name = 'AbortError';
+    throw err;
+  };
+
+  // Fill keywords from the synced GSC cache when the caller only sent a slug
+  if (!gscKeywords?.length && slug) {
+    gscKeywords = getGscKeywordsForSlug(workspace, slug, siteUrl);
+    if (gscKeywords.length) console.log(`Using ${gscKeywords.length} cached GSC keywords for "${slug}"`);
+  }
+
+  // Facts effective on the audit date (defaults to today); part of the cache key
+  // so a fact edit invalidates cached analyses.
+  const factSet = getFactSet(workspace, input.factsAsOf || todayIso());
+
+  const requested = resolveLlm(input);
+  if (requested.error) throw new Error(requested.error);
+  // Over-budget workspaces may run on a cheaper model; cached analyses cost nothing and are still served
+  const budgeted = applyBudget(workspace, requested);
+  const { downgradedFrom } = budgeted;
+  const llm = budgeted.llm || requested;
+
+  // SEO fields are audited only when the caller sends the item's fieldData
+  const seoAudit = input.fieldData && typeof input.fieldData === 'object'
+    ? auditSeoFields({ workspace, fieldData: input.fieldData, gscKeywords })
+    : null;
+
+  // Check analysis cache; the item metadata feeds the proposed structured data
+  const structuredDataInputs = JSON.stringify([title, slug, input.author, input.datePublished, input.dateModified, input.fieldData || null]);
+  const contentHash = hashString(workspace.id + blogContent + structuredDataInputs + JSON.stringify(gscKeywords || []) + JSON.stringify(brandHints || []) + (addTldr ? 'tldr' : '') + (input.includeDiff ? 'diff' : '') + (input.internalLinks ? 'links' : '') + (input.checkLinks ? 'linkcheck' : '') + (input.unsourcedFixes || workspace.unsourcedFixes || '') + `${input.searchProvider || 'native'}${input.byos ? ':byos' : ''}` + `${llm.name}:${llm.model}` + factSet.hash + (seoAudit ? JSON.stringify(seoAudit.fields.map(f => f.value)) : ''));
+  const cachedAnalysis = getFromCache(analysisCache, contentHash, ANALYSIS_CACHE_TTL);
+  if (cachedAnalysis) {
+    console.log('Serving cached analysis');
+    return { ...cachedAnalysis, fromCache: true };
+  }
+  if (budgeted.error) throw budgetExceededError(budgeted.error, budgeted.budget);
+  if (downgradedFrom) console.log(`Budget exceeded: modelMode ${downgradedFrom} → ${llm.modelMode}`);
+
+  const t0 = Date.now();
+  let searchCount = 0;
+
+  // ── STEP 0: Protect widgets/embeds ──
+  console.log('=== Stage 0: Widget Protection ===');
+  onStage('widget_protection');
+  const { protectedHtml: protectedContent, widgets } = protectWidgets(blogContent);
+  console.log(`  Protected ${widgets.length} widgets/embeds`);
+  widgets.forEach((w, i) => {
+    const preview = w.content.substring(0, 100).replace(/\n/g, ' ').trim();
+    console.log(`    Widget ${i}: ${preview}...`);
+  });
+
+  const plan = resolveSearchPlan(input);
+  if (plan.error) throw new Error(plan.error);
+  // Nothing awaits between the budget check and this reservation; the estimate is the run's limits
+  const releaseReservation = reserveUsage({
+    workspace, llm,
+    inputTokens: Math.ceil((blogContent.length + factSet.text.length) / 4) + 2000,
+    outputTokens: 6000,
+    webSearches: plan.native && llm.provider.webSearch ? 6 : 0,
+    searchCalls: Object.fromEntries(plan.providers.map(p => [p, MAX_EVIDENCE_CLAIMS]))
+  });
+  let evidence = null;
+  let audit;
+  let called = null;
+  let metered = null;
+  try {
+    // ── 0.5 Evidence from search providers (skipped for native-only search) ──
+    if (plan.providers.length) {
+      console.log(`=== Stage 0.5: Evidence (${plan.providers.join(' + ')}${plan.native ? '' : ', no native search'}) ===`);
+      checkCancelled();
+      onStage('evidence', { providers: plan.providers });
+      evidence = await gatherEvidence({ html: protectedContent, workspace, plan, keys: { braveKey, googleKey, googleCx } });
+      console.log(`  ${evidence.claims.length} claims, ${evidence.searches} searches`);
+    }
+
+    // ── 1. Fable audit (native web search) ──
+    console.log('=== Stage 1: Fable Audit ===');
+    checkCancelled();
+    onStage('audit', { widgetsProtected: widgets.length });
+    audit = await fableAudit({
+      llm, title,
+      blogContent: protectedContent,
+      brandHints, gscKeywords, signal,
+      workspace,
+      factSheet: factSet.text,
+      seo: seoAudit,
+      evidence,
+      nativeSearch: plan.native,
+      onUsage: (u) => { called = u; }
+    });
+  } finally {
+    // evidence searches and model calls already made are billed even when the run fails
+    if (called || evidence?.searches) {
+      metered = recordUsage({
+        workspace, actor, llm, source, downgradedFrom,
+        usage: called?.usage,
+        webSearches: called?.searchesUsed || 0,
+        searchCalls: evidence?.calls || {},
+        itemId: input.itemId
+      });
+    }
+    releaseReservation();
+  }
+  searchCount = audit.searchesUsed || 0;
+  const citationPolicy = input.unsourcedFixes || workspace.unsourcedFixes || 'downgrade';
+  const { findings: citedFindings, rejected: unsourcedRejected } = attachCitations(audit.findings || [], { sources: audit.sources, evidence, factText: factSet.text, policy: citationPolicy });
+  audit.findings = citedFindings;
+  if (unsourcedRejected.length) console.log(`  Rejected ${unsourcedRejected.length} unsourced fix(es)`);
+
+  // Internal links from the cached collection ride along as `link` findings
+  if (input.internalLinks) {
+    const index = getLinkIndex(workspace, input.collectionId || workspace.webflow?.collectionId);
+    if (index) {
+      const { outbound } = suggestInternalLinks(index, workspace, { itemId: input.itemId, slug, title, html: protectedContent });
+      audit.findings = [...(audit.findings || []), ...outbound];
+    } else {
+      console.log('  Internal links skipped: collection not cached (GET /api/webflow first)');
+    }
+  }
+
+  let linkAudit = null;
+  if (input.checkLinks) {
+    checkCancelled();
+    onStage('link_audit');
+    const index = getLinkIndex(workspace, input.collectionId || workspace.webflow?.collectionId);
+    linkAudit = await auditLinks(protectedContent, workspace, { signal, index, slug });
+    audit.findings = [...(audit.findings || []), ...linkAudit.findings];
+    console.log(`  Link audit: ${linkAudit.summary.broken} broken, ${linkAudit.summary.redirected} redirected, ${linkAudit.summary.timeout} timed out`);
+  }
+  console.log(`  ${audit.findings?.length || 0} findings, ${searchCount} searches`);
+  checkCancelled();
+  onStage('edit_application', { partial: { findings: audit.findings || [], verified: audit.verified || [], searches: searchCount } });
+
+  // ── 2. Rewrite from audit findings (code-based, see applyFindings) ──
+  console.log('=== Stage 2: Applying edits (code, no LLM rewrite) ===');
+  // downgraded (unsourced) fixes wait for an editor to accept them via /apply
+  const { updated, applied, skipped: unmatched } = applyFindings(protectedContent, (audit.findings || []).filter(f => !f.unsourced));
+  const skipped = [
+    ...unmatched,
+    ...(audit.findings || []).filter(f => f.unsourced).map(f => ({ ...f, why: 'no supporting source — verify before applying' })),
+    ...unsourcedRejected.map(f => ({ ...f, why: 'rejected: no supporting source' }))
+  ];
+  console.log(`  Applied ${applied.length}/${(audit.findings || []).length} findings (${skipped.length} skipped)`);
+
+  onStage('restoration', { partial: { applied: applied.length, skipped: skipped.length } });
+  const {
+    updatedContent: finalized, widgetWarnings, widgetPlacements, tldrAdded, contentWarning
+  } = finalizeContent({ blogContent, updated, widgets, applied, addTldr });
+
+  // An existing JSON-LD embed follows the edited Q&A; otherwise it's proposed separately
+  const { html: updatedContent, synced: schemaSynced } = syncJsonLdEmbed(finalized, { workspace, changed: finalized !== blogContent });
+  const structuredData = structuredDataFor(updatedContent, {
+    workspace, title, slug,
+    fieldData: input.fieldData || {},
+    author: input.author,
+    datePublished: input.datePublished,
+    dateModified: finalized !== blogContent ? todayIso() : input.dateModified
+  });
+
+  const seoProposals = seoAudit ? buildSeoProposals(seoAudit, audit.seo) : [];
+  if (seoAudit) console.log(`  SEO: ${seoAudit.fields.filter(f => f.issues.length).length} field(s) with issues, ${seoProposals.length} proposal(s)`);
+
+  const elapsed = ((Date.now() - t0) / 1000).toFixed(1);
+  console.log(`Done in ${elapsed}s`);
+
+  const result = {
+    updatedContent,
+    ...summarizeEdits(applied, skipped),
+    findings: audit.findings || [],
+    verified: audit.verified || [],
+    widgetWarnings,
+    widgetPlacements,
+    stats: {
+      searches: searchCount,
+      evidenceSearches: evidence?.searches || 0,
+      searchProvider: input.searchProvider || 'native',
+      byos: !plan.native,
+      findings: audit.findings?.length || 0,
+      applied: applied.length,
+      skipped: skipped.length,
+      elapsed,
+      modelMode: llm.modelMode,
+      llm: { provider: llm.name, model: llm.model },
+      gscKeywords: gscKeywords?.length || 0,
+      widgetsProtected: widgets.length,
+      usage: audit.usage || null,
+      cost: metered.cost,
+      downgradedFrom: downgradedFrom || null,
+      factSet: { version: factSet.version, asOf: factSet.asOf, hash: factSet.hash, facts: factSet.count }
+    },
+    tldrAdded,
+    contentWarning,
+    seo: seoAudit ? { ...seoAudit, proposals: seoProposals } : null,
+    linkAudit: linkAudit ? { summary: linkAudit.summary, links: linkAudit.links } : null,
+    evidence,
+    sources: audit.sources || null,
+    structuredData: { ...structuredData, synced: schemaSynced }
+  };
+  if (input.includeDiff) {
+    result.diff = diffHtml(blogContent, updatedContent, { findings: applied, placements: widgetPlacements });
+  }
+
+  setCache(analysisCache, contentHash, result);
+  if (input.itemId) recordAuditRun(workspace, input.itemId, input, result);
+  return result;
+}
+
+// ════════════════════════════════════════════
+// POST /api/smartcheck — sync, or `async: true` to submit as a job
+// ════════════════════════════════════════════
+app.post('/api/smartcheck', requireRole('editor'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many analysis requests.' });
+
+    const { blogContent, title, slug } = req.body;
+    const creds = resolveCredentials(req, ['anthropic', 'openai', 'brave', 'google', 'googleCx']);
+    if (creds.error) return res.status(400).json({ error: creds.error });
+    if (!blogContent) return res.status(400).json({ error: 'Missing required fields' });
+    const input = { ...withoutCredentialFields(req.body), ...creds.values };
+    const llm = resolveLlm(input);
+    if (llm.error) return res.status(400).json({ error: llm.error });
+    const plan = resolveSearchPlan(input);
+    if (plan.error) return res.status(400).json({ error: plan.error });
+    if (input.unsourcedFixes && !UNSOURCED_FIX_POLICIES.includes(input.unsourcedFixes)) return res.status(400).json({ error: `unsourcedFixes must be one of: ${UNSOURCED_FIX_POLICIES.join(', ')}` });
+
+    if (req.body.async) {
+      const job = createJob('smartcheck', req.workspace, { title: title || null, slug: slug || null }, (ctx) => runSmartcheck(req.workspace, input, { ...ctx, actor: req.user }));
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`
+      });
+    }
+
+    const result = await runSmartcheck(req.workspace, input, { actor: req.user });
+    res.json(result);
   } catch (err) {
     console.error('Smart check error:', err);
+    if (err.name === 'BudgetExceededError') return res.status(402).json({ error: err.message, budget: err.budget });
     if (err.message.includes('timeout')) {
       return res.status(408).json({ error: 'Analysis timeout. Try a shorter blog.', type: 'timeout' });
     }
@@ -878,23 +5105,908 @@ app.post('/api/smartcheck', async (req, res) => {
   }
 });
 
+// ════════════════════════════════════════════
+// POST /api/smartcheck/apply — per-finding accept / reject / edit
+// Re-runs edit application, widget restoration and Webflow normalization
+// over the original HTML with only the findings the editor kept. No model
+// call, so the same decisions always produce the same HTML.
+// ════════════════════════════════════════════
+const FINDING_DECISIONS = new Set(['accept', 'reject', 'edit']);
+
+app.post('/api/smartcheck/apply', requireRole('editor'), (req, res) => {
+  try {
+    const { blogContent, findings, addTldr, includeDiff } = req.body;
+    if (!blogContent || !Array.isArray(findings)) return res.status(400).json({ error: 'Missing blogContent or findings' });
+
+    const accepted = [];
+    const rejected = [];
+    let edited = 0;
+    for (const [i, f] of findings.entries()) {
+      // unsourced fixes need an explicit accept
+      const decision = f.decision || (f.unsourced ? 'reject' : 'accept');
+      if (!FINDING_DECISIONS.has(decision)) return res.status(400).json({ error: `Finding ${i}: unknown decision "${decision}"` });
+      if (decision === 'reject') { rejected.push({ ...f, why: 'rejected by editor' }); continue; }
+      if (decision === 'edit') {
+        // the editor's hand-edited text arrives in `corrected`
+        if (!f.corrected?.trim()) return res.status(400).json({ error: `Finding ${i}: edit decision needs corrected text` });
+        edited++;
+      }
+      accepted.push(f);
+    }
+
+    const { protectedHtml, widgets } = protectWidgets(blogContent);
+    const { updated, applied, skipped } = applyFindings(protectedHtml, accepted);
+    const {
+      updatedContent: finalized, widgetWarnings, widgetPlacements, tldrAdded, contentWarning
+    } = finalizeContent({ blogContent, updated, widgets, applied, addTldr });
+    const { html: updatedContent, synced: schemaSynced } = syncJsonLdEmbed(finalized, { workspace: req.workspace, changed: finalized !== blogContent });
+    console.log(`Apply: ${applied.length} applied, ${skipped.length} unmatched, ${rejected.length} rejected`);
+
+    const result = {
+      updatedContent,
+      ...summarizeEdits(applied, [...rejected, ...skipped]),
+      widgetWarnings,
+      widgetPlacements,
+      stats: {
+        findings: findings.length,
+        accepted: accepted.length - edited,
+        edited,
+        rejected: rejected.length,
+        applied: applied.length,
+        skipped: skipped.length + rejected.length,
+        widgetsProtected: widgets.length
+      },
+      tldrAdded,
+      contentWarning,
+      schemaSynced
+    };
+    if (includeDiff) result.diff = diffHtml(blogContent, updatedContent, { findings: applied, placements: widgetPlacements });
+    res.json(result);
+  } catch (err) {
+    console.error('Apply error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ════════════════════════════════════════════
+// DRAFTS & APPROVAL GATE
+// A draft holds proposed fieldData for one item plus what smartcheck said
+// about it (changelog, skipped findings, widget warnings). Lifecycle:
+// draft → in_review → approved → published, with rejected sending it back
+// for edits. Only approved drafts publish. A contentWarning, widget warnings
+// or a widget that had to be appended at the end need an explicit override
+// at approval; those review fields are fixed when the draft is created.
+// Workspaces with `requireApproval` refuse direct PATCH /api/webflow, item
+// and site publishes, and revision restores.
+// ════════════════════════════════════════════
+const drafts = new PersistentMap('drafts');
+workspaceCleanups.push((id) => dropWorkspaceRecords(drafts, id));
+const DRAFT_TRANSITIONS = {
+  draft: ['in_review'],
+  in_review: ['approved', 'rejected', 'draft'],
+  approved: ['published', 'draft'],
+  rejected: ['draft'],
+  published: []
+};
+
+function draftOverrideReasons({ contentWarning, widgetWarnings = [], widgetPlacements = [] }) {
+  const reasons = [];
+  if (contentWarning) reasons.push(`contentWarning: ${contentWarning}`);
+  if (widgetWarnings.length) reasons.push(`${widgetWarnings.length} widget warning(s)`);
+  const appended = widgetPlacements.filter(p => p.method === 'appended');
+  if (appended.length) reasons.push(`${appended.length} widget(s) appended at the end of the post`);
+  return reasons;
+}
+
+function createDraft({ workspace, actor, collectionId, itemId, slug, title, fieldData, review = {}, status = 'draft', source = 'manual' }) {
+  const now = Date.now();
+  const draft = {
+    id: `drf_${crypto.randomUUID()}`,
+    workspaceId: workspace.id,
+    collectionId, itemId,
+    slug: slug || null,
+    title: title || null,
+    source,
+    status,
+    fieldData,
+    changelog: review.changelog || [],
+    skipped: review.skipped || [],
+    widgetWarnings: review.widgetWarnings || [],
+    widgetPlacements: review.widgetPlacements || [],
+    contentWarning: review.contentWarning || null,
+    overrideReasons: draftOverrideReasons(review),
+    override: null,
+    comments: [],
+    history: [{ at: now, from: null, to: status, by: actor?.email || null, note: null }],
+    createdBy: actor?.email || null,
+    createdAt: now,
+    updatedAt: now,
+    publishedAt: null,
+    revisionId: null
+  };
+  drafts.set(draft.id, draft);
+  return draft;
+}
+
+function transitionDraft(draft, to, actor, note = null, changes = {}) {
+  if (!DRAFT_TRANSITIONS[draft.status].includes(to)) return { error: `Cannot move draft from ${draft.status} to ${to}` };
+  const updated = {
+    ...draft,
+    ...changes,
+    status: to,
+    history: [...draft.history, { at: Date.now(), from: draft.status, to, by: actor?.email || null, note }],
+    updatedAt: Date.now()
+  };
+  drafts.set(updated.id, updated);
+  return { draft: updated };
+}
+
+// Items that already have a draft waiting on someone (not yet published or rejected).
+const OPEN_DRAFT_STATUSES = ['draft', 'in_review', 'approved'];
+
+function openDraftItemIds(workspace, collectionId) {
+  const ids = new Set();
+  for (const d of drafts.values()) {
+    if (d.workspaceId === workspace.id && d.collectionId === collectionId && OPEN_DRAFT_STATUSES.includes(d.status)) ids.add(d.itemId);
+  }
+  return ids;
+}
+
+function findDraft(req) {
+  const draft = drafts.get(req.params.id);
+  return draft && draft.workspaceId === req.workspace.id ? draft : null;
+}
+
+// Smartcheck-shaped output (sync response, job result or /apply response) → draft review fields.
+function reviewFromResult(result) {
+  return {
+    changelog: result.changelog,
+    skipped: result.skipped,
+    widgetWarnings: result.widgetWarnings,
+    widgetPlacements: result.widgetPlacements,
+    contentWarning: result.contentWarning
+  };
+}
+
+// Shared by the publish route and scheduled publishes; caller checks the draft is approved.
+async function publishDraft({ workspace, actor, draft, token, live = false, source = `draft:${draft.id}` }) {
+  const { ok, status, data, revisionId, state, itemPublish } = await publishItem({
+    workspace, actor,
+    collectionId: draft.collectionId, itemId: draft.itemId, token,
+    fieldData: { ...draft.fieldData },
+    source, live
+  });
+  if (!ok) return { ok, status, data };
+  const { draft: published } = transitionDraft(draft, 'published', actor, null, { publishedAt: Date.now(), revisionId, itemState: state });
+  return { ok, status, data, revisionId, state, itemPublish, draft: published };
+}
+
+// GET /api/drafts?status=&itemId= — list without fieldData
+app.get('/api/drafts', requireRole('viewer'), (req, res) => {
+  const { status, itemId } = req.query;
+  const list = Array.from(drafts.values())
+    .filter(d => d.workspaceId === req.workspace.id)
+    .filter(d => (!status || d.status === status) && (!itemId || d.itemId === itemId))
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map(({ fieldData, comments, history, ...meta }) => ({
+      ...meta,
+      comments: comments.length,
+      openComments: comments.filter(c => !c.resolvedAt).length
+    }));
+  res.json({ drafts: list });
+});
+
+app.get('/api/drafts/:id', requireRole('viewer'), (req, res) => {
+  const draft = findDraft(req);
+  if (!draft) return res.status(404).json({ error: 'Draft not found' });
+  res.json(draft);
+});
+
+// POST /api/drafts — { itemId, collectionId?, fieldData, changelog?, skipped?, widgetWarnings?,
+// widgetPlacements?, contentWarning?, title?, slug? } or { itemId, jobId } to draft a smartcheck job's output
+app.post('/api/drafts', requireRole('editor'), (req, res) => {
+  const { itemId, jobId, title, slug } = req.body;
+  const collectionId = req.body.collectionId || req.workspace.webflow?.collectionId;
+  if (!itemId || !collectionId) return res.status(400).json({ error: 'Missing itemId or collectionId' });
+
+  let fieldData = req.body.fieldData;
+  let review = reviewFromResult(req.body);
+  let source = 'manual';
+  if (jobId) {
+    const job = jobs.get(jobId) || jobResults.get(jobId);
+    if (!job || job.workspaceId !== req.workspace.id) return res.status(404).json({ error: 'Job not found' });
+    if (job.type !== 'smartcheck' || job.status !== 'completed') return res.status(400).json({ error: 'Job is not a finished smartcheck' });
+    fieldData = { 'post-body': job.result.updatedContent };
+    review = reviewFromResult(job.result);
+    source = `job:${jobId}`;
+  }
+  if (!fieldData || typeof fieldData !== 'object') return res.status(400).json({ error: 'Missing fieldData' });
+
+  const draft = createDraft({ workspace: req.workspace, actor: req.user, collectionId, itemId, slug, title, fieldData, review, source });
+  console.log(`Draft ${draft.id} created for ${itemId}${draft.overrideReasons.length ? ' (needs override)' : ''}`);
+  res.status(201).json(draft);
+});
+
+// Editing sends an in-review, approved or rejected draft back to draft; any approval is dropped.
+// The smartcheck warnings (and so overrideReasons) stay as they were.
+app.patch('/api/drafts/:id', requireRole('editor'), (req, res) => {
+  const before = findDraft(req);
+  if (!before) return res.status(404).json({ error: 'Draft not found' });
+  if (before.status === 'published') return res.status(409).json({ error: 'Published drafts cannot be edited' });
+
+  const readOnly = ['widgetWarnings', 'widgetPlacements', 'contentWarning', 'overrideReasons'].filter(k => k in req.body);
+  if (readOnly.length) return res.status(400).json({ error: `${readOnly.join(', ')} come from smartcheck and cannot be edited` });
+
+  const changes = {};
+  if (req.body.fieldData) {
+    if (typeof req.body.fieldData !== 'object') return res.status(400).json({ error: 'fieldData must be an object' });
+    changes.fieldData = { ...before.fieldData, ...req.body.fieldData };
+  }
+  for (const k of ['title', 'changelog', 'skipped']) if (k in req.body) changes[k] = req.body[k];
+
+  if (before.status === 'draft') {
+    const draft = { ...before, ...changes, updatedAt: Date.now() };
+    drafts.set(draft.id, draft);
+    return res.json(draft);
+  }
+  const { draft, error } = transitionDraft(before, 'draft', req.user, 'edited', { ...changes, override: null });
+  if (error) return res.status(409).json({ error });
+  res.json(draft);
+});
+
+app.post('/api/drafts/:id/submit', requireRole('editor'), (req, res) => {
+  const before = findDraft(req);
+  if (!before) return res.status(404).json({ error: 'Draft not found' });
+  const { draft, error } = transitionDraft(before, 'in_review', req.user, req.body.note || null);
+  if (error) return res.status(409).json({ error });
+  res.json(draft);
+});
+
+// POST /api/drafts/:id/approve — { note?, override? } — `override` (a reason) is required when overrideReasons is non-empty
+app.post('/api/drafts/:id/approve', requireRole('publisher'), (req, res) => {
+  const before = findDraft(req);
+  if (!before) return res.status(404).json({ error: 'Draft not found' });
+  const { note, override } = req.body;
+  if (before.overrideReasons.length && !(typeof override === 'string' && override.trim())) {
+    return res.status(409).json({ error: 'Draft needs an explicit override to approve', overrideReasons: before.overrideReasons });
+  }
+  const changes = before.overrideReasons.length
+    ? { override: { by: req.user.email, at: Date.now(), reason: override.trim(), reasons: before.overrideReasons } }
+    : {};
+  const { draft, error } = transitionDraft(before, 'approved', req.user, note || null, changes);
+  if (error) return res.status(409).json({ error });
+  console.log(`Draft ${draft.id} approved by ${req.user.email}${draft.override ? ' (override)' : ''}`);
+  res.json(draft);
+});
+
+app.post('/api/drafts/:id/reject', requireRole('publisher'), (req, res) => {
+  const before = findDraft(req);
+  if (!before) return res.status(404).json({ error: 'Draft not found' });
+  if (!req.body.reason) return res.status(400).json({ error: 'Missing reason' });
+  const { draft, error } = transitionDraft(before, 'rejected', req.user, req.body.reason);
+  if (error) return res.status(409).json({ error });
+  res.json(draft);
+});
+
+// POST /api/drafts/:id/publish — { live? } — approved drafts only, through the normal publish path
+app.post('/api/drafts/:id/publish', requireRole('publisher'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    const before = findDraft(req);
+    if (!before) return res.status(404).json({ error: 'Draft not found' });
+    if (before.status !== 'approved') return res.status(409).json({ error: `Only approved drafts can be published (this one is ${before.status})` });
+    const { error: authError, token } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    if (!token) return res.status(400).json({ error: 'Missing credentials' });
+
+    const { ok, status, data, revisionId, state, itemPublish, draft } = await publishDraft({
+      workspace: req.workspace, actor: req.user, draft: before, token, live: req.body.live === true
+    });
+    if (!ok) return res.status(status).json(data);
+    res.json({ draft, item: data, revisionId, state, itemPublish });
+  } catch (err) {
+    console.error('Draft publish error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Publish timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/drafts/:id/comments — { body, findingIndex?, replyTo? }; findingIndex points into changelog
+app.post('/api/drafts/:id/comments', requireRole('viewer'), (req, res) => {
+  const draft = findDraft(req);
+  if (!draft) return res.status(404).json({ error: 'Draft not found' });
+  const { body, findingIndex, replyTo } = req.body;
+  if (typeof body !== 'string' || !body.trim()) return res.status(400).json({ error: 'Missing body' });
+  if (findingIndex != null && !(Number.isInteger(findingIndex) && findingIndex >= 0 && findingIndex < draft.changelog.length)) {
+    return res.status(400).json({ error: 'findingIndex must point into the draft changelog' });
+  }
+  const parent = replyTo ? draft.comments.find(c => c.id === replyTo) : null;
+  if (replyTo && !parent) return res.status(400).json({ error: 'replyTo comment not found' });
+
+  const comment = {
+    id: `cmt_${crypto.randomUUID()}`,
+    // replies inherit the finding of the comment they answer
+    findingIndex: parent ? parent.findingIndex : findingIndex ?? null,
+    replyTo: replyTo || null,
+    author: req.user.email,
+    body: body.trim(),
+    at: Date.now(),
+    resolvedAt: null,
+    resolvedBy: null
+  };
+  drafts.set(draft.id, { ...draft, comments: [...draft.comments, comment], updatedAt: Date.now() });
+  res.status(201).json(comment);
+});
+
+app.post('/api/drafts/:id/comments/:commentId/resolve', requireRole('editor'), (req, res) => {
+  const draft = findDraft(req);
+  if (!draft) return res.status(404).json({ error: 'Draft not found' });
+  const comment = draft.comments.find(c => c.id === req.params.commentId);
+  if (!comment) return res.status(404).json({ error: 'Comment not found' });
+  const resolved = { ...comment, resolvedAt: Date.now(), resolvedBy: req.user.email };
+  drafts.set(draft.id, { ...draft, comments: draft.comments.map(c => c.id === comment.id ? resolved : c), updatedAt: Date.now() });
+  res.json(resolved);
+});
+
+// ════════════════════════════════════════════
+// BULK REFRESH CAMPAIGNS
+// Runs the smartcheck pipeline over every matching item in a collection as
+// a single job, with a concurrency cap and a shared token/search budget.
+// Clean items (nothing skipped, no widget warnings) can be auto-staged and
+// published later in one go through the normal publish path (or, in
+// approval-gated workspaces, become drafts waiting for review).
+// ════════════════════════════════════════════
+const stagedPublishes = new PersistentMap('staged');
+const CAMPAIGN_MAX_CONCURRENCY = 8;
+
+const SLUG_PATTERN_MAX_LENGTH = 200;
+const SLUG_PATTERN_MAX_WILDCARDS = 5;
+
+// Slug filters are globs where * matches any run of characters. No raw
+// regexes: a user pattern like /(a+)+$/ could stall the event loop.
+function compileSlugPattern(pattern) {
+  if (!pattern) return null;
+  return new RegExp('^' + pattern.split(/\*+/).map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+}
+
+function campaignFiltersError(filters) {
+  if (typeof filters !== 'object' || filters === null) return 'filters must be an object';
+  const { updatedBefore, olderThanDays, slugPattern, itemIds } = filters;
+  if (updatedBefore != null && Number.isNaN(new Date(updatedBefore).getTime())) return 'filters.updatedBefore must be a date';
+  if (olderThanDays != null && !(Number(olderThanDays) > 0)) return 'filters.olderThanDays must be a positive number';
+  if (slugPattern != null) {
+    const ok = typeof slugPattern === 'string' && slugPattern.length <= SLUG_PATTERN_MAX_LENGTH && (slugPattern.match(/\*+/g) || []).length <= SLUG_PATTERN_MAX_WILDCARDS;
+    if (!ok) return `filters.slugPattern must be a glob (* = any characters) of at most ${SLUG_PATTERN_MAX_LENGTH} characters and ${SLUG_PATTERN_MAX_WILDCARDS} wildcards`;
+  }
+  if (itemIds != null && !(Array.isArray(itemIds) && itemIds.every(id => typeof id === 'string'))) return 'filters.itemIds must be an array of item IDs';
+  return null;
+}
+
+function filterCampaignItems(items, filters = {}) {
+  const { updatedBefore, olderThanDays, slugPattern, itemIds } = filters;
+  const before = updatedBefore
+    ? new Date(updatedBefore).getTime()
+    : olderThanDays ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+  const slugRe = compileSlugPattern(slugPattern);
+  const ids = itemIds?.length ? new Set(itemIds) : null;
+  return items.filter(item => {
+    if (ids && !ids.has(item.id)) return false;
+    if (slugRe && !slugRe.test(item.fieldData?.slug || '')) return false;
+    if (before) {
+      const updated = new Date(item.lastUpdated || item.lastPublished || item.createdOn || 0).getTime();
+      if (!(updated < before)) return false;
+    }
+    return !!item.fieldData?.['post-body'];
+  });
+}
+
+async function runCampaign({ workspace, actor, collectionId, token, items, options, budget }, { onStage, signal }) {
+  const concurrency = Math.min(Math.max(parseInt(options.concurrency, 10) || 3, 1), CAMPAIGN_MAX_CONCURRENCY);
+  const spent = { tokens: 0, searches: 0 };
+  const overBudget = () =>
+    (budget.maxTokens && spent.tokens >= budget.maxTokens) ||
+    (budget.maxSearches && spent.searches >= budget.maxSearches);
+
+  const report = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      const entry = { itemId: item.id, slug: item.fieldData.slug, title: item.fieldData.name };
+      if (signal.aborted) {
+        report.push({ ...entry, status: 'cancelled' });
+        continue;
+      }
+      if (overBudget()) {
+        report.push({ ...entry, status: 'skipped_budget' });
+        continue;
+      }
+
+      try {
+        const result = await runSmartcheck(workspace, {
+          ...options,
+          blogContent: item.fieldData['post-body'],
+          title: item.fieldData.name,
+          slug: item.fieldData.slug,
+          itemId: item.id
+        }, { signal, actor, source: 'campaign' });
+
+        if (!result.fromCache) {
+          const usage = result.stats.usage || {};
+          spent.tokens += (usage.input_tokens || 0) + (usage.output_tokens || 0);
+          spent.searches += (result.stats.searches || 0) + (result.stats.evidenceSearches || 0);
+        }
+
+        const clean = result.skipped.length === 0 && result.widgetWarnings.length === 0;
+        const changed = result.updatedContent !== item.fieldData['post-body'];
+        const staged = !!(options.autoStage && clean && changed && !result.contentWarning);
+        let draftId = null;
+        if ((options.queueForReview && changed) || (staged && workspace.requireApproval)) {
+          // scheduled audits and approval-gated workspaces get a draft in review instead of a staged publish
+          draftId = createDraft({
+            workspace, actor, collectionId, itemId: item.id, slug: entry.slug, title: entry.title,
+            fieldData: { 'post-body': result.updatedContent },
+            review: reviewFromResult(result),
+            status: 'in_review',
+            source: 'campaign'
+          }).id;
+        } else if (staged) {
+          stagedPublishes.set(item.id, {
+            workspaceId: workspace.id,
+            collectionId, itemId: item.id, slug: entry.slug,
+            fieldData: { 'post-body': result.updatedContent },
+            changelog: result.changelog,
+            stagedAt: Date.now()
+          });
+        }
+
+        report.push({
+          ...entry,
+          status: 'ok',
+          fromCache: !!result.fromCache,
+          changed,
+          staged,
+          draftId,
+          changelog: result.changelog,
+          skipped: result.skipped,
+          widgetWarnings: result.widgetWarnings,
+          contentWarning: result.contentWarning,
+          stats: result.stats,
+          updatedContent: result.updatedContent
+        });
+      } catch (err) {
+        if (signal.aborted) {
+          report.push({ ...entry, status: 'cancelled' });
+          continue;
+        }
+        if (err.name === 'BudgetExceededError') {
+          report.push({ ...entry, status: 'skipped_budget', error: err.message });
+          continue;
+        }
+        console.error(`  Campaign item ${item.id} failed:`, err.message);
+        report.push({ ...entry, status: 'error', error: err.message });
+      }
+
+      onStage('item', {
+        itemId: item.id,
+        done: report.length,
+        total: items.length,
+        spent: { ...spent },
+        partial: { done: report.length, total: items.length, spent: { ...spent } }
+      });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  if (signal.aborted) {
+    const err = new Error('Campaign cancelled');
+    err.name = 'AbortError';
+    throw err;
+  }
+
+  const count = (status) => report.filter(r => r.status === status).length;
+  return {
+    collectionId,
+    summary: {
+      total: items.length,
+      ok: count('ok'),
+      errors: count('error'),
+      skippedBudget: count('skipped_budget'),
+      changed: report.filter(r => r.changed).length,
+      staged: report.filter(r => r.staged).length,
+      spent,
+      budget
+    },
+    items: report
+  };
+}
+
+// POST /api/campaigns — audit every matching item in a collection as one job
+app.post('/api/campaigns', requireRole('editor'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    const { filters = {}, budget = {}, dryRun, ...rest } = req.body;
+    const filtersError = campaignFiltersError(filters);
+    if (filtersError) return res.status(400).json({ error: filtersError });
+    const { error: authError, token, collectionId } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    if (!token || !collectionId) return res.status(400).json({ error: 'Missing credentials' });
+    const creds = resolveCredentials(req, ['anthropic', 'openai', 'brave', 'google', 'googleCx']);
+    if (creds.error) return res.status(400).json({ error: creds.error });
+    const options = { ...withoutCredentialFields(rest), ...creds.values };
+    const llm = resolveLlm(options);
+    if (!dryRun && llm.error) return res.status(400).json({ error: llm.error });
+    const plan = resolveSearchPlan(options);
+    if (plan.error) return res.status(400).json({ error: plan.error });
+
+    const items = await getCollectionItems(req.workspace, collectionId, token);
+    const matched = filterCampaignItems(items, filters);
+    console.log(`Campaign: ${matched.length}/${items.length} items match filters`);
+
+    if (dryRun) {
+      return res.json({
+        total: items.length,
+        matched: matched.length,
+        items: matched.map(i => ({ itemId: i.id, slug: i.fieldData.slug, title: i.fieldData.name, lastUpdated: i.lastUpdated || null }))
+      });
+    }
+    if (!matched.length) return res.status(400).json({ error: 'No items match the given filters' });
+
+    const job = createJob(
+      'campaign',
+      req.workspace,
+      { collectionId, matched: matched.length, filters },
+      (ctx) => runCampaign({ workspace: req.workspace, actor: req.user, collectionId, token, items: matched, options, budget }, ctx)
+    );
+    res.status(202).json({
+      jobId: job.id,
+      matched: matched.length,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+  } catch (err) {
+    console.error('Campaign error:', err);
+    if (err.name === 'AbortError') return res.status(408).json({ error: 'Request timeout.', type: 'timeout' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/campaigns/staged', requireRole('viewer'), (req, res) => {
+  const { collectionId } = req.query;
+  const staged = Array.from(stagedPublishes.values())
+    .filter(s => s.workspaceId === req.workspace.id)
+    .filter(s => !collectionId || s.collectionId === collectionId)
+    .map(({ fieldData, ...rest }) => rest);
+  res.json({ staged });
+});
+
+// POST /api/campaigns/staged/publish — push staged items through the normal publish path
+app.post('/api/campaigns/staged/publish', requireRole('publisher'), async (req, res) => {
+  try {
+    const clientIp = req.ip || req.connection.remoteAddress;
+    if (!checkRateLimit(clientIp, req.workspace)) return res.status(429).json({ error: 'Too many requests.' });
+
+    if (req.workspace.requireApproval) return res.status(409).json({ error: 'This workspace requires approval — publish through /api/drafts' });
+
+    const { error: authError, token } = webflowAuth(req);
+    if (authError) return res.status(400).json({ error: authError });
+    const { itemIds } = req.body;
+    if (!token || !itemIds?.length) return res.status(400).json({ error: 'Missing fields' });
+
+    const results = [];
+    for (const itemId of itemIds) {
+      const staged = stagedPublishes.get(itemId);
+      if (!staged || staged.workspaceId !== req.workspace.id) { results.push({ itemId, ok: false, error: 'Not staged' }); continue; }
+      try {
+        const { ok, status, data, state, itemPublish } = await publishItem({
+          ...staged, workspace: req.workspace, actor: req.user, token, source: 'campaign', live: req.body.live === true
+        });
+        if (ok) stagedPublishes.delete(itemId);
+        results.push({ itemId, ok, status, state, itemPublish, error: ok ? undefined : data?.message || 'Publish failed' });
+      } catch (err) {
+        results.push({ itemId, ok: false, error: err.message });
+      }
+    }
+    res.json({ published: results.filter(r => r.ok).length, results });
+  } catch (err) {
+    console.error('Staged publish error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/campaigns/staged/:itemId', requireRole('editor'), (req, res) => {
+  const staged = stagedPublishes.get(req.params.itemId);
+  if (!staged || staged.workspaceId !== req.workspace.id) return res.status(404).json({ error: 'Not staged' });
+  stagedPublishes.delete(req.params.itemId);
+  res.json({ itemId: req.params.itemId, unstaged: true });
+});
+
+// ════════════════════════════════════════════
+// SCHEDULER — timed publishes and recurring freshness audits
+// Two kinds of schedule, both persisted and picked up again after a restart:
+//   publish: push an approved draft at `runAt` (once), optionally live
+//   audit:   on a cron cadence (UTC), run a campaign over matching items and
+//            queue every changed post as a draft in review
+// Background runs have no request, so credentials come from the vault (the
+// creator's own key first, then the workspace key). A schedule that was due
+// while the server was down runs once on the next tick.
+// ════════════════════════════════════════════
+const schedules = new PersistentMap('schedules');
+workspaceCleanups.push((id) => dropWorkspaceRecords(schedules, id));
+const SCHEDULER_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30 * 1000;
+const CRON_ALIASES = { '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@weekly': '0 0 * * 0', '@monthly': '0 0 1 * *' };
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 6 }
+];
+const runningSchedules = new Set();
+
+// Standard 5-field cron: *, lists, ranges and steps ("*/15", "1-5", "0,30").
+// Returns an array of value sets, or throws with a readable message.
+function parseCron(expr) {
+  const parts = (CRON_ALIASES[expr] || expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron must have 5 fields (minute hour day-of-month month day-of-week)');
+  return parts.map((part, i) => {
+    const { name, min, max } = CRON_FIELDS[i];
+    const values = new Set();
+    for (const piece of part.split(',')) {
+      const m = piece.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`Invalid ${name} field "${part}"`);
+      const from = m[1] === '*' ? min : parseInt(m[2], 10);
+      const to = m[1] === '*' ? max : m[3] != null ? parseInt(m[3], 10) : m[4] ? max : from;
+      const step = m[4] ? parseInt(m[4], 10) : 1;
+      if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid ${name} field "${part}"`);
+      for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+  });
+}
+
+// Next matching minute strictly after `from` (UTC). Skips whole days that can't match.
+// As in cron, when both day fields are restricted a day matching either one fires.
+function nextCronRun(expr, from = Date.now()) {
+  const [minutes, hours, days, months, weekdays] = parseCron(expr);
+  const dayMatches = (t) => {
+    const dom = days.has(t.getUTCDate()), dow = weekdays.has(t.getUTCDay());
+    return days.size === 31 || weekdays.size === 7 ? dom && dow : dom || dow;
+  };
+  const t = new Date(from);
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const limit = from + 366 * 24 * 60 * 60 * 1000;
+  while (t.getTime() <= limit) {
+    if (!months.has(t.getUTCMonth() + 1) || !dayMatches(t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (hours.has(t.getUTCHours()) && minutes.has(t.getUTCMinutes())) return t.getTime();
+    t.setUTCMinutes(t.getUTCMinutes() + 1);
+  }
+  return null;
+}
+
+function updateSchedule(id, changes) {
+  // a run that outlives its workspace's deletion doesn't bring the schedule back
+  if (!schedules.has(id)) return null;
+  const schedule = { ...schedules.get(id), ...changes, updatedAt: Date.now() };
+  schedules.set(id, schedule);
+  return schedule;
+}
+
+async function runPublishSchedule(schedule, workspace, actor) {
+  const draft = drafts.get(schedule.draftId);
+  if (!draft || draft.workspaceId !== workspace.id) throw new Error('Draft no longer exists');
+  if (draft.status !== 'approved') throw new Error(`Draft is ${draft.status}, not approved`);
+  const token = storedCredential(workspace, 'webflow', schedule.createdById);
+  if (!token) throw new Error('No Webflow token registered in the vault');
+
+  const { ok, status, data, revisionId, state, itemPublish } = await publishDraft({ workspace, actor, draft, token, live: !!schedule.live, source: `schedule:${schedule.id}` });
+  if (!ok) throw new Error(`Publish failed (${status}): ${data?.message || data?.error || JSON.stringify(data)}`);
+  return { revisionId, state, itemPublish };
+}
+
+async function runAuditSchedule(schedule, workspace, actor) {
+  const token = storedCredential(workspace, 'webflow', schedule.createdById);
+  if (!token) throw new Error('No Webflow token registered in the vault');
+  const collectionId = schedule.collectionId || workspace.webflow?.collectionId;
+  if (!collectionId) throw new Error('No collectionId');
+
+  const items = await getCollectionItems(workspace, collectionId, token);
+  // an item still waiting on its last draft is not re-audited every tick
+  const open = openDraftItemIds(workspace, collectionId);
+  const candidates = filterCampaignItems(items, schedule.filters);
+  const matched = candidates.filter(item => !open.has(item.id));
+  const skippedOpenDrafts = candidates.length - matched.length;
+  if (skippedOpenDrafts) console.log(`Scheduler: ${skippedOpenDrafts} item(s) skipped, already have an open draft`);
+  if (!matched.length) return { matched: 0, skippedOpenDrafts, jobId: null };
+
+  const options = {
+    ...schedule.options,
+    anthropicKey: storedCredential(workspace, 'anthropic', schedule.createdById),
+    openaiKey: storedCredential(workspace, 'openai', schedule.createdById),
+    braveKey: storedCredential(workspace, 'brave', schedule.createdById),
+    googleKey: storedCredential(workspace, 'google', schedule.createdById),
+    googleCx: storedCredential(workspace, 'googleCx', schedule.createdById),
+    queueForReview: true
+  };
+  const llm = resolveLlm(options);
+  if (llm.error) throw new Error(llm.error);
+  const job = createJob(
+    'campaign',
+    workspace,
+    { collectionId, matched: matched.length, filters: schedule.filters, scheduleId: schedule.id },
+    (ctx) => runCampaign({ workspace, actor, collectionId, token, items: matched, options, budget: schedule.budget || {} }, ctx)
+  );
+  return { matched: matched.length, skippedOpenDrafts, jobId: job.id };
+}
+
+async function runSchedule(schedule) {
+  if (runningSchedules.has(schedule.id)) return;
+  runningSchedules.add(schedule.id);
+  const startedAt = Date.now();
+  try {
+    const workspace = workspaces.get(schedule.workspaceId);
+    if (!workspace) throw new Error('Workspace no longer exists');
+    const actor = users.get(schedule.createdById) || null;
+    console.log(`Scheduler: running ${schedule.type} schedule ${schedule.id}`);
+    const result = schedule.type === 'publish'
+      ? await runPublishSchedule(schedule, workspace, actor)
+      : await runAuditSchedule(schedule, workspace, actor);
+    const lastRun = { at: startedAt, ok: true, ...result };
+    updateSchedule(schedule.id, schedule.type === 'publish'
+      ? { status: 'done', nextRunAt: null, lastRun, runs: schedule.runs + 1 }
+      : { nextRunAt: nextCronRun(schedule.cron), lastRun, runs: schedule.runs + 1 });
+  } catch (err) {
+    console.error(`Scheduler: ${schedule.id} failed:`, err.message);
+    const lastRun = { at: startedAt, ok: false, error: err.message };
+    updateSchedule(schedule.id, schedule.type === 'publish'
+      ? { status: 'failed', nextRunAt: null, lastRun, runs: schedule.runs + 1 }
+      : { nextRunAt: nextCronRun(schedule.cron), lastRun, runs: schedule.runs + 1 });
+  } finally {
+    runningSchedules.delete(schedule.id);
+  }
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const schedule of Array.from(schedules.values())) {
+    if (schedule.status === 'active' && schedule.nextRunAt && schedule.nextRunAt <= now) runSchedule(schedule);
+  }
+}, SCHEDULER_INTERVAL);
+
+function findSchedule(req) {
+  const schedule = schedules.get(req.params.id);
+  return schedule && schedule.workspaceId === req.workspace.id ? schedule : null;
+}
+
+function newSchedule(req, fields) {
+  const schedule = {
+    id: `sch_${crypto.randomUUID()}`,
+    workspaceId: req.workspace.id,
+    status: 'active',
+    runs: 0,
+    lastRun: null,
+    createdById: req.user.id,
+    createdBy: req.user.email,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    ...fields
+  };
+  schedules.set(schedule.id, schedule);
+  console.log(`Scheduler: ${schedule.type} schedule ${schedule.id} next at ${new Date(schedule.nextRunAt).toISOString()}`);
+  return schedule;
+}
+
+// GET /api/schedules?type=publish|audit&status=active|done|failed|cancelled
+app.get('/api/schedules', requireRole('viewer'), (req, res) => {
+  const { type, status } = req.query;
+  const list = Array.from(schedules.values())
+    .filter(s => s.workspaceId === req.workspace.id)
+    .filter(s => (!type || s.type === type) && (!status || s.status === status))
+    .sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity));
+  res.json({ schedules: list });
+});
+
+app.get('/api/schedules/:id', requireRole('viewer'), (req, res) => {
+  const schedule = findSchedule(req);
+  if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+  res.json(schedule);
+});
+
+// POST /api/schedules/publish — { draftId, runAt, live? } (runAt: ISO timestamp or epoch ms)
+app.post('/api/schedules/publish', requireRole('publisher'), (req, res) => {
+  const { draftId, runAt } = req.body;
+  const draft = drafts.get(draftId);
+  if (!draft || draft.workspaceId !== req.workspace.id) return res.status(404).json({ error: 'Draft not found' });
+  if (draft.status !== 'approved') return res.status(409).json({ error: `Only approved drafts can be scheduled (this one is ${draft.status})` });
+  const at = typeof runAt === 'number' ? runAt : Date.parse(runAt);
+  if (!Number.isFinite(at) || at <= Date.now()) return res.status(400).json({ error: 'runAt must be a future timestamp' });
+  if (!defaultCredential(req.workspace, 'webflow', req.user.id)) return res.status(400).json({ error: 'Register a Webflow token in the vault first (scheduled runs cannot use inline credentials)' });
+
+  const schedule = newSchedule(req, { type: 'publish', draftId, itemId: draft.itemId, live: req.body.live === true, nextRunAt: at });
+  res.status(201).json(schedule);
+});
+
+// POST /api/schedules/audit — { cron, name?, collectionId?, filters?: { olderThanDays, slugPattern, itemIds },
+// options?: { modelMode, addTldr, concurrency }, budget?: { maxTokens, maxSearches } }
+app.post('/api/schedules/audit', requireRole('editor'), (req, res) => {
+  const { cron, name, collectionId, filters = {}, options = {}, budget = {} } = req.body;
+  let nextRunAt;
+  try {
+    nextRunAt = nextCronRun(cron);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!nextRunAt) return res.status(400).json({ error: 'cron never fires within a year' });
+  const filtersError = campaignFiltersError(filters);
+  if (filtersError) return res.status(400).json({ error: filtersError });
+  if (!collectionId && !req.workspace.webflow?.collectionId) return res.status(400).json({ error: 'Missing collectionId' });
+  const provider = LLM_PROVIDERS[options.llmProvider || LLM_PROVIDER];
+  if (!provider) return res.status(400).json({ error: `options.llmProvider must be one of: ${Object.keys(LLM_PROVIDERS).join(', ')}` });
+  for (const kind of ['webflow', ...(provider.keyRequired ? [provider.credential] : [])]) {
+    if (!defaultCredential(req.workspace, kind, req.user.id)) return res.status(400).json({ error: `Register a ${kind} credential in the vault first (scheduled runs cannot use inline credentials)` });
+  }
+
+  const schedule = newSchedule(req, {
+    type: 'audit',
+    name: name || null,
+    cron,
+    collectionId: collectionId || null,
+    filters,
+    options: withoutCredentialFields(options),
+    budget,
+    nextRunAt
+  });
+  res.status(201).json(schedule);
+});
+
+// POST /api/schedules/:id/run — fire now without changing the cadence
+app.post('/api/schedules/:id/run', requireRole('editor'), async (req, res) => {
+  const schedule = findSchedule(req);
+  if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+  if (schedule.status !== 'active') return res.status(409).json({ error: `Schedule is ${schedule.status}` });
+  if (schedule.type === 'publish' && !hasRole(req.user, 'publisher')) return res.status(403).json({ error: 'Requires publisher role' });
+  await runSchedule(schedule);
+  res.json(schedules.get(schedule.id));
+});
+
+app.delete('/api/schedules/:id', requireRole('editor'), (req, res) => {
+  const schedule = findSchedule(req);
+  if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+  if (schedule.type === 'publish' && !hasRole(req.user, 'publisher')) return res.status(403).json({ error: 'Requires publisher role' });
+  if (schedule.status !== 'active') return res.status(409).json({ error: `Schedule is already ${schedule.status}` });
+  res.json(updateSchedule(schedule.id, { status: 'cancelled', nextRunAt: null, cancelledBy: req.user.email }));
+});
+
 // ════════════════════════════════════════════
 // HEALTH & STATS
 // ════════════════════════════════════════════
-app.get('/api/health', (req, res) => {
+app.get('/api/health', requireRole('admin'), (req, res) => {
   res.json({
     status: 'ok',
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    caches: { blogs: blogCache.size, searchResults: searchResultsCache.size, analyses: analysisCache.size },
+    caches: { blogs: blogCache.size, searchResults: searchResultsCache.size, analyses: analysisCache.size, gsc: gscCache.size, linkChecks: linkCheckCache.size },
+    storage: { driver: storage.driver, historyItems: auditHistory.size, jobResults: jobResults.size, usageEntries: usageLog.size },
     rateLimits: { activeIPs: rateLimitMap.size }
   });
 });
 
-app.get('/api/debug', (req, res) => {
-  const blogData = Array.from(blogCache.values())[0];
+app.get('/api/debug', requireRole('admin'), (req, res) => {
+  const prefix = `${req.workspace.id}:`;
+  const blogData = Array.from(blogCache.entries()).find(([k]) => k.startsWith(prefix))?.[1];
   res.json({
-    hasBlogCache: blogCache.size > 0,
+    workspace: req.workspace.id,
+    hasBlogCache: !!blogData,
     sampleBlogHasSiteId: blogData?.data?.[0]?.siteId ? true : false,
     sampleSiteId: blogData?.data?.[0]?.siteId || 'not found'
   });
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const blogContent = [
+  '<h2>Pricing</h2>',
+  '<p>SalesRobot starts at $49 per month.</p>',
+  '<h2>Features</h2>',
+  '<p>SalesRobot supports 3 LinkedIn accounts.</p>',
+  '<p>It has no mobile app.</p>'
+].join('\n');
+
+const findings = [
+  { type: 'fix', where: 'Pricing', current: 'SalesRobot starts at $49 per month.', corrected: 'SalesRobot starts at $59 per month.' },
+  { type: 'fix', where: 'Features', current: 'SalesRobot supports 3 LinkedIn accounts.', corrected: 'SalesRobot supports 5 LinkedIn accounts.' },
+  { type: 'fix', where: 'Features', current: 'It has no mobile app.', corrected: 'It has a mobile app.', unsourced: true }
+];
+
+const apply = (decisions, extra = {}) => server.api('POST', '/api/smartcheck/apply', {
+  body: { blogContent, findings: findings.map((f, i) => ({ ...f, ...decisions[i] })), ...extra }
+});
+
+test('accepted, edited and rejected findings shape the HTML', async () => {
+  const { status, body } = await apply([
+    { decision: 'accept' },
+    { decision: 'edit', corrected: 'SalesRobot supports up to 10 LinkedIn accounts.' },
+    { decision: 'reject' }
+  ]);
+  assert.equal(status, 200);
+  assert.match(body.updatedContent, /\$59 per month/);
+  assert.match(body.updatedContent, /up to 10 LinkedIn accounts/);
+  assert.match(body.updatedContent, /no mobile app/);
+  assert.deepEqual(
+    { accepted: body.stats.accepted, edited: body.stats.edited, rejected: body.stats.rejected, applied: body.stats.applied },
+    { accepted: 1, edited: 1, rejected: 1, applied: 2 }
+  );
+  assert.deepEqual(body.skipped.map(s => s.why), ['rejected by editor']);
+});
+
+test('without a decision, unsourced fixes are rejected and the rest accepted', async () => {
+  const { body } = await apply([{}, {}, {}]);
+  assert.equal(body.stats.applied, 2);
+  assert.match(body.updatedContent, /no mobile app/);
+  assert.deepEqual(body.skipped.map(f => [f.from, f.why, f.unsourced]), [['It has no mobile app.', 'rejected by editor', true]]);
+});
+
+test('the same decisions always give the same HTML', async () => {
+  const decisions = [{ decision: 'accept' }, { decision: 'reject' }, { decision: 'accept' }];
+  const first = await apply(decisions, { includeDiff: true });
+  const second = await apply(decisions, { includeDiff: true });
+  assert.equal(first.body.updatedContent, second.body.updatedContent);
+  assert.equal(first.body.diff.summary.hunks, 2);
+});
+
+test('unknown decisions, edits without text and missing input are a 400', async () => {
+  const unknown = await apply([{ decision: 'maybe' }]);
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /^Finding 0: unknown decision "maybe"/);
+
+  const emptyEdit = await apply([{}, { decision: 'edit', corrected: '  ' }]);
+  assert.equal(emptyEdit.status, 400);
+  assert.match(emptyEdit.body.error, /^Finding 1: edit decision needs corrected text/);
+
+  assert.equal((await server.api('POST', '/api/smartcheck/apply', { body: { blogContent } })).status, 400);
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, webflowStandIn, blogItem } from './helpers.js';
+
+let webflow, server;
+const wfAuth = { Authorization: 'Bearer wf-token' };
+
+before(async () => {
+  webflow = await webflowStandIn([blogItem('post-1')]);
+  server = await startServer({ WEBFLOW_API_BASE: webflow.url, LLM_PROVIDER: 'replay' });
+});
+
+after(async () => {
+  await server?.stop();
+  await webflow?.close();
+});
+
+const post = (base, urlPath, body, headers = {}) => fetch(base + urlPath, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+// Creates a user through the admin and returns an api() bound to their session.
+async function userWith(role, extra = {}) {
+  const email = `${role}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+  const created = await server.api('POST', '/api/users', { body: { email, name: role, password: 'user-password-1', role, ...extra } });
+  assert.equal(created.status, 201);
+  const login = await (await post(server.base, '/api/auth/login', { email, password: 'user-password-1' })).json();
+  return (method, urlPath, opts = {}) => server.api(method, urlPath, { ...opts, headers: { 'X-Auth-Token': login.token, ...opts.headers } });
+}
+
+test('bootstrap needs the bootstrap token', async (t) => {
+  const fresh = await startServer({ BOOTSTRAP_TOKEN: '' });
+  t.after(() => fresh.stop());
+  const admin = { email: 'first@example.com', password: 'first-password-1' };
+
+  assert.equal((await post(fresh.base, '/api/auth/bootstrap', admin)).status, 403);
+  assert.equal((await post(fresh.base, '/api/auth/bootstrap', admin, { 'X-Bootstrap-Token': 'guess' })).status, 403);
+
+  // with no BOOTSTRAP_TOKEN set, a one-time token is printed to the log
+  const printed = fresh.log().match(/X-Bootstrap-Token: (\S+)/)[1];
+  const ok = await post(fresh.base, '/api/auth/bootstrap', admin, { 'X-Bootstrap-Token': printed });
+  assert.equal(ok.status, 201);
+  assert.equal((await post(fresh.base, '/api/auth/bootstrap', admin, { 'X-Bootstrap-Token': printed })).status, 409);
+});
+
+test('requests without a valid session or login are refused', async () => {
+  assert.equal((await fetch(`${server.base}/api/facts`)).status, 401);
+  assert.equal((await fetch(`${server.base}/api/facts`, { headers: { 'X-Auth-Token': 'not-a-token' } })).status, 401);
+  assert.equal((await post(server.base, '/api/auth/login', { email: 'admin@example.com', password: 'wrong' })).status, 401);
+});
+
+test('roles gate what a user can do', async () => {
+  const viewer = await userWith('viewer');
+  assert.equal((await viewer('GET', '/api/facts')).status, 200);
+  assert.equal((await viewer('POST', '/api/smartcheck', { body: { blogContent: '<p>Hi</p>' } })).status, 403);
+
+  const editor = await userWith('editor');
+  const patch = { body: { collectionId: 'blog', fieldData: { name: 'Renamed' } }, headers: wfAuth };
+  assert.equal((await editor('PATCH', '/api/webflow?itemId=post-1', patch)).status, 403);
+  assert.equal(webflow.staged.get('post-1').fieldData.name, 'Post post-1');
+  assert.equal((await editor('GET', '/api/users')).status, 403);
+
+  const publisher = await userWith('publisher');
+  assert.equal((await publisher('PATCH', '/api/webflow?itemId=post-1', patch)).status, 200);
+  assert.equal(webflow.staged.get('post-1').fieldData.name, 'Renamed');
+});
+
+test('admins limited to other workspaces cannot see, change or delete this one', async () => {
+  const scoped = await userWith('admin', { workspaces: ['elsewhere'] });
+  assert.equal((await scoped('GET', '/api/workspaces/salesrobot')).status, 404);
+
+  const patched = await scoped('PATCH', '/api/workspaces/salesrobot', { body: { name: 'Taken', webflow: { token: 'wf-hijack' } } });
+  assert.equal(patched.status, 404);
+  assert.equal((await server.api('GET', '/api/workspaces/salesrobot')).body.name, 'SalesRobot');
+  const creds = await server.api('GET', '/api/credentials');
+  assert.ok(!creds.body.credentials.some(c => c.hint === '…jack'));
+
+  assert.equal((await scoped('DELETE', '/api/workspaces/salesrobot')).status, 404);
+  assert.equal((await server.api('GET', '/api/workspaces/salesrobot')).status, 200);
+});
+
+test('deleting a workspace removes its credentials, facts, drafts and schedules', async () => {
+  const workspace = { id: 'acme', name: 'Acme', brand: 'Acme', webflow: { collectionId: 'blog', token: 'wf-acme-token' }, factSheet: '- Acme has 12 integrations' };
+  const ws = { 'X-Workspace': 'acme' };
+  assert.equal((await server.api('POST', '/api/workspaces', { body: workspace })).status, 201);
+  await server.api('POST', '/api/drafts', { headers: ws, body: { itemId: 'post-1', fieldData: { 'post-body': '<p>Draft</p>' } } });
+  const schedule = await server.api('POST', '/api/schedules/audit', { headers: ws, body: { cron: '0 6 * * 1' } });
+  assert.equal(schedule.status, 201);
+  const counts = async () => ({
+    credentials: (await server.api('GET', '/api/credentials', { headers: ws })).body.credentials.length,
+    facts: (await server.api('GET', '/api/facts', { headers: ws })).body.count,
+    drafts: (await server.api('GET', '/api/drafts', { headers: ws })).body.drafts.length,
+    schedules: (await server.api('GET', '/api/schedules', { headers: ws })).body.schedules.length
+  });
+  assert.deepEqual(await counts(), { credentials: 1, facts: 1, drafts: 1, schedules: 1 });
+
+  assert.equal((await server.api('DELETE', '/api/workspaces/acme')).status, 200);
+  assert.equal((await server.api('GET', '/api/workspaces/acme')).status, 404);
+  assert.equal((await server.api('GET', `/api/schedules/${schedule.body.id}`)).status, 404);
+
+  // a workspace recreated under the same id starts empty
+  assert.equal((await server.api('POST', '/api/workspaces', { body: { id: 'acme', name: 'Acme', brand: 'Acme' } })).status, 201);
+  assert.deepEqual(await counts(), { credentials: 0, facts: 0, drafts: 0, schedules: 0 });
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, webflowStandIn, blogItem } from './helpers.js';
+
+let webflow, server;
+const auth = { Authorization: 'Bearer wf-token' };
+
+before(async () => {
+  webflow = await webflowStandIn([
+    blogItem('cold-email-tips'),
+    blogItem('cold-email-guide'),
+    blogItem('linkedin-automation'),
+    blogItem('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!')
+  ]);
+  server = await startServer({ WEBFLOW_API_BASE: webflow.url });
+});
+
+after(async () => {
+  await server?.stop();
+  await webflow?.close();
+});
+
+const dryRun = (filters) => server.api('POST', '/api/campaigns', { headers: auth, body: { collectionId: 'blog', dryRun: true, filters } });
+
+test('slugPattern is a case-insensitive glob', async () => {
+  const { status, body } = await dryRun({ slugPattern: 'COLD-EMAIL-*' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.items.map(i => i.slug).sort(), ['cold-email-guide', 'cold-email-tips']);
+});
+
+test('a regex-looking slugPattern is matched literally instead of compiled', async () => {
+  const started = Date.now();
+  const { status, body } = await dryRun({ slugPattern: '/(a+)+$/' });
+  assert.equal(status, 200);
+  assert.equal(body.matched, 0);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('malformed filters are rejected with 400', async () => {
+  for (const filters of [
+    { slugPattern: 42 },
+    { slugPattern: '*a*b*c*d*e*f*' },
+    { slugPattern: 'x'.repeat(201) },
+    { olderThanDays: -3 },
+    { updatedBefore: 'not a date' },
+    { itemIds: 'cold-email-tips' }
+  ]) {
+    const { status, body } = await dryRun(filters);
+    assert.equal(status, 400, JSON.stringify(filters));
+    assert.match(body.error, /^filters/);
+  }
+  const links = await server.api('POST', '/api/links/audit', { headers: auth, body: { collectionId: 'blog', filters: { slugPattern: 7 } } });
+  assert.equal(links.status, 400);
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, webflowStandIn, blogItem } from './helpers.js';
+
+let webflow, server;
+
+// n distinct made-up words, so posts only overlap where a test puts the same passage
+const words = (prefix, n) => Array.from({ length: n }, (_, i) => `${prefix}${String.fromCharCode(97 + (i % 26))}${Math.floor(i / 26)}`).join(' ');
+const passageAB = words('shared', 40);
+const passageBC = words('overlap', 60);
+
+before(async () => {
+  webflow = await webflowStandIn([
+    blogItem('pillar', { name: 'Pillar', 'post-body': `<p>${words('pillar', 200)} ${passageAB}</p>` }),
+    blogItem('middle', { name: 'Middle', 'post-body': `<p>${passageAB} ${words('middle', 20)} ${passageBC}</p>` }),
+    blogItem('echo', { name: 'Echo', 'post-body': `<p>${passageBC} ${words('echo', 10)}</p>` }),
+    blogItem('unrelated-1', { name: 'Unrelated one', 'post-body': `<p>${words('lone', 80)}</p>` }),
+    blogItem('unrelated-2', { name: 'Unrelated two', 'post-body': `<p>${words('solo', 80)}</p>` })
+  ]);
+  server = await startServer({ WEBFLOW_API_BASE: webflow.url });
+});
+
+after(async () => {
+  await server?.stop();
+  await webflow?.close();
+});
+
+async function waitForJob(statusUrl) {
+  for (let i = 0; i < 200; i++) {
+    const { body } = await server.api('GET', statusUrl);
+    if (['completed', 'failed', 'cancelled'].includes(body.status)) return body;
+    await new Promise(r => setTimeout(r, 25));
+  }
+  throw new Error('job did not finish');
+}
+
+test('cannibalization runs as a job and judges indirect members by their strongest pair', async () => {
+  const start = await server.api('POST', '/api/cannibalization', { headers: { Authorization: 'Bearer wf-token' }, body: { collectionId: 'blog' } });
+  assert.equal(start.status, 202);
+  assert.equal(start.body.posts, 5);
+
+  const job = await waitForJob(start.body.statusUrl);
+  assert.equal(job.status, 'completed');
+  const [cluster] = job.result.clusters;
+  assert.equal(job.result.clusters.length, 1);
+  assert.equal(cluster.target.slug, 'pillar');
+
+  const bySlug = Object.fromEntries(cluster.posts.map(p => [p.slug, p]));
+  assert.equal(bySlug.middle.via, null);
+  // echo never overlaps the pillar; it nearly duplicates middle, so it merges rather than differentiates
+  assert.equal(bySlug.echo.via.slug, 'middle');
+  assert.ok(bySlug.echo.duplication >= 0.5);
+  assert.equal(bySlug.echo.action, 'merge');
+});
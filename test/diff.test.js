@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const diff = (body) => server.api('POST', '/api/diff', { body });
+
+const original = [
+  '<h2>Pricing</h2>',
+  '<p>SalesRobot starts at $49 per month.</p>',
+  '<iframe src="https://www.youtube.com/embed/demo"></iframe>',
+  '<p>Old tips nobody needs.</p>',
+  '<h2>Summary</h2>'
+].join('\n');
+
+test('hunks are tagged with the findings that caused them and displaced widgets are flagged', async () => {
+  const updated = [
+    '<h2>Pricing</h2>',
+    '<p>SalesRobot starts at $59 per month.</p>',
+    '<h2>Summary</h2>',
+    '<p>Voice notes and video messages are included.</p>',
+    '<iframe src="https://www.youtube.com/embed/demo"></iframe>'
+  ].join('\n');
+  const findings = [
+    { type: 'fix', where: 'Pricing', current: 'SalesRobot starts at $49 per month.', corrected: 'SalesRobot starts at $59 per month.' },
+    { type: 'add', where: 'Summary', current: '', corrected: 'Voice notes and video messages are included.' }
+  ];
+  const { status, body } = await diff({ original, updated, findings, widgetPlacements: [{ index: 0, method: 'appended' }] });
+  assert.equal(status, 200);
+
+  const price = body.hunks.find(h => h.before.includes('$49'));
+  assert.equal(price.type, 'replace');
+  assert.deepEqual(price.findings.map(f => f.index), [0]);
+  assert.ok(price.words.some(w => w.op === 'delete' && w.text.includes('$49')));
+  assert.ok(price.words.some(w => w.op === 'insert' && w.text.includes('$59')));
+
+  const added = body.hunks.find(h => h.after.includes('Voice notes'));
+  assert.deepEqual(added.findings.map(f => f.type), ['add']);
+  assert.equal(added.widget.method, 'appended');
+
+  assert.equal(body.widgets.length, 1);
+  assert.match(body.widgets[0].preview, /^<iframe/);
+  assert.deepEqual(body.summary, { hunks: 2, inserted: 1, deleted: 0, replaced: 1, untagged: 0 });
+});
+
+test('a change no finding explains is left untagged', async () => {
+  const { body } = await diff({
+    original: '<p>Intro.</p>\n<p>Old tips nobody needs.</p>\n<p>Outro.</p>',
+    updated: '<p>Intro.</p>\n<p>Outro.</p>',
+    findings: [{ type: 'fix', current: 'Intro.', corrected: 'Intro, revised.' }]
+  });
+  assert.deepEqual(body.hunks.map(h => [h.type, h.before, h.findings.length]), [['delete', '<p>Old tips nobody needs.</p>', 0]]);
+  assert.equal(body.summary.untagged, 1);
+});
+
+test('identical HTML has no hunks', async () => {
+  const { body } = await diff({ original, updated: original });
+  assert.deepEqual(body.hunks, []);
+  assert.equal(body.summary.hunks, 0);
+});
+
+test('original and updated must both be strings', async () => {
+  assert.equal((await diff({ original })).status, 400);
+  assert.equal((await diff({ original, updated: { html: original } })).status, 400);
+});
@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, webflowStandIn, blogItem } from './helpers.js';
+
+let webflow, server;
+const auth = { Authorization: 'Bearer wf-token' };
+
+before(async () => {
+  webflow = await webflowStandIn([blogItem('post-1')]);
+  server = await startServer({ WEBFLOW_API_BASE: webflow.url });
+});
+
+after(async () => {
+  await server?.stop();
+  await webflow?.close();
+});
+
+const setApproval = (requireApproval) => server.api('PATCH', '/api/workspaces/salesrobot', { body: { requireApproval } });
+
+test('widget warnings need an override and edits cannot clear the gate', async () => {
+  const created = await server.api('POST', '/api/drafts', {
+    body: {
+      itemId: 'post-1', collectionId: 'blog',
+      fieldData: { 'post-body': '<p>New body</p>' },
+      widgetWarnings: ['Widget 2 could not be placed near its anchor'],
+      widgetPlacements: [{ index: 0, method: 'anchor' }]
+    }
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.overrideReasons, ['1 widget warning(s)']);
+  const id = created.body.id;
+
+  const cleared = await server.api('PATCH', `/api/drafts/${id}`, { body: { contentWarning: null, widgetWarnings: [], widgetPlacements: [] } });
+  assert.equal(cleared.status, 400);
+
+  const edited = await server.api('PATCH', `/api/drafts/${id}`, { body: { fieldData: { 'post-body': '<p>Edited</p>' } } });
+  assert.equal(edited.status, 200);
+  assert.deepEqual(edited.body.overrideReasons, ['1 widget warning(s)']);
+
+  assert.equal((await server.api('POST', `/api/drafts/${id}/submit`, { body: {} })).status, 200);
+  const approve = await server.api('POST', `/api/drafts/${id}/approve`, { body: {} });
+  assert.equal(approve.status, 409);
+  const overridden = await server.api('POST', `/api/drafts/${id}/approve`, { body: { override: 'Checked the widget by hand' } });
+  assert.equal(overridden.status, 200);
+  assert.deepEqual(overridden.body.override.reasons, ['1 widget warning(s)']);
+});
+
+test('revision restores are refused in workspaces that require approval', async (t) => {
+  t.after(() => setApproval(false));
+  const written = await server.api('PATCH', '/api/webflow?itemId=post-1', {
+    headers: auth,
+    body: { collectionId: 'blog', fieldData: { 'post-body': '<p>Second version</p>' } }
+  });
+  assert.equal(written.status, 200);
+
+  await setApproval(true);
+  const restore = await server.api('POST', `/api/revisions/post-1/${written.body.revisionId}/restore?collectionId=blog`, { headers: auth, body: {} });
+  assert.equal(restore.status, 409);
+  assert.equal(webflow.staged.get('post-1').fieldData['post-body'], '<p>Second version</p>');
+
+  await setApproval(false);
+  const allowed = await server.api('POST', `/api/revisions/post-1/${written.body.revisionId}/restore?collectionId=blog`, { headers: auth, body: {} });
+  assert.equal(allowed.status, 200);
+  assert.equal(webflow.staged.get('post-1').fieldData['post-body'], '<p>Body</p>');
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer, fixture } from './helpers.js';
+
+let server, replayDir;
+
+before(async () => {
+  replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contentops-replay-'));
+  fs.writeFileSync(path.join(replayDir, 'default.json'), JSON.stringify({
+    text: JSON.stringify({
+      findings: [
+        { type: 'fix', current: '$59 per month', corrected: '$69 per month', reason: 'Pro went from $59 to $69 per month.', sources: ['https://salesrobot.example/pricing'] },
+        { type: 'fix', current: '75 connection requests', corrected: '100 connection requests', reason: 'Limit raised.', sources: ['https://nobody-searched.example/limits'] },
+        { type: 'fix', current: '60 connections a day', corrected: '75 connections a day', reason: 'Advanced allows 75 connections/day.', sources: ['fact-sheet'] },
+        { type: 'fix', current: '4,000 users', corrected: '9,999 users', reason: 'User count grew.', sources: ['fact-sheet'] },
+        { type: 'salesrobot', current: '', corrected: 'SalesRobot also sends AI voice notes.', reason: 'Missing must-have feature.', sources: ['fact-sheet'] }
+      ],
+      verified: []
+    })
+  }));
+  server = await startServer({ LLM_PROVIDER: 'replay', LLM_REPLAY_DIR: replayDir, SEARCH_FIXTURE_FILE: fixture('search.json') });
+});
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(replayDir, { recursive: true, force: true });
+});
+
+const blogContent = '<h2>Pricing</h2><p>SalesRobot Pro costs $59 per month in 2026 and includes 75 connection requests per day.</p>';
+
+test('the evidence stage gathers fixture results per claim and backs findings with them', async () => {
+  const { status, body } = await server.api('POST', '/api/smartcheck', {
+    body: { blogContent, title: 'SalesRobot pricing', slug: 'salesrobot-pricing', searchProvider: 'fixture', byos: true }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.stats.searchProvider, 'fixture');
+  assert.equal(body.stats.byos, true);
+  assert.ok(body.stats.evidenceSearches >= 1);
+
+  const [claim] = body.evidence.claims;
+  assert.match(claim.claim, /\$59 per month/);
+  assert.deepEqual(claim.results.map(r => r.url), ['https://salesrobot.example/pricing', 'https://reviews.example/salesrobot']);
+  assert.deepEqual(claim.results[0].sources, ['fixture']);
+
+  const price = body.findings.find(f => f.corrected === '$69 per month');
+  assert.equal(price.citations[0].via, 'evidence:fixture');
+  assert.equal(price.unsourced, undefined);
+  assert.match(body.updatedContent, /\$69 per month/);
+
+  // a URL the finding names but no provider returned doesn't back it
+  const limit = body.findings.find(f => f.corrected === '100 connection requests');
+  assert.equal(limit.unsourced, true);
+  assert.deepEqual(limit.unverifiedSources, ['https://nobody-searched.example/limits']);
+  assert.match(body.updatedContent, /75 connection requests/);
+});
+
+test('"fact-sheet" only backs a fix when the fact sheet states its new values', async () => {
+  const { status, body } = await server.api('POST', '/api/smartcheck', {
+    body: { blogContent, title: 'SalesRobot limits', slug: 'salesrobot-limits', searchProvider: 'fixture' }
+  });
+  assert.equal(status, 200);
+  const stated = body.findings.find(f => f.corrected === '75 connections a day');
+  assert.deepEqual(stated.citations.map(c => c.via), ['fact-sheet']);
+  assert.equal(stated.unsourced, undefined);
+
+  const invented = body.findings.find(f => f.corrected === '9,999 users');
+  assert.deepEqual(invented.citations, []);
+  assert.equal(invented.unsourced, true);
+  assert.deepEqual(invented.unverifiedSources, ['fact-sheet']);
+
+  const brand = body.findings.find(f => f.type === 'salesrobot');
+  assert.deepEqual(brand.citations.map(c => c.via), ['fact-sheet']);
+});
+
+test('byos needs an evidence provider', async () => {
+  const { status, body } = await server.api('POST', '/api/smartcheck', { body: { blogContent, title: 'SalesRobot pricing', byos: true } });
+  assert.equal(status, 400);
+  assert.match(body.error, /byos needs an evidence provider/);
+});
@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const create = (fact) => server.api('POST', '/api/facts', { body: { category: 'PRICING', ...fact } });
+
+test('facts are versioned and rendered for the date an audit runs on', async () => {
+  const startVersion = (await server.api('GET', '/api/facts')).body.version;
+
+  const created = await create({ claim: 'Starter plan: $29/month', effectiveFrom: '2026-06-01', plans: ['starter'] });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.version, startVersion + 1);
+  const id = created.body.fact.id;
+
+  const before = await server.api('GET', '/api/facts/render?asOf=2026-05-31');
+  assert.doesNotMatch(before.body.text, /Starter plan/);
+  const during = await server.api('GET', '/api/facts/render?asOf=2026-06-01');
+  assert.match(during.body.text, /- Starter plan: \$29\/month \[plans: starter\]/);
+  assert.notEqual(during.body.hash, before.body.hash);
+
+  // retiring keeps the fact for past dates
+  const retired = await server.api('PATCH', `/api/facts/${id}`, { body: { effectiveTo: '2026-07-01' } });
+  assert.equal(retired.status, 200);
+  assert.equal(retired.body.version, startVersion + 2);
+  const listed = await server.api('GET', '/api/facts?asOf=2026-06-15&category=pricing');
+  assert.ok(listed.body.facts.some(f => f.id === id));
+  const later = await server.api('GET', '/api/facts?asOf=2026-07-01');
+  assert.ok(!later.body.facts.some(f => f.id === id));
+
+  const removed = await server.api('DELETE', `/api/facts/${id}`);
+  assert.equal(removed.body.deleted, true);
+  assert.equal((await server.api('GET', `/api/facts/${id}`)).status, 404);
+
+  const log = await server.api('GET', `/api/facts/log?since=${startVersion}`);
+  assert.deepEqual(log.body.entries.map(e => e.action), ['create', 'update', 'delete']);
+});
+
+test('a fact whose window closes before it opens is refused on create and update', async () => {
+  const inverted = await create({ claim: 'Never true', effectiveFrom: '2026-06-01', effectiveTo: '2026-05-01' });
+  assert.equal(inverted.status, 400);
+  assert.match(inverted.body.error, /effectiveTo must be after effectiveFrom/);
+  assert.equal((await create({ claim: 'Never true', effectiveFrom: '2026-06-01', effectiveTo: '2026-06-01' })).status, 400);
+
+  const { body } = await create({ claim: 'Valid', effectiveFrom: '2026-06-01' });
+  const patched = await server.api('PATCH', `/api/facts/${body.fact.id}`, { body: { effectiveTo: '2026-01-01' } });
+  assert.equal(patched.status, 400);
+});
+
+test('malformed facts and dates are refused', async () => {
+  assert.equal((await create({ claim: '', effectiveFrom: '2026-06-01' })).status, 400);
+  assert.equal((await create({ claim: 'No date' })).status, 400);
+  assert.equal((await create({ claim: 'Bad source', effectiveFrom: '2026-06-01', sourceUrl: 'not a url' })).status, 400);
+  assert.equal((await server.api('GET', '/api/facts?asOf=June')).status, 400);
+  assert.equal((await server.api('GET', '/api/facts/render?asOf=2026-02-30x')).status, 400);
+});
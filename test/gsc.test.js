@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { startServer, standIn, sendJson } from './helpers.js';
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const serviceAccount = {
+  client_email: 'audit@example.iam.gserviceaccount.com',
+  private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+};
+const isoDaysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+let gsc;
+let server;
+
+before(async () => {
+  gsc = await standIn((req, res) => {
+    if (req.url === '/token') return sendJson(res, 200, { access_token: 'gsc-token', expires_in: 3600 });
+    if (req.url.endsWith('/searchAnalytics/query')) {
+      return sendJson(res, 200, {
+        rows: [
+          { keys: ['https://example.com/blog/linkedin-automation', 'linkedin automation'], clicks: 40, impressions: 900, ctr: 0.04, position: 3.21 },
+          { keys: ['https://example.com/blog/linkedin-automation', 'linkedin bot'], clicks: 2, impressions: 300, ctr: 0.006, position: 9.7 },
+          { keys: ['https://example.com/blog/cold-email', 'cold email tips'], clicks: 5, impressions: 120, ctr: 0.04, position: 6 }
+        ]
+      });
+    }
+    sendJson(res, 404, { error: 'no route' });
+  });
+  server = await startServer({ GSC_API_BASE: gsc.url, GSC_TOKEN_URL: `${gsc.url}/token` });
+});
+
+after(async () => {
+  await server?.stop();
+  await gsc?.close();
+});
+
+test('sync signs a JWT, pulls rows and groups them by slug', async () => {
+  const res = await server.api('POST', '/api/gsc/sync', { body: { siteUrl: 'https://example.com/', serviceAccount } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.rows, 3);
+  assert.equal(res.body.pages, 2);
+
+  const tokenRequest = new URLSearchParams(gsc.requests.find(r => r.url === '/token').body);
+  assert.equal(tokenRequest.get('grant_type'), 'urn:ietf:params:oauth:grant-type:jwt-bearer');
+  const [header, claims, signature] = tokenRequest.get('assertion').split('.');
+  const verified = crypto.createVerify('RSA-SHA256').update(`${header}.${claims}`).verify(crypto.createPublicKey(privateKey), signature, 'base64url');
+  assert.ok(verified, 'assertion is signed with the service account key');
+  assert.equal(JSON.parse(Buffer.from(claims, 'base64url')).iss, serviceAccount.client_email);
+
+  const query = gsc.requests.find(r => r.url.endsWith('/searchAnalytics/query'));
+  assert.equal(query.headers.authorization, 'Bearer gsc-token');
+  assert.ok(query.url.includes(encodeURIComponent('https://example.com/')));
+
+  const keywords = await server.api('GET', '/api/gsc/keywords?slug=linkedin-automation');
+  assert.equal(keywords.status, 200);
+  assert.deepEqual(keywords.body.keywords.map(k => k.keyword), ['linkedin automation', 'linkedin bot']);
+  assert.equal(keywords.body.keywords[0].position, 3.2);
+});
+
+test('days given as a string is a number of days, not concatenated', async () => {
+  const res = await server.api('POST', '/api/gsc/sync', { body: { siteUrl: 'https://example.com/', serviceAccount, days: '7' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.startDate, isoDaysAgo(9));
+  assert.equal(res.body.endDate, isoDaysAgo(2));
+});
+
+test('missing siteUrl is a 400', async () => {
+  const res = await server.api('POST', '/api/gsc/sync', { body: { serviceAccount } });
+  assert.equal(res.status, 400);
+});
+
+test('a service account\'s own token_uri is never contacted', async () => {
+  const elsewhere = await standIn((req, res) => sendJson(res, 200, { access_token: 'stolen', expires_in: 3600 }));
+  try {
+    const res = await server.api('POST', '/api/gsc/sync', {
+      body: { siteUrl: 'https://example.com/', serviceAccount: { ...serviceAccount, client_email: 'other@example.iam.gserviceaccount.com', token_uri: `${elsewhere.url}/token` } }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(elsewhere.requests.length, 0);
+  } finally {
+    await elsewhere.close();
+  }
+});
+
+test('startDate and endDate must be ISO dates in order', async () => {
+  for (const dates of [{ startDate: '2026-13-01' }, { endDate: 'yesterday' }, { startDate: '2026-03-01', endDate: '2026-02-01' }]) {
+    const res = await server.api('POST', '/api/gsc/sync', { body: { siteUrl: 'https://example.com/', serviceAccount, ...dates } });
+    assert.equal(res.status, 400, JSON.stringify(dates));
+  }
+});
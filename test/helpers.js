@@ -0,0 +1,175 @@
+// Test harness: boots server.js in a child process on a free port with its
+// own DATA_DIR, and runs local stand-ins for the third-party APIs it talks to.
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const fixture = (name) => path.join(ROOT, 'test', 'fixtures', name);
+
+async function listen(server) {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function freePort() {
+  const server = http.createServer();
+  await listen(server);
+  const { port } = server.address();
+  server.close();
+  return port;
+}
+
+// `env` overrides the server's environment; the first admin is bootstrapped
+// (with BOOTSTRAP_TOKEN) and its token sent with every api() call. A DATA_DIR passed in `env` is
+// left in place on stop().
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const ownDataDir = !env.DATA_DIR;
+  const dataDir = env.DATA_DIR || fs.mkdtempSync(path.join(os.tmpdir(), 'contentops-test-'));
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, VAULT_KEY: 'test-vault-key', BOOTSTRAP_TOKEN: 'test-bootstrap-token', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let log = '';
+  child.stdout.on('data', (d) => { log += d; });
+  child.stderr.on('data', (d) => { log += d; });
+  const started = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 10000);
+    const poll = setInterval(() => {
+      if (!log.includes(`Server on port ${port}`)) return;
+      clearInterval(poll);
+      clearTimeout(timer);
+      resolve();
+    }, 20);
+    child.once('exit', (code) => {
+      clearInterval(poll);
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${log}`));
+    });
+  });
+  await started.catch((err) => {
+    if (child.exitCode === null) child.kill();
+    if (ownDataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+    throw err;
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  let token = null;
+  const api = async (method, urlPath, { body, headers = {} } = {}) => {
+    const res = await fetch(base + urlPath, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { 'X-Auth-Token': token } : {}), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let data = text;
+    try { data = JSON.parse(text); } catch {}
+    return { status: res.status, body: data };
+  };
+  const admin = { email: 'admin@example.com', password: 'test-password-1' };
+  let boot = await api('POST', '/api/auth/bootstrap', { body: admin, headers: { 'X-Bootstrap-Token': env.BOOTSTRAP_TOKEN ?? 'test-bootstrap-token' } });
+  if (boot.status === 409) boot = await api('POST', '/api/auth/login', { body: admin });
+  token = boot.body.token;
+
+  return {
+    base,
+    token,
+    api,
+    log: () => log,
+    async stop() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill();
+        await once(child, 'exit').catch(() => {});
+      }
+      if (ownDataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// A local HTTP server; `handler(req, res, body)` gets the request body as a string.
+export async function standIn(handler) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    handler(req, res, body);
+  });
+  const url = await listen(server);
+  return {
+    url,
+    requests,
+    close: () => new Promise((resolve) => { server.closeAllConnections(); server.close(resolve); })
+  };
+}
+
+export function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// In-memory Webflow v2 API: a staged and a live copy of each item, item and
+// site publishes, and custom domains. `items` are v2 item objects.
+export async function webflowStandIn(items = []) {
+  const staged = new Map(items.map(item => [item.id, structuredClone(item)]));
+  const live = new Map();
+  const sitePublishes = [];
+  const server = await standIn((req, res, body) => {
+    const { pathname } = new URL(req.url, 'http://webflow');
+    const data = body ? JSON.parse(body) : {};
+    let m;
+    if ((m = pathname.match(/^\/collections\/[^/]+\/items\/publish$/)) && req.method === 'POST') {
+      const now = new Date().toISOString();
+      for (const id of data.itemIds) {
+        const item = staged.get(id);
+        item.lastPublished = now;
+        live.set(id, structuredClone(item));
+      }
+      return sendJson(res, 202, { publishedItemIds: data.itemIds, errors: [] });
+    }
+    if ((m = pathname.match(/^\/collections\/[^/]+\/items\/([^/]+)\/live$/))) {
+      return live.has(m[1]) ? sendJson(res, 200, live.get(m[1])) : sendJson(res, 404, { message: 'Item not published' });
+    }
+    if ((m = pathname.match(/^\/collections\/[^/]+\/items\/([^/]+)$/))) {
+      const item = staged.get(m[1]);
+      if (!item) return sendJson(res, 404, { message: 'Item not found' });
+      if (req.method === 'PATCH') {
+        Object.assign(item.fieldData, data.fieldData);
+        if (typeof data.isDraft === 'boolean') item.isDraft = data.isDraft;
+        item.lastUpdated = new Date(Date.now() + 1000).toISOString();
+      }
+      return sendJson(res, 200, item);
+    }
+    if (pathname.match(/^\/collections\/[^/]+\/items$/)) {
+      return sendJson(res, 200, { items: [...staged.values()], pagination: { total: staged.size } });
+    }
+    if (pathname.match(/^\/sites\/[^/]+\/custom_domains$/)) {
+      return sendJson(res, 200, { customDomains: [{ id: 'domain-1', url: 'www.example.com' }] });
+    }
+    if ((m = pathname.match(/^\/sites\/([^/]+)\/publish$/)) && req.method === 'POST') {
+      sitePublishes.push({ siteId: m[1], ...data });
+      return sendJson(res, 202, data);
+    }
+    sendJson(res, 404, { message: `No route for ${req.method} ${pathname}` });
+  });
+  return { ...server, staged, live, sitePublishes };
+}
+
+export function blogItem(id, fieldData = {}, extra = {}) {
+  return {
+    id,
+    isDraft: false,
+    isArchived: false,
+    lastPublished: '2024-01-01T00:00:00.000Z',
+    lastUpdated: '2024-01-01T00:00:00.000Z',
+    fieldData: { name: `Post ${id}`, slug: id, 'post-body': '<p>Body</p>', ...fieldData },
+    ...extra
+  };
+}
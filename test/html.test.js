@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { startServer, fixture } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// No findings: the output is the post after widget protection/restoration, list roles and inline balancing
+const finalize = async (blogContent, findings = []) => {
+  const { status, body } = await server.api('POST', '/api/smartcheck/apply', { body: { blogContent, findings } });
+  assert.equal(status, 200, body.error);
+  return body.updatedContent;
+};
+const read = (name) => fs.readFileSync(fixture(`html/${name}`), 'utf8');
+
+test('a post that needs no normalizing round-trips byte for byte', async () => {
+  const html = read('roundtrip.html');
+  assert.equal(await finalize(html), html);
+});
+
+test('corpus posts change only where lists get roles and inline tags get balanced', async () => {
+  const posts = fs.readdirSync(fixture('html')).filter(f => /^post\d+\.html$/.test(f));
+  assert.ok(posts.length >= 5);
+  for (const post of posts) {
+    assert.equal(await finalize(read(post)), read(post.replace('.html', '.expected.html')), post);
+  }
+});
+
+test('an applied fix leaves every other byte in place', async () => {
+  const html = read('roundtrip.html');
+  const out = await finalize(html, [{ type: 'fix', current: 'Indented item', corrected: 'Edited item', reason: 'test' }]);
+  assert.equal(out, html.replace('Indented item', 'Edited item'));
+});
+
+// Intended differences from the regex transforms this pipeline replaced; `before` is what they produced.
+const CHANGES = [
+  {
+    name: 'upper-case list tags keep their case',
+    html: '<UL><LI>One</LI></UL>',
+    before: '<ul role="list"><li role="listitem">One</li></UL>',
+    after: '<UL role="list"><LI role="listitem">One</LI></UL>'
+  },
+  {
+    name: '<link> is not mistaken for <li>',
+    html: '<link rel="stylesheet" href="/a.css">',
+    before: '<li role="listitem"nk rel="stylesheet" href="/a.css">',
+    after: '<link rel="stylesheet" href="/a.css">'
+  },
+  {
+    name: 'an <em> left open inside <strong> closes inside it',
+    html: '<p><strong>a<em>b</strong>c</p>',
+    before: '<p><strong>a<em>b</strong>c</em></p>',
+    after: '<p><strong>a<em>b</em></strong>c</p>'
+  },
+  {
+    name: 'a table inside a figure travels with the figure',
+    html: '<figure><table><tr><td>x</td></tr></table></figure>',
+    before: '<table><tr><td>x</td></tr></table>DGET_0___',
+    after: '<figure><table><tr><td>x</td></tr></table></figure>'
+  }
+];
+
+for (const { name, html, before, after } of CHANGES) {
+  test(name, async () => {
+    const out = await finalize(html);
+    assert.equal(out, after);
+    assert.notEqual(out, before);
+  });
+}
+
+test('</div> inside a script does not end the embed', async () => {
+  const html = '<div class="w-embed"><script>if (done) document.write("</div>");</script></div>\n<p>After</p>';
+  // the regex cut the embed at the script's </div>, leaving the rest as editable text for findings to match
+  const { status, body } = await server.api('POST', '/api/smartcheck/apply', {
+    body: { blogContent: html, findings: [{ type: 'fix', current: '");</script></div>', corrected: '', reason: 'test' }] }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.changelog.length, 0);
+  assert.equal(body.skipped.length, 1);
+  assert.equal(body.updatedContent, html);
+});
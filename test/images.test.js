@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { startServer } from './helpers.js';
+
+const png = () => sharp({ create: { width: 600, height: 400, channels: 3, background: '#3366cc' } }).png().toBuffer();
+
+function upload(server, buffer, { type = 'image/png', headers = {} } = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type }), 'Hero Shot.png');
+  form.append('alt', 'A blue rectangle');
+  return fetch(`${server.base}/api/upload-image`, { method: 'POST', body: form, headers: { 'X-Auth-Token': server.token, ...headers } })
+    .then(async (res) => ({ status: res.status, body: await res.json() }));
+}
+
+test('local storage builds URLs from PUBLIC_BASE_URL, not the Host header', async (t) => {
+  const server = await startServer({ PUBLIC_BASE_URL: 'https://cdn.example.com/' });
+  t.after(() => server.stop());
+
+  const { status, body } = await upload(server, await png(), { headers: { Host: 'evil.example.net' } });
+  assert.equal(status, 200);
+  assert.equal(body.storage, 'local');
+  assert.match(body.url, /^https:\/\/cdn\.example\.com\/images\//);
+  assert.ok(body.variants.every(v => v.url.startsWith('https://cdn.example.com/images/')));
+  assert.deepEqual(body.variants.map(v => v.width), [480, 600]);
+
+  const served = await fetch(body.url.replace('https://cdn.example.com', server.base));
+  assert.equal(served.status, 200);
+});
+
+test('bytes sharp cannot decode are a 400', async (t) => {
+  const server = await startServer({ PUBLIC_BASE_URL: 'https://cdn.example.com' });
+  t.after(() => server.stop());
+
+  const { status, body } = await upload(server, Buffer.from('definitely not a png'));
+  assert.equal(status, 400);
+  assert.match(body.error, /^Could not decode image/);
+});
+
+test('local storage without PUBLIC_BASE_URL warns at startup and refuses uploads', async (t) => {
+  const server = await startServer({ PUBLIC_BASE_URL: '' });
+  t.after(() => server.stop());
+  assert.match(server.log(), /PUBLIC_BASE_URL is not set/);
+
+  const { status, body } = await upload(server, await png());
+  assert.equal(status, 500);
+  assert.match(body.error, /needs PUBLIC_BASE_URL/);
+});
+
+test('bytes that are not the declared type are a 400', async (t) => {
+  const server = await startServer({ PUBLIC_BASE_URL: 'https://cdn.example.com' });
+  t.after(() => server.stop());
+
+  const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+  const { status, body } = await upload(server, svg, { type: 'image/png' });
+  assert.equal(status, 400);
+  assert.match(body.error, /bytes are image\/svg\+xml, not the declared image\/png/);
+  assert.equal((await upload(server, await png(), { type: 'image/gif' })).status, 400);
+});
+
+test('hosted SVGs are downloaded, not rendered, on this origin', async (t) => {
+  const server = await startServer({ PUBLIC_BASE_URL: 'https://cdn.example.com' });
+  t.after(() => server.stop());
+
+  const svg = Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>');
+  const { status, body } = await upload(server, svg, { type: 'image/svg+xml' });
+  assert.equal(status, 200);
+  const served = await fetch(body.url.replace('https://cdn.example.com', server.base));
+  assert.equal(served.headers.get('content-security-policy'), "default-src 'none'");
+  assert.equal(served.headers.get('content-disposition'), 'attachment');
+});
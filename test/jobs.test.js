@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, standIn, fixture } from './helpers.js';
+
+const blogContent = '<h2>Pricing</h2><p>SalesRobot starts at $49 per month.</p>';
+
+async function waitForJob(server, statusUrl, states = ['completed', 'failed', 'cancelled']) {
+  for (let i = 0; i < 200; i++) {
+    const { body } = await server.api('GET', statusUrl);
+    if (states.includes(body.status)) return body;
+    await new Promise(r => setTimeout(r, 25));
+  }
+  throw new Error('job did not reach ' + states.join('/'));
+}
+
+// The event names in an SSE stream, in order.
+const eventNames = (text) => Array.from(text.matchAll(/^event: (\w+)$/gm), m => m[1]);
+
+test('an async smartcheck runs as a job with polling and a replayable event stream', async (t) => {
+  const server = await startServer({ LLM_PROVIDER: 'replay', LLM_REPLAY_DIR: fixture('replay') });
+  t.after(() => server.stop());
+
+  const submitted = await server.api('POST', '/api/smartcheck', { body: { blogContent, title: 'Pricing', async: true } });
+  assert.equal(submitted.status, 202);
+  assert.equal(submitted.body.statusUrl, `/api/jobs/${submitted.body.jobId}`);
+  const job = await waitForJob(server, submitted.body.statusUrl);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.stage, 'done');
+  assert.match(job.result.updatedContent, /\$59 per month/);
+
+  // EventSource can't send headers, so the stream takes the token in the query
+  const url = `${server.base}${submitted.body.eventsUrl}?access_token=${server.token}`;
+  const stream = await fetch(url);
+  assert.equal(stream.headers.get('content-type'), 'text/event-stream');
+  const events = eventNames(await stream.text());
+  assert.deepEqual(events.slice(0, 2), ['status', 'status']);
+  assert.ok(events.includes('stage'));
+  assert.equal(events.at(-1), 'result');
+
+  const resumed = await fetch(url, { headers: { 'Last-Event-ID': String(events.length - 2) } });
+  assert.deepEqual(eventNames(await resumed.text()), ['result']);
+});
+
+test('jobs are refused without a session, outside their workspace and when unknown', async (t) => {
+  const server = await startServer({ LLM_PROVIDER: 'replay', LLM_REPLAY_DIR: fixture('replay') });
+  t.after(() => server.stop());
+  const { body } = await server.api('POST', '/api/smartcheck', { body: { blogContent, async: true } });
+  await waitForJob(server, body.statusUrl);
+
+  assert.equal((await fetch(`${server.base}${body.eventsUrl}`)).status, 401);
+  assert.equal((await server.api('GET', '/api/jobs/job_missing')).status, 404);
+  await server.api('POST', '/api/workspaces', { body: { id: 'other', name: 'Other', brand: 'Other' } });
+  assert.equal((await server.api('GET', body.statusUrl, { headers: { 'X-Workspace': 'other' } })).status, 404);
+  assert.equal((await server.api('GET', body.eventsUrl, { headers: { 'X-Workspace': 'other' } })).status, 404);
+});
+
+test('queued and running jobs can be cancelled, finished ones cannot', async (t) => {
+  // a model API that never answers keeps the first job running
+  const model = await standIn(() => {});
+  t.after(() => model.close());
+  const server = await startServer({ LLM_PROVIDER: 'anthropic', ANTHROPIC_API_BASE: model.url, JOB_CONCURRENCY: '1' });
+  t.after(() => server.stop());
+  const submit = async () => (await server.api('POST', '/api/smartcheck', { body: { blogContent, anthropicKey: 'sk-test', async: true } })).body;
+
+  const running = await submit();
+  await waitForJob(server, running.statusUrl, ['running']);
+  const queued = await submit();
+  assert.equal((await server.api('GET', '/api/jobs')).body.queued, 1);
+
+  const dropped = await server.api('DELETE', `/api/jobs/${queued.jobId}`);
+  assert.deepEqual(dropped.body, { id: queued.jobId, status: 'cancelled', cancelling: false });
+
+  const stopping = await server.api('DELETE', `/api/jobs/${running.jobId}`);
+  assert.equal(stopping.body.cancelling, true);
+  assert.equal((await waitForJob(server, running.statusUrl)).status, 'cancelled');
+  assert.equal((await server.api('DELETE', `/api/jobs/${running.jobId}`)).status, 409);
+});
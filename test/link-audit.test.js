@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, standIn, sendJson, webflowStandIn, blogItem } from './helpers.js';
+
+let site, wayback, webflow, server;
+// the same fixture under another host name, for links that leave our site
+const elsewhere = () => site.url.replace('127.0.0.1', 'localhost');
+
+// A site whose pages are ok, moved, retired, gone or hanging.
+const routes = {
+  '/ok': (res) => { res.writeHead(200, { 'Content-Type': 'text/html' }); res.end('<p>ok</p>'); },
+  '/moved': (res) => { res.writeHead(301, { Location: '/ok' }); res.end(); },
+  '/pricing-2022': (res) => { res.writeHead(301, { Location: '/' }); res.end(); },
+  '/gone': (res) => { res.writeHead(404); res.end(); },
+  '/blog/linkedin-outreach-tips-2022': (res) => { res.writeHead(404); res.end(); },
+  '/slow': () => {}
+};
+
+before(async () => {
+  site = await standIn((req, res) => (routes[new URL(req.url, 'http://site').pathname] || ((r) => { r.writeHead(200); r.end(); }))(res));
+  wayback = await standIn((req, res) => {
+    const url = new URL(req.url, 'http://wayback').searchParams.get('url');
+    if (!url.endsWith('/gone')) return sendJson(res, 200, { archived_snapshots: {} });
+    sendJson(res, 200, { archived_snapshots: { closest: { available: true, status: '200', timestamp: '20230514120000', url: `http://web.archive.org/web/20230514120000/${url}` } } });
+  });
+  webflow = await webflowStandIn([
+    blogItem('linkedin-outreach-guide', { name: 'LinkedIn outreach guide', 'post-body': '<h2>Outreach tips</h2><p>LinkedIn outreach tips for sales teams.</p>' }),
+    blogItem('cold-email-basics', { name: 'Cold email basics', 'post-body': '<p>Cold email subject lines and follow-ups.</p>' }),
+    blogItem('roundup', {
+      name: 'Roundup',
+      'post-body': `<p>See <a href="${site.url}/blog/linkedin-outreach-tips-2022">our LinkedIn outreach tips</a> and <a href="${elsewhere()}/gone">this study</a>.</p>`
+    })
+  ]);
+  server = await startServer({
+    WEBFLOW_API_BASE: webflow.url,
+    WAYBACK_API_BASE: `${wayback.url}/wayback/available`,
+    LINK_CHECK_ALLOW_PRIVATE: 'true',
+    LINK_CHECK_TIMEOUT_MS: '300'
+  });
+  await server.api('PATCH', '/api/workspaces/salesrobot', { body: { website: new URL(site.url).host } });
+});
+
+after(async () => {
+  await server?.stop();
+  await Promise.all([site, wayback, webflow].map(s => s?.close()));
+});
+
+const audit = (blogContent) => server.api('POST', '/api/links/audit', { body: { blogContent } });
+
+test('links are classified as ok, redirected, broken or timed out', async () => {
+  const { status, body } = await audit(`
+    <h2>Sources</h2>
+    <p><a href="${site.url}/ok">fine</a>, <a href="${site.url}/moved">moved</a>,
+    <a href="${site.url}/gone">gone</a> and <a href="${site.url}/slow">slow</a>.</p>
+    <div class="w-embed"><a href="${site.url}/gone">inside a widget</a></div>`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.summary, { links: 4, urls: 4, ok: 1, redirected: 1, broken: 1, timeout: 1 });
+  const byPath = Object.fromEntries(body.links.map(l => [new URL(l.url).pathname, l]));
+  assert.equal(byPath['/ok'].httpStatus, 200);
+  assert.equal(byPath['/moved'].finalUrl, `${site.url}/ok`);
+  assert.deepEqual(byPath['/moved'].redirects, [{ url: `${site.url}/moved`, httpStatus: 301 }]);
+  assert.equal(byPath['/gone'].httpStatus, 404);
+  assert.equal(byPath['/slow'].status, 'timeout');
+  assert.equal(byPath['/ok'].where, 'Sources');
+
+  const redirect = body.findings.find(f => f.linkStatus === 'redirected');
+  assert.equal(redirect.corrected, `<a href="${site.url}/ok">moved</a>`);
+  assert.equal(body.findings.length, 2);
+});
+
+test('a deep link redirecting to the homepage counts as broken', async () => {
+  const { body } = await audit(`<p><a href="${site.url}/pricing-2022">old pricing</a></p>`);
+  assert.equal(body.links[0].status, 'broken');
+  assert.match(body.links[0].error, /homepage/);
+});
+
+test('broken links get replacements: an archived copy or the closest live post', async () => {
+  const start = await server.api('POST', '/api/links/audit', { headers: { Authorization: 'Bearer wf-token' }, body: { collectionId: 'blog', filters: { itemIds: ['roundup'] } } });
+  assert.equal(start.status, 202);
+  let job;
+  for (let i = 0; i < 100; i++) {
+    job = (await server.api('GET', start.body.statusUrl)).body;
+    if (job.status === 'completed' || job.status === 'failed') break;
+    await new Promise(r => setTimeout(r, 50));
+  }
+  assert.equal(job.status, 'completed');
+  const { findings } = job.result.items[0];
+
+  const internal = findings.find(f => f.current.includes('linkedin-outreach-tips-2022'));
+  assert.equal(internal.replacement.source, 'related-post');
+  assert.equal(internal.corrected, '<a href="/blog/linkedin-outreach-guide">our LinkedIn outreach tips</a>');
+
+  const external = findings.find(f => f.current.includes('/gone'));
+  assert.deepEqual(external.replacement, { url: `https://web.archive.org/web/20230514120000/${elsewhere()}/gone`, source: 'archive', date: '2023-05-14' });
+  assert.match(external.reason, /archived copy from 2023-05-14/);
+});
+
+test('hosts that resolve to private addresses are refused before any request', async (t) => {
+  const guarded = await startServer({ LINK_CHECK_TIMEOUT_MS: '300', WAYBACK_API_BASE: `${wayback.url}/wayback/available` });
+  t.after(() => guarded.stop());
+  const seen = site.requests.length;
+  const port = new URL(site.url).port;
+
+  const { body } = await guarded.api('POST', '/api/links/audit', {
+    body: { blogContent: `<p><a href="http://localhost:${port}/ok">a</a> <a href="http://[::1]:${port}/ok">b</a> <a href="http://169.254.169.254/latest/meta-data/">c</a></p>` }
+  });
+  assert.equal(body.summary.broken, 3);
+  for (const link of body.links) assert.match(link.error, /^refused: .* resolves to a private address/);
+  assert.equal(site.requests.length, seen);
+});
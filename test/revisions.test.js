@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, webflowStandIn, blogItem } from './helpers.js';
+
+let webflow, server;
+const auth = { Authorization: 'Bearer wf-token' };
+
+before(async () => {
+  webflow = await webflowStandIn([blogItem('post-1', { 'post-body': '<p>Readers see this</p>' }), blogItem('post-2')]);
+  server = await startServer({ WEBFLOW_API_BASE: webflow.url });
+});
+
+after(async () => {
+  await server?.stop();
+  await webflow?.close();
+});
+
+const write = (itemId, body) => server.api('PATCH', `/api/webflow?itemId=${itemId}`, { headers: auth, body: { collectionId: 'blog', ...body } });
+
+test('the revision saved before a publish is the live copy, not an unpublished staged edit', async () => {
+  const published = await write('post-1', { fieldData: { 'post-body': '<p>Live version</p>' }, live: true });
+  assert.equal(published.status, 200);
+
+  const staged = await write('post-1', { fieldData: { 'post-body': '<p>Staged, never published</p>' } });
+  assert.equal(staged.status, 200);
+  const saved = await server.api('GET', `/api/revisions/post-1/${staged.body.revisionId}`);
+  assert.equal(saved.body.snapshotOf, 'live');
+  assert.equal(saved.body.fieldData['post-body'], '<p>Live version</p>');
+
+  const list = await server.api('GET', '/api/revisions/post-1');
+  assert.deepEqual(list.body.revisions.map(r => r.id), [staged.body.revisionId, published.body.revisionId]);
+  assert.equal(list.body.revisions[0].fieldData, undefined);
+  assert.deepEqual(list.body.revisions[0].fields.sort(), ['name', 'post-body', 'slug']);
+
+  // restoring gets back to what readers saw
+  const restored = await server.api('POST', `/api/revisions/post-1/${staged.body.revisionId}/restore`, { headers: auth, body: { live: true } });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.restoredFrom, staged.body.revisionId);
+  assert.equal(webflow.live.get('post-1').fieldData['post-body'], '<p>Live version</p>');
+});
+
+test('an item that was never published is snapshotted from its staged copy', async () => {
+  const { body } = await write('post-2', { fieldData: { 'post-body': '<p>First edit</p>' } });
+  const saved = await server.api('GET', `/api/revisions/post-2/${body.revisionId}`);
+  assert.equal(saved.body.snapshotOf, 'staged');
+  assert.equal(saved.body.fieldData['post-body'], '<p>Body</p>');
+});
+
+test('revisions diff against each other and against the current item', async () => {
+  const second = await write('post-2', { fieldData: { 'post-body': '<p>Second edit</p>' } });
+  const [newest, oldest] = (await server.api('GET', '/api/revisions/post-2')).body.revisions;
+  assert.equal(newest.id, second.body.revisionId);
+
+  const between = await server.api('GET', `/api/revisions/post-2/diff?from=${oldest.id}&to=${newest.id}`);
+  assert.equal(between.status, 200);
+  const [field] = between.body.fields;
+  assert.equal(field.field, 'post-body');
+  assert.equal(field.type, 'html');
+  assert.ok(field.hunks.length);
+
+  const current = await server.api('GET', `/api/revisions/post-2/diff?from=${newest.id}&to=current&collectionId=blog`, { headers: auth });
+  assert.equal(current.status, 200);
+  assert.match(JSON.stringify(current.body.fields), /Second edit/);
+});
+
+test('unknown revisions and incomplete diff requests are refused', async () => {
+  assert.equal((await server.api('GET', '/api/revisions/post-2/rev_missing')).status, 404);
+  assert.equal((await server.api('GET', '/api/revisions/post-2/diff?from=rev_missing&to=current')).status, 404);
+  assert.equal((await server.api('GET', '/api/revisions/post-2/diff?to=current')).status, 400);
+  const restore = await server.api('POST', '/api/revisions/post-2/rev_missing/restore', { headers: auth, body: {} });
+  assert.equal(restore.status, 404);
+});
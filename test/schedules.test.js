@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, webflowStandIn, blogItem } from './helpers.js';
+
+let webflow, server;
+
+before(async () => {
+  webflow = await webflowStandIn([blogItem('post-1'), blogItem('post-2'), blogItem('post-3')]);
+  server = await startServer({ WEBFLOW_API_BASE: webflow.url, LLM_PROVIDER: 'replay' });
+  await server.api('POST', '/api/credentials', { body: { kind: 'webflow', secret: 'wf-token' } });
+});
+
+after(async () => {
+  await server?.stop();
+  await webflow?.close();
+});
+
+const draft = async (itemId) => (await server.api('POST', '/api/drafts', {
+  body: { itemId, collectionId: 'blog', fieldData: { 'post-body': '<p>Proposed</p>' } }
+})).body.id;
+
+test('scheduled audits skip items that already have an open draft', async () => {
+  await draft('post-1');
+  const inReview = await draft('post-2');
+  await server.api('POST', `/api/drafts/${inReview}/submit`, { body: {} });
+  const rejected = await draft('post-3');
+  await server.api('POST', `/api/drafts/${rejected}/submit`, { body: {} });
+  await server.api('POST', `/api/drafts/${rejected}/reject`, { body: { reason: 'Off brand' } });
+
+  const created = await server.api('POST', '/api/schedules/audit', { body: { cron: '0 6 * * 1', collectionId: 'blog' } });
+  assert.equal(created.status, 201);
+  const run = await server.api('POST', `/api/schedules/${created.body.id}/run`);
+  assert.equal(run.status, 200);
+  assert.equal(run.body.lastRun.ok, true);
+  assert.equal(run.body.lastRun.matched, 1);
+  assert.equal(run.body.lastRun.skippedOpenDrafts, 2);
+  assert.ok(run.body.lastRun.jobId);
+});
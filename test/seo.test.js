@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers.js';
+
+let server, replayDir;
+
+before(async () => {
+  replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'contentops-replay-'));
+  fs.writeFileSync(path.join(replayDir, 'default.json'), JSON.stringify({
+    text: JSON.stringify({
+      findings: [],
+      verified: [],
+      seo: [
+        { field: 'metaTitle', proposed: 'LinkedIn Automation: 12 Tools Compared for Sales Teams', reason: 'Leads with the keyword.' },
+        { field: 'slug', proposed: 'LinkedIn Automation Tools', reason: 'Drops the year.' },
+        { field: 'metaDescription', proposed: 'Short.', reason: 'Too short to help.' },
+        { field: 'ogImageAlt', proposed: 'Alt text', reason: 'Field had no issues.' }
+      ]
+    })
+  }));
+  server = await startServer({ LLM_PROVIDER: 'replay', LLM_REPLAY_DIR: replayDir });
+});
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(replayDir, { recursive: true, force: true });
+});
+
+const gscKeywords = [{ keyword: 'linkedin tools', impressions: 100 }, { keyword: 'linkedin automation', impressions: 900, clicks: 20 }];
+const fieldData = {
+  'meta-title': 'Best tools',
+  'meta-description': '',
+  slug: 'linkedin-automation-2024',
+  'og-image-alt': 'Dashboard screenshot'
+};
+const codes = (seo) => Object.fromEntries(seo.fields.map(f => [f.field, f.issues.map(i => i.code)]));
+
+test('fields are checked for length, slug shape and the top GSC keyword', async () => {
+  const { status, body } = await server.api('POST', '/api/seo/audit', { body: { fieldData, gscKeywords } });
+  assert.equal(status, 200);
+  assert.equal(body.keyword, 'linkedin automation');
+  assert.deepEqual(codes(body), {
+    metaTitle: ['too_short', 'missing_keyword'],
+    metaDescription: ['missing'],
+    slug: ['contains_year'],
+    ogImageAlt: []
+  });
+  assert.equal(body.issues, 4);
+});
+
+test('smartcheck keeps only proposals that fix a failing field', async () => {
+  const { status, body } = await server.api('POST', '/api/smartcheck', {
+    body: { blogContent: '<p>LinkedIn automation tools compared.</p>', title: 'LinkedIn automation', fieldData, gscKeywords }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.seo.keyword, 'linkedin automation');
+  assert.deepEqual(body.seo.proposals.map(p => [p.field, p.proposed, p.fixes, p.risky]), [
+    ['metaTitle', 'LinkedIn Automation: 12 Tools Compared for Sales Teams', ['too_short', 'missing_keyword'], false],
+    ['slug', 'linkedin-automation-tools', ['contains_year'], true]
+  ]);
+  assert.deepEqual(body.seo.proposals[1].fieldData, { slug: 'linkedin-automation-tools' });
+});
+
+test('a workspace can remap the field slugs', async (t) => {
+  const patched = await server.api('PATCH', '/api/workspaces/salesrobot', { body: { seoFields: { metaTitle: 'seo-title' } } });
+  assert.equal(patched.status, 200);
+  t.after(() => server.api('PATCH', '/api/workspaces/salesrobot', { body: { seoFields: null } }));
+
+  const { body } = await server.api('POST', '/api/seo/audit', { body: { fieldData: { ...fieldData, 'seo-title': 'LinkedIn automation tools for outbound sales' }, gscKeywords } });
+  assert.deepEqual(body.fields.find(f => f.field === 'metaTitle'), {
+    field: 'metaTitle', fieldSlug: 'seo-title', value: 'LinkedIn automation tools for outbound sales', length: 44, issues: []
+  });
+});
+
+test('missing fieldData and bad seoFields are a 400', async () => {
+  assert.equal((await server.api('POST', '/api/seo/audit', { body: { gscKeywords } })).status, 400);
+  const bad = await server.api('PATCH', '/api/workspaces/salesrobot', { body: { seoFields: { canonical: 'canonical-url' } } });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /^seoFields must map/);
+});
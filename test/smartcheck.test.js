@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, fixture } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({ LLM_PROVIDER: 'replay', LLM_REPLAY_DIR: fixture('replay') });
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const post = '<h2>What is LinkedIn automation?</h2><p>Tools that send connection requests for you.</p>';
+const smartcheck = (body) => server.api('POST', '/api/smartcheck', { body: { blogContent: post, title: 'LinkedIn automation', slug: 'linkedin-automation', ...body } });
+const article = (result) => result.structuredData.jsonLd['@graph'].find(n => n['@type'] === 'Article');
+
+test('the full pipeline runs offline on a recorded response', async () => {
+  const blogContent = '<h2>Pricing</h2><p>SalesRobot starts at $49 per month.</p>';
+  const { status, body } = await smartcheck({ blogContent, title: 'SalesRobot pricing', slug: 'salesrobot-pricing' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.stats.llm, { provider: 'replay', model: 'replay' });
+  assert.deepEqual(body.stats.usage, { input_tokens: 5120, output_tokens: 210 });
+  assert.equal(body.stats.searches, 1);
+  assert.deepEqual(body.verified, ['Runs in the cloud']);
+
+  const [finding] = body.findings;
+  assert.equal(finding.citations[0].url, 'https://salesrobot.example/pricing');
+  assert.equal(finding.citations[0].via, 'web_search');
+  assert.equal(body.sources.searches[0].query, 'SalesRobot pricing per month');
+  assert.match(body.updatedContent, /SalesRobot starts at \$59 per month\./);
+  assert.doesNotMatch(body.updatedContent, /\$49/);
+});
+
+test('title, author and dates are part of the analysis cache key', async () => {
+  const first = await smartcheck({ author: 'Ada Writer', datePublished: '2024-01-02' });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.fromCache, undefined);
+  assert.equal(article(first.body).author.name, 'Ada Writer');
+
+  const again = await smartcheck({ author: 'Ada Writer', datePublished: '2024-01-02' });
+  assert.equal(again.body.fromCache, true);
+
+  const otherAuthor = await smartcheck({ author: 'Grace Editor', datePublished: '2024-01-02' });
+  assert.equal(otherAuthor.body.fromCache, undefined);
+  assert.equal(article(otherAuthor.body).author.name, 'Grace Editor');
+
+  const otherDate = await smartcheck({ author: 'Grace Editor', datePublished: '2023-05-06' });
+  assert.equal(otherDate.body.fromCache, undefined);
+  assert.equal(article(otherDate.body).datePublished, '2023-05-06');
+
+  const otherTitle = await smartcheck({ author: 'Grace Editor', datePublished: '2023-05-06', title: 'LinkedIn automation in 2026' });
+  assert.equal(otherTitle.body.fromCache, undefined);
+  assert.equal(article(otherTitle.body).headline, 'LinkedIn automation in 2026');
+});
+
+test('the TL;DR summarizes fixes, not link findings', async () => {
+  const blogContent = '<p>SalesRobot costs $59 per month.</p><p>Read about <a href="https://old.example.com/guide">outreach</a> first.</p>';
+  const { status, body } = await server.api('POST', '/api/smartcheck/apply', {
+    body: {
+      blogContent,
+      addTldr: true,
+      findings: [
+        { type: 'link', current: '<a href="https://old.example.com/guide">outreach</a>', corrected: '<a href="https://new.example.com/guide">outreach</a>', reason: 'Link redirects (301) to https://new.example.com/guide' },
+        { type: 'fix', current: '$59 per month', corrected: '$69 per month', reason: 'Price went from $59 to $69 per month.' }
+      ]
+    }
+  });
+  assert.equal(status, 200);
+  const tldr = body.updatedContent.match(/<div class="tldr-box">.*?<\/div>/)[0];
+  assert.match(tldr, /Price went from \$59 to \$69 per month\./);
+  assert.doesNotMatch(tldr, /redirects/);
+  assert.match(body.updatedContent, /new\.example\.com/);
+});
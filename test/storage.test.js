@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers.js';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'contentops-storage-'));
+
+test('file storage journals changes and restores them after a restart', async (t) => {
+  const dataDir = tempDir();
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  let server;
+  t.after(() => server?.stop());
+
+  server = await startServer({ DATA_DIR: dataDir });
+  const created = await server.api('POST', '/api/workspaces', { body: { id: 'acme', name: 'Acme', brand: 'Acme' } });
+  assert.equal(created.status, 201);
+  await server.stop();
+
+  // changes land in the journal; the snapshot is only rewritten on compaction
+  const journal = fs.readFileSync(path.join(dataDir, 'workspaces.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.ok(journal.some(([key, value]) => key === 'acme' && value.brand === 'Acme'));
+
+  server = await startServer({ DATA_DIR: dataDir });
+  const { body } = await server.api('GET', '/api/workspaces');
+  assert.ok(body.workspaces.some(ws => ws.id === 'acme'));
+  const removed = await server.api('DELETE', '/api/workspaces/acme');
+  assert.equal(removed.status, 200);
+  await server.stop();
+
+  server = await startServer({ DATA_DIR: dataDir });
+  const after = await server.api('GET', '/api/workspaces');
+  assert.ok(!after.body.workspaces.some(ws => ws.id === 'acme'));
+});
+
+test('a torn last journal line is skipped on load', async (t) => {
+  const dataDir = tempDir();
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dataDir, 'workspaces.log'), '["acme",{"id":"acme","name":"Acme","brand":"Acme","webflow":{"collectionId":null}}]\n["half",{"id":');
+
+  const server = await startServer({ DATA_DIR: dataDir });
+  t.after(() => server.stop());
+  const { body } = await server.api('GET', '/api/workspaces');
+  assert.ok(body.workspaces.some(ws => ws.id === 'acme'));
+  assert.ok(!body.workspaces.some(ws => ws.id === 'half'));
+});
+
+test('STORAGE_DRIVER=sqlite without node:sqlite fails at startup with a clear message', { skip: !!process.getBuiltinModule?.('node:sqlite') }, () => {
+  const dataDir = tempDir();
+  try {
+    const run = spawnSync(process.execPath, ['server.js'], {
+      cwd: path.join(import.meta.dirname, '..'),
+      env: { ...process.env, STORAGE_DRIVER: 'sqlite', DATA_DIR: dataDir, PORT: '0' },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+    assert.notEqual(run.status, 0);
+    assert.match(run.stderr, /STORAGE_DRIVER=sqlite needs node:sqlite/);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, webflowStandIn, blogItem, fixture } from './helpers.js';
+
+async function waitForJob(server, statusUrl) {
+  for (let i = 0; i < 200; i++) {
+    const { body } = await server.api('GET', statusUrl);
+    if (['completed', 'failed', 'cancelled'].includes(body.status)) return body;
+    await new Promise(r => setTimeout(r, 25));
+  }
+  throw new Error('job did not finish');
+}
+
+test('parallel campaign workers cannot all pass the budget check before usage is recorded', async (t) => {
+  const webflow = await webflowStandIn([blogItem('first-post'), blogItem('second-post'), blogItem('third-post')]);
+  t.after(() => webflow.close());
+  const server = await startServer({ WEBFLOW_API_BASE: webflow.url, LLM_PROVIDER: 'replay', LLM_REPLAY_DIR: fixture('replay') });
+  t.after(() => server.stop());
+
+  // one recorded run is 5,330 tokens, so the cap allows exactly one
+  const patched = await server.api('PATCH', '/api/workspaces/salesrobot', { body: { budgets: { daily: { maxTokens: 5000 } } } });
+  assert.equal(patched.status, 200);
+
+  const start = await server.api('POST', '/api/campaigns', { headers: { Authorization: 'Bearer wf-token' }, body: { collectionId: 'blog', concurrency: 3 } });
+  assert.equal(start.status, 202);
+  const job = await waitForJob(server, start.body.statusUrl);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.result.items.map(i => i.status).sort(), ['ok', 'skipped_budget', 'skipped_budget']);
+
+  const usage = await server.api('GET', '/api/usage');
+  assert.equal(usage.body.totals.runs, 1);
+  assert.equal(usage.body.budget.inFlight, 0);
+  assert.equal(usage.body.budget.periods.daily.spentTokens, 5330);
+});
+
+test('a model call whose output does not parse is still metered', async (t) => {
+  const server = await startServer({ LLM_PROVIDER: 'replay', LLM_REPLAY_DIR: fixture('replay-unparseable') });
+  t.after(() => server.stop());
+
+  const { status } = await server.api('POST', '/api/smartcheck', { body: { blogContent: '<p>SalesRobot starts at $49 per month.</p>', title: 'Pricing' } });
+  assert.equal(status, 500);
+
+  const usage = await server.api('GET', '/api/usage');
+  assert.equal(usage.body.totals.runs, 1);
+  assert.equal(usage.body.totals.inputTokens, 4800);
+  assert.equal(usage.body.totals.outputTokens, 900);
+  assert.equal(usage.body.budget.inFlight, 0);
+});
+
+test('over budget, downgrade mode switches to a cheaper model and refuses one that is not', async (t) => {
+  const server = await startServer({
+    LLM_PROVIDER: 'replay',
+    LLM_REPLAY_DIR: fixture('replay'),
+    LLM_MODELS: JSON.stringify({ replay: { hybrid: 'replay-large', fable: 'replay-large', sonnet: 'replay-small' } }),
+    LLM_PRICES: JSON.stringify({ models: { 'replay-large': { input: 10, output: 50 }, 'replay-small': { input: 1, output: 5 } } })
+  });
+  t.after(() => server.stop());
+  const budget = (downgradeTo) => server.api('PATCH', '/api/workspaces/salesrobot', { body: { budgets: { daily: { maxTokens: 1000 }, onExceeded: 'downgrade', downgradeTo } } });
+  const check = (n) => server.api('POST', '/api/smartcheck', { body: { blogContent: `<p>SalesRobot starts at $49 per month (${n}).</p>`, title: 'Pricing' } });
+
+  await budget('fable');
+  assert.equal((await check(1)).status, 200);
+
+  // fable runs on the same model as hybrid, so it saves nothing
+  const refused = await check(2);
+  assert.equal(refused.status, 402);
+  assert.match(refused.body.error, /downgradeTo "fable" \(replay-large\) is not priced below replay-large/);
+  assert.equal(refused.body.budget.hardCap, false);
+
+  await budget('sonnet');
+  const downgraded = await check(3);
+  assert.equal(downgraded.status, 200);
+  assert.equal(downgraded.body.stats.downgradedFrom, 'hybrid');
+  const usage = await server.api('GET', '/api/usage?groupBy=model');
+  assert.deepEqual(usage.body.breakdown.model.map(m => [m.key, m.runs]).sort(), [['replay-large', 1], ['replay-small', 1]]);
+});
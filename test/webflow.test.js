@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, webflowStandIn, blogItem } from './helpers.js';
+
+let webflow, server;
+const auth = { Authorization: 'Bearer wf-token' };
+
+before(async () => {
+  webflow = await webflowStandIn([blogItem('post-1'), blogItem('post-2'), blogItem('post-3')]);
+  server = await startServer({ WEBFLOW_API_BASE: webflow.url });
+});
+
+after(async () => {
+  await server?.stop();
+  await webflow?.close();
+});
+
+const write = (itemId, body) => server.api('PATCH', `/api/webflow?itemId=${itemId}`, { headers: auth, body: { collectionId: 'blog', ...body } });
+const setApproval = (requireApproval) => server.api('PATCH', '/api/workspaces/salesrobot', { body: { requireApproval } });
+
+test('a write only changes the staged item', async () => {
+  const { status, body } = await write('post-1', { fieldData: { 'post-body': '<p>Staged <b>text</b></p>' } });
+  assert.equal(status, 200);
+  assert.ok(body.revisionId);
+  assert.equal(body.itemPublish, null);
+  assert.equal(body.state.hasUnpublishedChanges, true);
+  assert.equal(webflow.staged.get('post-1').fieldData['post-body'], '<p>Staged <b>text</b></p>');
+  assert.equal(webflow.live.has('post-1'), false);
+});
+
+test('live: true publishes the item after the staged write', async () => {
+  const { status, body } = await write('post-2', { fieldData: { 'post-body': '<p>Live now</p>' }, live: true });
+  assert.equal(status, 200);
+  assert.deepEqual(body.itemPublish, { ok: true, status: 202, error: null });
+  assert.equal(body.state.live, true);
+  assert.equal(webflow.live.get('post-2').fieldData['post-body'], '<p>Live now</p>');
+});
+
+test('publish-items pushes staged items live and logs each one', async () => {
+  const { status, body } = await server.api('POST', '/api/webflow/publish-items', { headers: auth, body: { collectionId: 'blog', itemIds: ['post-1'] } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.publishedItemIds, ['post-1']);
+  assert.equal(body.items[0].state.live, true);
+  assert.equal(webflow.live.get('post-1').fieldData['post-body'], '<p>Staged <b>text</b></p>');
+
+  const log = await server.api('GET', '/api/publish-log?itemId=post-1');
+  assert.deepEqual(log.body.entries.map(e => e.target), ['live', 'staged']);
+});
+
+test('publish-site needs a site ID and publishes the chosen domains', async () => {
+  const missing = await server.api('POST', '/api/webflow/publish-site', { headers: auth, body: { collectionId: 'blog', customDomains: ['domain-1'] } });
+  assert.equal(missing.status, 400);
+
+  const domains = await server.api('GET', '/api/webflow/domains?siteId=site-1', { headers: auth });
+  assert.deepEqual(domains.body.domains.map(d => d.id), ['domain-1']);
+
+  const { status, body } = await server.api('POST', '/api/webflow/publish-site', { headers: auth, body: { siteId: 'site-1', customDomains: ['domain-1'] } });
+  assert.equal(status, 200);
+  assert.equal(body.siteId, 'site-1');
+  assert.deepEqual(webflow.sitePublishes, [{ siteId: 'site-1', customDomains: ['domain-1'], publishToWebflowSubdomain: false }]);
+});
+
+test('approval-gated workspaces refuse direct writes, item publishes and site publishes', async (t) => {
+  await setApproval(true);
+  t.after(() => setApproval(false));
+  const publishes = webflow.sitePublishes.length;
+
+  assert.equal((await write('post-3', { fieldData: { 'post-body': '<p>Sneaky</p>' } })).status, 409);
+  assert.equal((await server.api('POST', '/api/webflow/publish-items', { headers: auth, body: { collectionId: 'blog', itemIds: ['post-3'] } })).status, 409);
+  assert.equal((await server.api('POST', '/api/webflow/publish-site', { headers: auth, body: { siteId: 'site-1', publishToWebflowSubdomain: true } })).status, 409);
+  assert.equal(webflow.live.has('post-3'), false);
+  assert.equal(webflow.sitePublishes.length, publishes);
+});
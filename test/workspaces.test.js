@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+test('a missing DEFAULT_WORKSPACE still allows sign-in and creating it', async (t) => {
+  const server = await startServer({ DEFAULT_WORKSPACE: 'acme' });
+  t.after(() => server.stop());
+  assert.match(server.log(), /default workspace "acme" does not exist/);
+
+  const me = await server.api('GET', '/api/auth/me');
+  assert.equal(me.status, 200);
+  const drafts = await server.api('GET', '/api/drafts');
+  assert.equal(drafts.status, 404);
+  assert.match(drafts.body.error, /Unknown workspace "acme"/);
+
+  const created = await server.api('POST', '/api/workspaces', { body: { id: 'acme', name: 'Acme', brand: 'Acme' } });
+  assert.equal(created.status, 201);
+  const list = await server.api('GET', '/api/workspaces');
+  assert.equal(list.body.default, 'acme');
+  assert.equal((await server.api('GET', '/api/drafts')).status, 200);
+});